@@ -0,0 +1,123 @@
+"use strict";
+
+// Tree markers can be colored by the value of a field by passing the name of
+// a color-by option in the `color_by` request parameter. An option is either
+// one of the named options below or a scalar udf, e.g. "tree.udf:Condition".
+//
+// Options with `breaks` are colored by which range of those values a numeric
+// field falls into. All other options are colored by category: the most
+// common values of the field in the instance, ranked by count and then by
+// value, each get a color, and all other values share the last one. The
+// categories are the same for every tile of an instance, so a value has the
+// same color on each tile, and `makeLegend` lists them for the client.
+// Either way, the map feature query selects a `color_index` column that the
+// generated CartoCSS rules match against a palette. Trees without a value
+// keep the default tree color.
+
+var _ = require('underscore');
+var format = require('util').format;
+var config = require('./config');
+var sql = require('./sqlLiterals');
+
+// Breaks are in the units stored in the database (see units.js)
+var namedOptions = {
+    species: {field: 'species.id'},
+    diameter: {field: 'tree.diameter', breaks: [6, 12, 18, 24, 36]},
+    height: {field: 'tree.height', breaks: [10, 20, 30, 50, 75]}
+};
+
+var categoryPalette = ['#1F78B4', '#33A02C', '#E31A1C', '#FF7F00', '#6A3D9A',
+                       '#A6CEE3', '#B2DF8A', '#FB9A99', '#FDBF6F', '#CAB2D6'];
+
+// The number of categories with their own color. Other values get the last
+// color of the palette.
+var MAX_CATEGORIES = categoryPalette.length - 1;
+
+// A bucketed option has one more bucket than it has breaks
+var bucketPalette = ['#FFFFCC', '#D9F0A3', '#ADDD8E', '#78C679', '#31A354', '#006837'];
+
+// `getOption` returns the color-by option with the specified name, throwing
+// an error if there is no such option.
+function getOption(name) {
+    if (_.has(namedOptions, name)) {
+        return namedOptions[name];
+    } else if (/^[A-Za-z]+\.udf:[^.]+$/.test(name)) {
+        return {field: name};
+    }
+    throw new Error('Invalid argument: ' + config.colorByQueryArgumentName + ' must be one of ' +
+                    _.keys(namedOptions).join(', ') + ' or a scalar udf, not ' + name);
+}
+
+// `getFieldName` returns the "model.field" name of the field that the
+// specified option colors by.
+function getFieldName(name) {
+    return getOption(name).field;
+}
+
+// `hasCategories` returns true if the specified option colors by category,
+// so that its categories must be looked up (see makeSqlForColorByCategories
+// in makeSql.js).
+function hasCategories(name) {
+    return !getOption(name).breaks;
+}
+
+// `makeColorIndexSql` returns a SQL expression computing the palette index
+// of the value in `column` for the specified option. For an option colored
+// by category, `categories` are the values with their own color, in order.
+function makeColorIndexSql(name, column, categories) {
+    var option = getOption(name);
+    if (option.breaks) {
+        return format('width_bucket((%s)::float, ARRAY[%s]::float[])', column, option.breaks.join(', '));
+    }
+    return format('(CASE WHEN (%s) IS NOT NULL THEN COALESCE(array_position(ARRAY[%s]::text[], (%s)::text) - 1, %d) END)',
+                  column, _.map(_.first(categories || [], MAX_CATEGORIES), sql.literal).join(', '), column,
+                  MAX_CATEGORIES);
+}
+
+// `makeLegend` returns the color of each bucket or category of the specified
+// option, as
+//
+//     [{"min": null, "max": 6, "color": "#FFFFCC"}, {"min": 6, "max": 12, ...}, ...]
+//
+// for an option with breaks, in the units stored in the database, and
+//
+//     [{"value": "Good", "color": "#1F78B4"}, ..., {"other": true, "color": "#CAB2D6"}]
+//
+// for an option colored by the specified categories.
+function makeLegend(name, categories) {
+    var option = getOption(name);
+    if (option.breaks) {
+        return _.map(_.first(bucketPalette, option.breaks.length + 1), function(color, index) {
+            return {
+                min: index > 0 ? option.breaks[index - 1] : null,
+                max: index < option.breaks.length ? option.breaks[index] : null,
+                color: color
+            };
+        });
+    }
+    return _.map(_.first(categories || [], MAX_CATEGORIES), function(value, index) {
+        return {value: value, color: categoryPalette[index]};
+    }).concat([{other: true, color: categoryPalette[MAX_CATEGORIES]}]);
+}
+
+// `makeStyle` returns CartoCSS rules coloring tree markers by the
+// `color_index` column for the specified option. The rules are meant to be
+// appended to mapFeature.mms, and are more specific than its tree rules.
+function makeStyle(name) {
+    var option = getOption(name),
+        palette = option.breaks ? _.first(bucketPalette, option.breaks.length + 1) : categoryPalette,
+        rules = _.map(palette, function(color, index) {
+            return format('    [color_index=%d] { marker-fill: %s; }', index, color);
+        });
+
+    return '#treemap_mapfeature[tree_id!=null][feature_type="Plot"] {\n' + rules.join('\n') + '\n}\n';
+}
+
+exports = module.exports = {
+    MAX_CATEGORIES: MAX_CATEGORIES,
+    getFieldName: getFieldName,
+    hasCategories: hasCategories,
+    makeColorIndexSql: makeColorIndexSql,
+    makeLegend: makeLegend,
+    makeStyle: makeStyle
+};
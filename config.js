@@ -11,16 +11,87 @@ var canopyBoundarySql = [
     " FROM treemap_boundary AS b",
     " INNER JOIN treemap_instance_boundaries AS ib ON ib.boundary_id = b.id",
     " WHERE ib.instance_id = <%= instanceid %>",
-    " AND b.category = '<%= category %>'",
+    " AND b.category = <%= category %>",
     " AND b.canopy_percent IS NOT NULL",
     " AND b.canopy_percent >= <%= canopy_min %>",
     " AND b.canopy_percent <= <%= canopy_max %>",
 ].join('');
 
+// Counts and aggregates one numeric value for the distinct map features
+// matched by a subquery, grouped by feature type.
+var mapFeatureStatsSql = [
+    "SELECT feature_type",
+    ", COUNT(*) AS count",
+    ", COUNT(tree_id) AS tree_count",
+    ", MIN(value) AS min",
+    ", MAX(value) AS max",
+    ", SUM(value) AS sum",
+    ", COUNT(value) AS value_count",
+    " FROM (<%= features %>) AS features",
+    " GROUP BY feature_type",
+].join('');
+
+// Ranks the values of a color-by field by the number of map features with
+// each value, breaking ties by value so that the ranking is deterministic.
+var colorByCategorySql = [
+    "SELECT (<%= value %>)::text AS value",
+    " FROM <%= tables %>",
+    " WHERE ( <%= where %> ) AND (<%= value %>) IS NOT NULL",
+    " GROUP BY 1",
+    " ORDER BY COUNT(DISTINCT treemap_mapfeature.id) DESC, 1",
+    " LIMIT <%= limit %>",
+].join('');
+
+// Groups the distinct map features matched by a subquery into square grid
+// cells, returning one point per cell with the number of features in it.
+// The grid origin is offset by half a cell so that cell edges line up with
+// tile edges.
+var mapFeatureClusterSql = [
+    "SELECT ST_Centroid(ST_Collect(the_geom_webmercator)) AS the_geom_webmercator",
+    ", COUNT(*) AS count",
+    " FROM (<%= features %>) AS features",
+    " GROUP BY ST_SnapToGrid(the_geom_webmercator,",
+    " <%= origin %>, <%= origin %>, <%= cellSize %>, <%= cellSize %>)",
+].join('');
+
+// Bins the distinct map features matched by a subquery into hexagons covering
+// the tile being rendered, returning each hexagon that contains features with
+// the number of features in it and that number per hectare of ground area.
+// ST_HexagonGrid requires PostGIS 3.1 or later.
+//
+// A feature on the edge between hexagons, or a polygon overlapping several,
+// is only counted in the first of them by the hexagons' grid coordinates.
+// The grid extends `gridMargin` past the tile, so that the neighbors of
+// every hexagon drawn on the tile are there to be chosen from, and a
+// hexagon has the same count on every tile it overlaps.
+var mapFeatureDensitySql = [
+    "SELECT hex.geom AS the_geom_webmercator",
+    ", COUNT(*) AS count",
+    ", COUNT(*) / (ST_Area(ST_Transform(hex.geom, 4326)::geography) / 10000) AS density",
+    " FROM (",
+    "SELECT DISTINCT ON (features.id) hex.geom",
+    " FROM ST_HexagonGrid(<%= cellSize %>, ST_Expand(!bbox!, <%= gridMargin %>)) AS hex",
+    " JOIN (<%= features %>) AS features",
+    " ON ST_Intersects(features.the_geom_webmercator, hex.geom)",
+    " ORDER BY features.id, hex.i, hex.j",
+    ") AS hex",
+    " GROUP BY hex.geom",
+].join('');
+
 module.exports = {
     "filterQueryArgumentName": "q",
     "displayQueryArgumentName": "show",
     "restrictFeatureQueryArgumentName": "restrict",
+    "colorByQueryArgumentName": "color_by",
+    "colorByCategorySql": colorByCategorySql,
+    // The categories of color-by options are cached for `ttl` milliseconds
+    "colorByCategories": {
+        "maxSize": 1000,
+        "ttl": 600000
+    },
+    // Refers to a filter saved with POST /filters.json (see savedFilters.js)
+    // in place of the filter, display and restrict arguments
+    "savedFilterQueryArgumentName": "filter_id",
     // This is the column name of the hstore column used for scalar udfs
     "scalar_udf_field": "udfs",
     "sqlForMapFeatures": {
@@ -31,10 +102,28 @@ module.exports = {
             },
             "base": "feature_type, treemap_tree.id AS tree_id",
             "polygon": "feature_type",
-            "utfGrid": "feature_type, treemap_mapfeature.id AS id"
+            "utfGrid": "feature_type, treemap_mapfeature.id AS id",
+            // Vector tiles carry the attributes clients need to both style
+            // and hit-test features, replacing separate PNG and UTF grid tiles
+            "vectorTile": "feature_type, treemap_tree.id AS tree_id, treemap_mapfeature.id AS id",
+            "polygonVectorTile": "feature_type, treemap_mapfeature.id AS id",
+            // GeoJSON exports are always in WGS84 longitude/latitude
+            "geoJsonGeom": "ST_AsGeoJSON(ST_Transform(%s, 4326))",
+            "geoJson": "feature_type, treemap_tree.id AS tree_id, treemap_mapfeature.id AS id",
+            "polygonGeoJson": "feature_type, treemap_mapfeature.id AS id",
+            "stats": "treemap_mapfeature.id, feature_type, treemap_tree.id AS tree_id",
+            "aggregate": "treemap_mapfeature.id, treemap_mapfeature.the_geom_webmercator"
         },
+        // Fields can only be selected (e.g. for statistics or styling) from
+        // models that are LEFT OUTER JOINed, since an inner JOIN would drop
+        // the features without a row in that table
+        "selectableFieldModels": ["mapFeature", "tree", "species"],
         "basePointModel": "mapFeature",
         "basePolygonModel": "polygonalMapFeature",
+        // Joining these models can return more than one row per map feature,
+        // so queries joining them must select DISTINCT rows. Collection UDFs
+        // are matched with subqueries instead, so they aren't joined.
+        "duplicateRowModels": ["mapFeaturePhoto"],
         // The tables object gets walked by filtersToTables to build the FROM and JOIN clauses of the SQL string.
         // The "depends" property of each item should include any tables used in the "sql" property to JOIN to that table
         "tables": {
@@ -73,28 +162,38 @@ module.exports = {
             "mapFeaturePhoto": {
                 "depends": ["mapFeature"],
                 "sql": "LEFT OUTER JOIN treemap_mapfeaturephoto ON treemap_mapfeature.id = treemap_mapfeaturephoto.map_feature_id"
-            },
-            "udf": {
-                // Despite mapFeature not being referenced in the "sql" property it will
-                // be used in the filter for udf and so it is required
-                "depends": ["mapFeature"],
-                // udf uses a CROSS JOIN, but in filterObjectToWhere a restrictive WHERE clause is added
-                "sql": "CROSS JOIN treemap_userdefinedcollectionvalue"
             }
         },
         "where": {
-            "instance" : "treemap_mapfeature.instance_id = <%= instanceid %>"
+            "instance" : "treemap_mapfeature.instance_id = <%= instanceid %>",
+            "bbox": "<%= geom %> && ST_Transform(ST_MakeEnvelope(<%= xmin %>, <%= ymin %>, <%= xmax %>, <%= ymax %>, 4326), 3857)",
+            // Mapnik replaces !bbox! with the extent of the tile being rendered
+            "tileBbox": "treemap_mapfeature.the_geom_webmercator && ST_Expand(!bbox!, <%= distance %>)"
         }
     },
     "treeDisplayFilters": ["EmptyPlot", "Tree"],
     "boundaryGrainstoreSql": "SELECT the_geom_webmercator FROM treemap_boundary JOIN treemap_instance_boundaries ON treemap_instance_boundaries.boundary_id = treemap_boundary.id WHERE treemap_instance_boundaries.instance_id=<%= instanceid %> AND treemap_boundary.searchable=true",
     "getBoundarySql" : "SELECT the_geom_webmercator FROM treemap_boundary WHERE id=<%= boundaryId %>",
     "canopyBoundarySql": canopyBoundarySql,
+    "mapFeatureStatsSql": mapFeatureStatsSql,
+    "statsFieldQueryArgumentName": "field",
+    "mapFeatureClusterSql": mapFeatureClusterSql,
+    "clusterQueryArgumentName": "cluster",
+    // Clustered tiles are only rendered up to and including this zoom level
+    "clusterMaxZoom": 13,
+    // The width of a grid cell in pixels. This must evenly divide the
+    // 256 pixel tile size so that clusters do not straddle tiles.
+    "clusterCellPixels": 64,
+    "mapFeatureDensitySql": mapFeatureDensitySql,
+    // The length of a side of a density hexagon in pixels
+    "densityCellPixels": 12,
     "showAtZoomSql": "(treemap_mapfeature.hide_at_zoom IS NULL OR treemap_mapfeature.hide_at_zoom < <%= zoom %>)",
     "customDbFieldNames": {
         "geom": "the_geom_webmercator"
     },
     "interactivityForUtfGridRequests": "id",
+    "interactivityForClusterUtfGridRequests": "count",
+    "interactivityForDensityUtfGridRequests": "count,density",
     "modelMapping": {
         "mapFeature": "treemap_mapfeature",
         "polygonalMapFeature": "stormwater_polygonalmapfeature",
@@ -107,9 +206,98 @@ module.exports = {
         "mapFeaturePhoto": "treemap_mapfeaturephoto",
         "udf": "treemap_userdefinedcollectionvalue"
     },
+    // Collection UDF predicates are correlated subqueries over the collection
+    // values of each feature (see filterObjectToWhere.js)
     "udfcTemplates": {
-        "tree": "treemap_userdefinedcollectionvalue.field_definition_id=<%= fieldDefId %> AND treemap_userdefinedcollectionvalue.model_id=treemap_tree.id",
-        "mapFeature": "treemap_userdefinedcollectionvalue.field_definition_id=<%= fieldDefId %> AND treemap_userdefinedcollectionvalue.model_id=treemap_mapfeature.id",
+        "tree": "SELECT <%= aggregate %> FROM treemap_userdefinedcollectionvalue AS collection_value WHERE collection_value.field_definition_id=<%= fieldDefId %> AND collection_value.model_id=treemap_tree.id<%= where %>",
+        "mapFeature": "SELECT <%= aggregate %> FROM treemap_userdefinedcollectionvalue AS collection_value WHERE collection_value.field_definition_id=<%= fieldDefId %> AND collection_value.model_id=treemap_mapfeature.id<%= where %>"
+    },
+    // Queries for the schema of the filterable fields (see schema.js), run
+    // with parameters for the table names and the instance id
+    "schemaColumnsSql": "SELECT table_name, column_name, data_type, udt_name FROM information_schema.columns" +
+        " WHERE table_schema = current_schema() AND table_name = ANY($1) ORDER BY table_name, ordinal_position",
+    "schemaUdfDefinitionsSql": "SELECT id, model_type, name, datatype, iscollection" +
+        " FROM treemap_userdefinedfielddefinition WHERE instance_id = $1 ORDER BY model_type, name",
+    // Fields computed from the columns of one or more models, which can be
+    // used like model columns in filters, field comparisons, styling and
+    // stats (see derivedFields.js). `sql` uses the physical table names of
+    // the `models`, which are joined whenever the field is used.
+    "derivedFields": {
+        // Every part of a species' name, so that a filter can search them at once
+        "species.name": {
+            "models": ["species"],
+            "sql": "concat_ws(' ', \"treemap_species\".\"common_name\", \"treemap_species\".\"genus\", " +
+                "\"treemap_species\".\"species\", \"treemap_species\".\"cultivar\", " +
+                "\"treemap_species\".\"other_part_of_name\")",
+            "sqlType": "text"
+        },
+        "tree.age": {
+            "models": ["tree"],
+            "sql": "date_part('year', age(CURRENT_DATE, \"treemap_tree\".\"date_planted\"))",
+            "sqlType": "double precision",
+            "units": "years"
+        },
+        // Diameter is stored in inches and height in feet
+        "tree.diameter_to_height": {
+            "models": ["tree"],
+            "sql": "\"treemap_tree\".\"diameter\" / NULLIF(\"treemap_tree\".\"height\" * 12, 0)",
+            "sqlType": "double precision"
+        },
+        "mapFeature.days_since_update": {
+            "models": ["mapFeature"],
+            "sql": "CURRENT_DATE - CAST(\"treemap_mapfeature\".\"updated_at\" AS DATE)",
+            "sqlType": "integer",
+            "units": "days"
+        }
+    },
+    // The SEARCH filter predicate matches text containing words similar to
+    // the search, from 0 (anything) to 1 (only exact words). Searching
+    // requires the pg_trgm and unaccent Postgres extensions. `indexed` is
+    // set when the server starts if the database can use trigram indexes
+    // for searches (see http/searchIndex.js).
+    "search": {
+        "minWordSimilarity": 0.5,
+        "indexed": false
+    },
+    "treeMarkerMaxWidth": 20,
+    // The largest radius accepted by the WITHIN_RADIUS filter predicate
+    "withinRadius": {
+        "maxMeters": 100000
+    },
+    // Limits on the polygons accepted by the INSIDE_GEOMETRY filter predicate
+    "insideGeometry": {
+        "maxVertices": 1000,
+        "maxAreaSquareKilometers": 10000
+    },
+    // Limits on GeoJSON exports, which are fetched from the database in
+    // batches of `batchSize` features. Exports with more than `maxFeatures`
+    // features are truncated.
+    "export": {
+        "maxAreaSquareKilometers": 2500,
+        "maxFeatures": 100000,
+        "batchSize": 1000
+    },
+    // Saved filters and layers are kept in Redis for `ttl` seconds after
+    // they were last saved or used
+    "savedFilters": {
+        "ttl": 2592000
+    },
+    // Tile versions are cached in process for `versionTtl` milliseconds,
+    // layergroups are remembered for purging for `layergroupTtl` seconds
+    // after they are created, and rendered cluster and density tiles are
+    // kept in Redis for `renderedTileTtl` seconds (see http/tileCacheStore.js)
+    "tileCache": {
+        "versionTtl": 5000,
+        "maxVersions": 10000,
+        "layergroupTtl": 86400,
+        "renderedTileTtl": 600
     },
-    "treeMarkerMaxWidth": 20
+    // Instance configs are cached for `ttl` milliseconds, unless an instance
+    // id is sent on the Postgres NOTIFY `channel` when its config changes
+    "instanceConfigCache": {
+        "maxSize": 1000,
+        "ttl": 300000,
+        "channel": "otm_instance_config",
+        "retryDelay": 5000
+    }
 };
@@ -0,0 +1,42 @@
+"use strict";
+
+// Derived fields are computed from the columns of one or more models, e.g.
+// a tree's age from its planting date, and can be used wherever a
+// "model.field" name is accepted:
+//
+//     {"tree.age": {"MIN": 10}}
+//     {"mapFeature.days_since_update": {"MAX": 30}}
+//
+// Each is defined once in `config.derivedFields` by
+//
+// * `models`: the models whose tables `sql` uses, which are joined wherever
+//   the field is used
+// * `sql`: the expression computing the field, using physical table names
+// * `sqlType`: the type of the expression, as in information_schema.columns
+// * `units`: the units of the field's values, if any (see units.js)
+
+var _ = require('underscore');
+var config = require('./config');
+
+// `isDerivedField` returns true if `fieldName` names a derived field.
+function isDerivedField(fieldName) {
+    return _.isString(fieldName) && _.has(config.derivedFields, fieldName);
+}
+
+// `getDerivedField` returns the definition of a derived field, or
+// undefined if `fieldName` does not name one.
+function getDerivedField(fieldName) {
+    return isDerivedField(fieldName) ? config.derivedFields[fieldName] : undefined;
+}
+
+// `derivedFieldToSql` returns the expression computing a derived field,
+// parenthesized so that it can be used like a column.
+function derivedFieldToSql(fieldName) {
+    return '(' + getDerivedField(fieldName).sql + ')';
+}
+
+exports = module.exports = {
+    isDerivedField: isDerivedField,
+    getDerivedField: getDerivedField,
+    derivedFieldToSql: derivedFieldToSql
+};
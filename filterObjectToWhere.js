@@ -6,33 +6,108 @@
 // A filter string must be valid JSON and conform to the following grammar:
 //
 //     literal        = json literal | GMT date string in 'YYYY-MM-DD HH:mm:ss'
+//                    | { 'RELATIVE': relative date }
+//                    | { 'FIELD': model.field }
 //     model-name     = 'mapFeature' | 'tree' | 'species' | 'mapFeaturePhoto'
 //     model          = 'udf:'model-name | model-name
 //     value-property = 'MIN'
 //                    | 'MAX'
 //                    | 'EXCLUSIVE'
 //                    | 'IN'
+//                    | 'NOT_IN'
 //                    | 'IS'
+//                    | 'IS_NOT'
 //                    | 'ISNULL'
 //                    | 'LIKE'
+//                    | 'NOT_LIKE'
 //                    | 'WITHIN_RADIUS'
 //                    | 'IN_BOUNDARY'
+//                    | 'INSIDE_GEOMETRY'
+//                    | 'CONTAINS_ANY'
+//                    | 'CONTAINS_ALL'
+//                    | 'SEARCH'
 //     combinator     = 'AND' | 'OR'
 //     predicate      = { model.['udf:']field: literal }
 //                    | { model.['udf:']field: { (value-property: literal)* }}
+//     aggregate      = 'COUNT': literal | { (value-property: literal)* }
+//                    | 'EXISTS': boolean
+//                    | ('LATEST' | 'EARLIEST'): { field: { (value-property: literal)* }}
+//     aggregate-predicate
+//                    = { 'udf:'model-name':'field-definition-id:
+//                        { ('WHERE': { field: literal | { (value-property: literal)* }})?,
+//                          aggregate+ }}
 //     filter         = predicate
+//                    | aggregate-predicate
 //                    | [combinator, filter*]
+//                    | ['NOT', filter]
+//
+// A 'NOT' filter matches every row the negated filter does not match,
+// including rows where the negated filter compares a NULL value, e.g.
+// ['NOT', {'species.id': 4}] matches trees without a species.
+//
+// Relative dates, e.g. {'RELATIVE': '-90d'}, are resolved by Postgres when
+// the filter is run (see relativeDate.js).
+//
+// Collection UDF fields, e.g. 'udf:plot:18.Action', match a feature if any
+// of its values of the collection matches. The fields of a collection in
+// one filter object must all match the same value, e.g. features watered
+// by Parks & Recreation:
+//
+//     {'udf:plot:18.Action': 'Watered', 'udf:plot:18.Actor': 'Parks & Recreation'}
+//
+// Negating them with 'NOT' matches the features without such a value, e.g.
+// ['NOT', {'udf:plot:18.Action': 'Watered'}] matches features never watered.
+//
+// An aggregate predicate on the whole collection instead compares all of a
+// feature's values that match its optional WHERE predicate, e.g. features
+// watered at least 3 times:
+//
+//     {'udf:plot:18': {'WHERE': {'Action': 'Watered'}, 'COUNT': {'MIN': 3}}}
+//
+// EXISTS tests whether there are any such values, and LATEST and EARLIEST
+// compare the latest or earliest date in a field of the values.
+//
+// Collection UDF fields can't be compared with IS_NOT, NOT_IN or NOT_LIKE,
+// which would match any feature with one other value, e.g. a feature that
+// was pruned as well as watered would match {'IS_NOT': 'Watered'}. Features
+// without such values are matched with 'NOT' or EXISTS instead:
+//
+//     {'udf:plot:18': {'WHERE': {'Action': 'Watered'}, 'EXISTS': false}}
+//
+// IS, IS_NOT, MIN and MAX can compare a field with another field rather than
+// a literal, e.g. trees taller than their canopy:
+//
+//     {'tree.height': {'MIN': {'value': {'FIELD': 'tree.canopy_height'}, 'EXCLUSIVE': true}}}
+//
+// Only model columns can be compared, not UDFs, whose text values would
+// need to be converted to the type of the other field.
+//
+// SEARCH matches text containing words similar to a string, ignoring case
+// and accents, so that misspelled searches still match. Derived text fields
+// search several columns at once, e.g. {'species.name': {'SEARCH': 'red maple'}}.
+//
+// Derived fields (see derivedFields.js) are filtered like model columns,
+// e.g. {'tree.age': {'MIN': 10}}.
+//
+// CONTAINS_ANY and CONTAINS_ALL take a list of strings and match multichoice
+// UDFs, whose values are JSON arrays of the chosen strings, containing any or
+// all of them. A value that is not a JSON array is treated as a list of one.
 
 var _ = require('underscore'),
     config = require('./config'),
     utils = require('./filterObjectUtils'),
+    derivedFields = require('./derivedFields'),
+    sql = require('./sqlLiterals'),
+    polygonFilter = require('./polygonFilter'),
+    radiusFilter = require('./radiusFilter'),
     format = require('util').format;
 
 // Exports
 //---------------------------
 
 // This module exports a single conversion function that takes a JSON format
-// string.
+// string. The field name conversion it uses is also exported so that
+// other queries can refer to the same columns as filters.
 
 exports = module.exports = function (object) {
     if (_.isUndefined(object) || _.isNull(object)) {
@@ -41,15 +116,34 @@ exports = module.exports = function (object) {
     return filterToSql(object);
 };
 
+exports.fieldNameToColumnName = function (fieldName) {
+    return fieldNameToColumnName(fieldName);
+};
+
 // Constants
 //---------------------------
 
+// Column names are quoted, but are also restricted to the characters used in
+// the names of the columns of OTM's tables
+var COLUMN_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+exports.COLUMN_NAME_PATTERN = COLUMN_NAME_PATTERN;
+
 // The `PREDICATE_TYPES` dictionary is used for validating predicates and
 // providing values and methods used to convert predicates into SQL strings.
 var PREDICATE_TYPES = {
     IS: {
         combinesWith: [],
         matcher: '=',
+        acceptsFields: true,
+        valueConverter: utils.convertValueToEscapedSqlLiteral
+    },
+    // Unlike `!=`, `IS DISTINCT FROM` is true when the column is NULL, so
+    // that features without a value are not excluded
+    IS_NOT: {
+        combinesWith: [],
+        matcher: 'IS DISTINCT FROM',
+        acceptsFields: true,
         valueConverter: utils.convertValueToEscapedSqlLiteral
     },
     ISNULL: {
@@ -62,64 +156,144 @@ var PREDICATE_TYPES = {
         matcher: 'IN',
         valueConverter: convertArrayValueToEscapedSqlLiteral
     },
+    NOT_IN: {
+        combinesWith: [],
+        matcher: 'NOT IN',
+        valueConverter: convertArrayValueToEscapedSqlLiteral
+    },
     LIKE: {
         combinesWith: [],
         matcher: 'ILIKE',
         valueConverter: convertValueForLike
     },
+    NOT_LIKE: {
+        combinesWith: [],
+        matcher: 'NOT ILIKE',
+        valueConverter: convertValueForLike
+    },
     MIN: {
         combinesWith: ['MAX'],
         matcher: '>=',
         exclusiveMatcher: '>',
+        acceptsFields: true,
         valueConverter: utils.convertValueToEscapedSqlLiteral
     },
     MAX: {
         combinesWith: ['MIN'],
         matcher: '<=',
         exclusiveMatcher: '<',
+        acceptsFields: true,
         valueConverter: utils.convertValueToEscapedSqlLiteral
     },
     IN_BOUNDARY: {
-        combinesWith: ['WITHIN_RADIUS'],
+        combinesWith: ['WITHIN_RADIUS', 'INSIDE_GEOMETRY'],
         predicateTransform: transformBoundaryPredicate
     },
     WITHIN_RADIUS: {
-        combinesWith: ['IN_BOUNDARY'],
+        combinesWith: ['IN_BOUNDARY', 'INSIDE_GEOMETRY'],
         predicateTransform: transformWithinRadiusPredicate
+    },
+    INSIDE_GEOMETRY: {
+        combinesWith: ['IN_BOUNDARY', 'WITHIN_RADIUS'],
+        predicateTransform: transformInsideGeometryPredicate
+    },
+    // `?|` and `?&` test whether any or all of the strings are elements of a
+    // jsonb array
+    CONTAINS_ANY: {
+        combinesWith: [],
+        matcher: '?|',
+        valueConverter: convertValueForContains,
+        columnConverter: multichoiceColumn
+    },
+    CONTAINS_ALL: {
+        combinesWith: [],
+        matcher: '?&',
+        valueConverter: convertValueForContains,
+        columnConverter: multichoiceColumn
+    },
+    SEARCH: {
+        combinesWith: [],
+        predicateSql: searchPredicateSql
     }
 };
 
+// The operators a predicate can have, and the other operators each can be
+// combined with
+exports.predicateCombinations = _.mapObject(PREDICATE_TYPES, function(t) {
+    return t.combinesWith;
+});
+
 // `transformBoundaryPredicate` transform a predicate that contains a single value
 // representing a boundary. In particular, this is used with the IN_BOUNDARY
 function transformBoundaryPredicate(boundaryId) {
     var selectTemplate = _.template(config.getBoundarySql),
-        selectStatement = selectTemplate({boundaryId: boundaryId});
+        selectStatement = selectTemplate({boundaryId: sql.integer(boundaryId)});
 
     return 'ST_Contains((' + selectStatement + '), <%= column %>)';
 }
 
+// `transformInsideGeometryPredicate` transforms a predicate that contains a
+// GeoJSON or WKT polygon (see polygonFilter.js). ST_Intersects is used
+// rather than ST_Contains so that polygonal map features straddling the
+// edge of the polygon are included.
+function transformInsideGeometryPredicate(geometry) {
+    return 'ST_Intersects(' + polygonFilter.makeGeometrySql(geometry) + ', <%= column %>)';
+}
+
 // `transformWithinRadiusPredicate` takes an object containing point and radius
-// data. It returns an underscore template that is used to produce an SQL where
-// clause.
+// data (see radiusFilter.js). It returns an underscore template that is used
+// to produce an SQL where clause.
 function transformWithinRadiusPredicate(predicateValue) {
-    var point = predicateValue.POINT,
-        radius = predicateValue.RADIUS,
+    return radiusFilter.makeWithinRadiusTemplate(predicateValue);
+}
+
+// The comparisons that can be made by each aggregate of an aggregate
+// predicate, other than EXISTS, which is true or false
+var AGGREGATE_OPERATORS = {
+    COUNT: ['IS', 'IS_NOT', 'IN', 'NOT_IN', 'MIN', 'MAX'],
+    LATEST: ['IS', 'IS_NOT', 'MIN', 'MAX', 'ISNULL'],
+    EARLIEST: ['IS', 'IS_NOT', 'MIN', 'MAX', 'ISNULL']
+};
+
+exports.AGGREGATE_OPERATORS = AGGREGATE_OPERATORS;
+
+// The operators that match values other than the ones given, which
+// collection UDF fields can't be compared with
+var NEGATED_OPERATORS = ['IS_NOT', 'NOT_IN', 'NOT_LIKE'];
 
-        template = "ST_DWithin(<%= column %>, ST_GeomFromEWKT('SRID=3587;POINT(" +
-            point.x + " " + point.y + ")'), " + radius + ")";
+exports.NEGATED_OPERATORS = NEGATED_OPERATORS;
 
-    return template;
+// `searchPredicateSql` returns the SQL matching `column` to a SEARCH string
+// using trigram word similarity (see the pg_trgm extension).
+//
+// If `config.search.indexed` is set, the words are also matched with the
+// `%>` operator, which unlike the word_similarity function can use a
+// trigram index on the normalized column. Indexes can't use unaccent, which
+// isn't immutable, so the column is normalized with the immutable
+// `otm_unaccent` wrapper instead (see the README).
+function searchPredicateSql(column, search) {
+    var unaccent = config.search.indexed ? 'otm_unaccent' : 'unaccent',
+        normalize = function(text) { return unaccent + '(lower(' + text + '))'; },
+        similarity;
+    if (!_.isString(search) || search.trim() === '') {
+        throw new Error('SEARCH predicates must be non-empty strings, not ' + JSON.stringify(search));
+    }
+    similarity = format('word_similarity(%s, %s) >= %s',
+                        normalize(sql.literal(search.trim())),
+                        normalize(column),
+                        sql.number(config.search.minWordSimilarity));
+    if (!config.search.indexed) {
+        return similarity;
+    }
+    return normalize(column) + ' %> ' + normalize(sql.literal(search.trim())) + ' AND ' + similarity;
 }
 
 // `accessHstore` takes an HStore column name and a key for that collection and
 // returns a sql escaped string for accessing that member in the SELECT clause
 // of a SQL statement.
-// accessHStore('grab_bag', 'is_valid') -> "grab_bag"->'is_valid'
+// accessHStore('grab_bag', 'is_valid') -> "grab_bag"::hstore->'is_valid'
 function accessHStore(hStoreColumn, accessor) {
-    // TODO: sql injection? why don't we call sanitize?
-    var t = _.template('"<%= hStoreColumn %>"::hstore->\'<%= accessor %>\'');
-    return t({hStoreColumn: hStoreColumn,
-              accessor: accessor.replace(/'/g, "''")});
+    return sql.identifier(hStoreColumn) + '::hstore->' + sql.literal(accessor);
 }
 
 
@@ -127,17 +301,24 @@ function accessHStore(hStoreColumn, accessor) {
 //---------------------------
 
 // `fieldNameToColumnName` converts a string of the format model.column
-// to "physicalTableName"."column" for simple fieldNames. For udf scalar or collection
-// fieldNames, the fieldName is converted to "physicalTableName"."column"->"hStoreMember".
+// to "physicalTableName"."column" for simple fieldNames. For udf scalar
+// fieldNames, the fieldName is converted to "physicalTableName"."column"->"hStoreMember",
+// and for collection fieldNames to the member of the collection value's data.
+// Derived fields are converted to the expression computing them.
 function fieldNameToColumnName(fieldName) {
     var concreteModel, model, column, customColumnName,
         tableName, modelAndColumn, udfCollectionData;
 
+    if (derivedFields.isDerivedField(fieldName)) {
+        return derivedFields.derivedFieldToSql(fieldName);
+    }
     if (fieldName.indexOf('udf:') === 0) {
         udfCollectionData = utils.parseUdfCollectionFieldName(fieldName);
-        model = udfCollectionData.modelName;
-        column = accessHStore('data', udfCollectionData.hStoreMember);
-        tableName = config.modelMapping.udf;
+        if (!udfCollectionData) {
+            throw new Error('Collection UDF field names should be of the form ' +
+                            '"udf:model:fieldDefId.field", not "' + fieldName + '"');
+        }
+        return collectionValueColumn(udfCollectionData.hStoreMember);
     } else {
         modelAndColumn = fieldName.split('.');
 
@@ -162,18 +343,42 @@ function fieldNameToColumnName(fieldName) {
             column = accessHStore(config.scalar_udf_field, column.substring(4));
             model = concreteModel === 'tree' ? 'tree' : 'mapFeature';
         } else {
-            column = utils.sanitizeSqlString(modelAndColumn[1]);
+            column = modelAndColumn[1];
+            if (!COLUMN_NAME_PATTERN.test(column)) {
+                throw new Error('Invalid field name: ' + fieldName);
+            }
             customColumnName = config.customDbFieldNames[column];
 
             column = customColumnName || column;
-            column = '"' + column + '"';
+            column = sql.identifier(column);
             model = concreteModel;
         }
 
         tableName = config.modelMapping[model]; // model is not sanitized because there is a whitelist
     }
 
-    return '"' + tableName + '".' + column;
+    return sql.identifier(tableName) + '.' + column;
+}
+
+// `isUdfColumn` returns true if `columnName`, the column for `fieldName`,
+// holds the text value of a UDF.
+function isUdfColumn(fieldName, columnName) {
+    return !derivedFields.isDerivedField(fieldName) && columnName.indexOf('->') !== -1;
+}
+
+// `fieldReferenceToColumnName` returns the column for the field referenced
+// by a {"FIELD": fieldName} value.
+function fieldReferenceToColumnName(reference) {
+    var columnName;
+    if (_.keys(reference).length !== 1 || !_.isString(reference.FIELD)) {
+        throw new Error('A field reference must be an object with a single FIELD name, not ' +
+                        JSON.stringify(reference));
+    }
+    columnName = fieldNameToColumnName(reference.FIELD);
+    if (isUdfColumn(reference.FIELD, columnName)) {
+        throw new Error('Fields can only be compared with model columns, not ' + reference.FIELD);
+    }
+    return columnName;
 }
 
 // `convertArrayValueToEscapedSqlLiteral` converts an array of string or number
@@ -206,8 +411,35 @@ function convertValueForIsNull(value) {
     return !!value ? "NULL" : "NOT NULL";
 }
 
+// `convertValueForContains` converts a non-empty list of strings to a SQL
+// text array.
+function convertValueForContains(value) {
+    if (!_.isArray(value) || value.length === 0 || !_.all(value, _.isString)) {
+        throw new Error('CONTAINS_ANY and CONTAINS_ALL predicates must be non-empty lists of strings, not ' +
+                        JSON.stringify(value));
+    }
+    return 'ARRAY[' + _.map(value, sql.literal).join(',') + ']::text[]';
+}
+
+// A Postgres regular expression matching the text of a JSON array of
+// strings, which can be cast to jsonb
+var JSON_STRING = '"([^"\\\\[:cntrl:]]|\\\\(["\\\\/bfnrt]|u[0-9A-Fa-f]{4}))*"';
+var JSON_STRING_ARRAY_PATTERN = '^\\s*\\[\\s*(' + JSON_STRING + '(\\s*,\\s*' + JSON_STRING + ')*)?\\s*\\]\\s*$';
+
+// `multichoiceColumn` converts a text column holding a JSON array, e.g. a
+// multichoice UDF, to jsonb. Other values, including those of UDFs that were
+// single choice before being made multichoice and malformed arrays that
+// would fail the cast, become a one element array.
+function multichoiceColumn(columnName) {
+    return format("(CASE WHEN (%s) ~ %s THEN (%s)::jsonb ELSE jsonb_build_array(%s) END)",
+                  columnName, sql.literal(JSON_STRING_ARRAY_PATTERN), columnName, columnName);
+}
+
 function convertValueForLike(value) {
-    return "'%" + utils.sanitizeSqlString(value).replace(/'/g, "''") + "%'";
+    if (!_.isString(value)) {
+        throw new Error('LIKE predicates must be strings, not ' + JSON.stringify(value));
+    }
+    return sql.literal('%' + value + '%');
 }
 
 // `validatePredicate` throws an error if the specified `predicate` object
@@ -245,9 +477,14 @@ function predicateValueAndTypeToFilterObject(predicateValue, predicateType) {
     // literal SQL
     if (t.predicateTransform) {
         return { sql_template: t.predicateTransform(predicateValue) };
+    } else if (t.predicateSql) {
+        // Values from the request can't be written into an underscore
+        // template, so the SQL is made for the column by a function
+        return { sql: function(column) { return t.predicateSql(column, predicateValue); } };
     } else {
         // _.isObject can be truthy for arrays
-        if (_.isObject(predicateValue) && !_.isArray(predicateValue)) {
+        if (_.isObject(predicateValue) && !_.isArray(predicateValue) &&
+            !utils.isDateValue(predicateValue) && !utils.isFieldReference(predicateValue)) {
             matcher = predicateValue.EXCLUSIVE ? t.exclusiveMatcher : t.matcher;
             value = predicateValue.value;
         } else if (_.contains(['MAX', 'MIN'], predicateType) &&
@@ -258,81 +495,235 @@ function predicateValueAndTypeToFilterObject(predicateValue, predicateType) {
             value = predicateValue;
         }
 
-        return { matcher: matcher, value: t.valueConverter(value) };
+        if (utils.isFieldReference(value)) {
+            if (!t.acceptsFields) {
+                throw new Error(predicateType + ' predicates cannot compare fields');
+            }
+            return { matcher: matcher, value: fieldReferenceToColumnName(value), isField: true };
+        }
+        return {
+            matcher: matcher,
+            value: t.valueConverter(value),
+            isDate: utils.isDateValue(value),
+            columnConverter: t.columnConverter
+        };
     }
 }
 
 // `predicateToFilterObjects` converts the specified `predicate` object into
 // an array of filter objects. Each element in the returned array will
-// be an object with two keys, `matcher` and `value` e.g. {matcher: "=", value: 4}
+// be an object with two keys, `matcher` and `value` e.g. {matcher: "=", value: 4},
+// optionally with a `columnConverter` function to apply to the column name,
 // or an object with a single key called `sql_template` that contains an
 // underscore template that accepts a `column` parameter. If `sql_template` is
 // provided, the template is evaluated and the result is used as the SQL.
+// Similarly, an `sql` key holds a function returning the SQL for a column.
 function predicateToFilterObjects(predicate) {
     validatePredicate(predicate);
     return _.reject(_.map(predicate, predicateValueAndTypeToFilterObject), _.isNull);
 }
 
-// `fieldNameAndPredicateToSql` converts the specified `fieldName` and `predicate`
-// object into a valid SQL WHERE clause.
-function fieldNameAndPredicateToSql(fieldName, predicate) {
-    var columnName = fieldNameToColumnName(fieldName);
+// `predicateToStatements` converts the specified `predicate` object into a
+// list of SQL conditions on `columnName`. The text values of `isHStore`
+// columns are converted to dates or numbers to compare them with dates or
+// numbers.
+function predicateToStatements(columnName, predicate, isHStore) {
     var filters = predicateToFilterObjects(predicate);
-    var filterStatements = _.map(filters, function(f) {
+    return _.map(filters, function(f) {
+        var column = columnName;
         // If a literal value is found it probably needs the column
         // name somewhere besides the LHS so we provide it via
         // an underscore template
         if (f.sql_template) {
-            return _.template(f.sql_template)({ 'column': columnName });
+            return _.template(f.sql_template)({ 'column': column });
+        } else if (f.sql) {
+            return f.sql(isHStore ? '(' + column + ')' : column);
+        } else if (f.columnConverter) {
+            return f.columnConverter(column) + ' ' + f.matcher + ' ' + f.value;
+        } else if (f.isField) {
+            if (isHStore) {
+                throw new Error('UDFs cannot be compared with other fields');
+            }
+            return column + ' ' + f.matcher + ' ' + f.value;
         } else {
-            if (columnName.indexOf('->') !== -1) {
+            if (isHStore) {
                 // if the column is an hstore field and the value is a
                 // datestring literal the hstore field must be converted
                 // from text to date before comparsion
-                if (_.isString(f.value) && f.value.indexOf('(DATE') === 0) {
-                    columnName = format("to_date(%s::text, '%s')",
-                                        columnName, utils.DATETIME_FORMATS.date);
+                if (f.isDate) {
+                    column = format("to_date(%s::text, '%s')",
+                                    column, utils.DATETIME_FORMATS.date);
                 } else if (_.isNumber(f.value)) {
-                    columnName = format("( %s )::float ", columnName);
+                    column = format("( %s )::float ", column);
                 } else {
-                    columnName = format("(%s)", columnName);
+                    column = format("(%s)", column);
                 }
             }
-            return columnName + ' ' + f.matcher + ' ' + f.value;
+            return column + ' ' + f.matcher + ' ' + f.value;
         }
     });
-    // If this is a query for collection UDFs, we need extra information in the
-    // WHERE clause to act as a join criteria, since the table is CROSS JOINed
-    if (fieldName.indexOf('udf:') === 0) {
-        var udfCollectionData = utils.parseUdfCollectionFieldName(fieldName);
-        var model = udfCollectionData.modelName;
+}
 
-        // Most collection UDFs relate to MapFeatures.  The odd duck
-        // is Tree Collection UDFs
-        var udfcTemplate = _.template(model === "tree" ?
-                                      config.udfcTemplates.tree :
-                                      config.udfcTemplates.mapFeature);
+// `fieldNameAndPredicateToSql` converts the specified `fieldName` and `predicate`
+// object into a valid SQL WHERE clause.
+function fieldNameAndPredicateToSql(fieldName, predicate) {
+    var columnName = fieldNameToColumnName(fieldName);
+    var filterStatements = predicateToStatements(columnName, predicate, isUdfColumn(fieldName, columnName));
+    return '(' + filterStatements.join(' AND ') + ')' ;
+}
+
+// `collectionValueColumn` returns the SQL for a field of the collection
+// values selected by the `config.udfcTemplates` subqueries.
+function collectionValueColumn(field) {
+    return sql.identifier('collection_value') + '.' + accessHStore('data', field);
+}
+
+// `collectionSubquery` returns a subquery selecting `aggregate` from a
+// feature's values of the collection UDF described by `udfCollectionData`
+// that match all of the SQL `conditions`.
+function collectionSubquery(udfCollectionData, aggregate, conditions) {
+    // Most collection UDFs relate to MapFeatures.  The odd duck
+    // is Tree Collection UDFs
+    var template = _.template(udfCollectionData.modelName === "tree" ?
+                              config.udfcTemplates.tree :
+                              config.udfcTemplates.mapFeature);
+    return '(' + template({
+        aggregate: aggregate,
+        fieldDefId: sql.integer(udfCollectionData.fieldDefId),
+        where: _.map(conditions, function(condition) { return ' AND ' + condition; }).join('')
+    }) + ')';
+}
 
-        filterStatements.push(
-            udfcTemplate({fieldDefId: udfCollectionData.fieldDefId}));
+// `collectionPredicatesToSql` converts the predicates of a filter object on
+// fields of the collection UDF `collectionName`, e.g. "udf:plot:18", into
+// an EXISTS subquery matching features with a value of the collection that
+// matches all of them. Unlike a join to the collection values, the subquery
+// doesn't return a row for each matching value, so queries don't need to
+// select DISTINCT rows.
+function collectionPredicatesToSql(collectionName, predicatesByFieldName) {
+    var conditions = _.map(predicatesByFieldName, function(predicate, fieldName) {
+        var negatedOperators = _.intersection(_.keys(predicate), NEGATED_OPERATORS);
+        if (negatedOperators.length > 0) {
+            throw new Error('Collection UDF fields cannot be compared with ' + negatedOperators.join(',') +
+                            '; use an aggregate predicate with "EXISTS": false instead');
+        }
+        return fieldNameAndPredicateToSql(fieldName, predicate);
+    });
+    return '(EXISTS ' + collectionSubquery(utils.parseUdfCollectionFieldName(collectionName), '1', conditions) + ')';
+}
+
+// `aggregateComparisonToStatements` converts the predicate comparing the
+// value of the `aggregateSql` subquery for an `aggregate` into SQL conditions.
+function aggregateComparisonToStatements(aggregate, aggregateSql, valueOrPredicate) {
+    var predicate = valueOrPredicateToPredicate(valueOrPredicate);
+    _.each(predicate, function(__, key) {
+        if (!_.contains(AGGREGATE_OPERATORS[aggregate], key)) {
+            throw new Error(aggregate + ' can only be compared with ' +
+                            AGGREGATE_OPERATORS[aggregate].join(',') + ', not ' + key);
+        }
+    });
+    return predicateToStatements(aggregateSql, predicate, false);
+}
+
+// `aggregatePredicateToSql` converts an aggregate predicate on the
+// collection UDF `fieldName` into correlated subqueries.
+function aggregatePredicateToSql(fieldName, predicate) {
+    var udfCollectionData = utils.parseUdfCollectionFieldName(fieldName),
+        valueConditions = [],
+        statements = [];
+
+    function subquery(aggregate) {
+        return collectionSubquery(udfCollectionData, aggregate, valueConditions);
     }
-    return '(' + filterStatements.join(' AND ') + ')' ;
+
+    if (!_.isObject(predicate) || _.isArray(predicate)) {
+        throw new Error('Aggregate predicates on ' + fieldName + ' must be objects');
+    }
+    _.each(predicate, function(__, key) {
+        if (key !== 'WHERE' && key !== 'EXISTS' && !_.has(AGGREGATE_OPERATORS, key)) {
+            throw new Error('Aggregate predicates support the following keys: WHERE,EXISTS,' +
+                            _.keys(AGGREGATE_OPERATORS).join(',') + ' not ' + key);
+        }
+    });
+    if (_.isEmpty(_.omit(predicate, 'WHERE'))) {
+        throw new Error('Aggregate predicates on ' + fieldName + ' must have an aggregate to compare');
+    }
+
+    if (_.has(predicate, 'WHERE')) {
+        if (!_.isObject(predicate.WHERE) || _.isArray(predicate.WHERE) || _.isEmpty(predicate.WHERE)) {
+            throw new Error('The WHERE of an aggregate predicate must be a non-empty object');
+        }
+        _.each(predicate.WHERE, function(valueOrPredicate, field) {
+            valueConditions = valueConditions.concat(
+                predicateToStatements(collectionValueColumn(field), valueOrPredicateToPredicate(valueOrPredicate), true));
+        });
+    }
+    if (_.has(predicate, 'COUNT')) {
+        statements = statements.concat(
+            aggregateComparisonToStatements('COUNT', subquery('COUNT(*)'), predicate.COUNT));
+    }
+    if (_.has(predicate, 'EXISTS')) {
+        if (!_.isBoolean(predicate.EXISTS)) {
+            throw new Error('EXISTS must be true or false');
+        }
+        statements.push((predicate.EXISTS ? 'EXISTS ' : 'NOT EXISTS ') + subquery('1'));
+    }
+    _.each({LATEST: 'MAX', EARLIEST: 'MIN'}, function(sqlAggregate, aggregate) {
+        var comparison = predicate[aggregate],
+            field;
+        if (_.isUndefined(comparison)) {
+            return;
+        }
+        if (!_.isObject(comparison) || _.isArray(comparison) || _.keys(comparison).length !== 1) {
+            throw new Error(aggregate + ' must be an object with a single date field');
+        }
+        field = _.keys(comparison)[0];
+        statements = statements.concat(aggregateComparisonToStatements(
+            aggregate,
+            subquery(format("%s(to_date(%s::text, '%s'))", sqlAggregate, collectionValueColumn(field),
+                            utils.DATETIME_FORMATS.date)),
+            comparison[field]));
+    });
+    return '(' + statements.join(' AND ') + ')';
+}
+
+// `valueOrPredicateToPredicate` converts the shorthand for an IS predicate,
+// a literal value, into a predicate object.
+function valueOrPredicateToPredicate(valueOrPredicate) {
+    if (!_.isObject(valueOrPredicate) || utils.isDateValue(valueOrPredicate) ||
+        utils.isFieldReference(valueOrPredicate)) {
+        return {"IS": valueOrPredicate};
+    }
+    return valueOrPredicate;
 }
 
-// `objectToSql` converts a filter object to a valid SQL WHERE clause.
+// `objectToSql` converts a filter object to a valid SQL WHERE clause. The
+// predicates on the fields of each collection UDF are combined into a
+// single statement, in the place of the first of them.
 function objectToSql(o) {
-    var statements = [];
+    var statements = [],
+        collections = {};
     if (Object.keys(o).length === 0) {
         return '';
     }
     _.each(o, function (valueOrPredicate, fieldName) {
-        var predicate;
-        if (!_.isObject(valueOrPredicate)) {
-            predicate = {"IS": valueOrPredicate};
+        var udfCollectionData = utils.parseUdfCollectionFieldName(fieldName),
+            collectionName;
+        if (utils.isUdfCollectionAggregateFieldName(fieldName)) {
+            statements.push(aggregatePredicateToSql(fieldName, valueOrPredicate));
+        } else if (udfCollectionData) {
+            collectionName = 'udf:' + udfCollectionData.modelName + ':' + udfCollectionData.fieldDefId;
+            if (!_.has(collections, collectionName)) {
+                collections[collectionName] = {index: statements.length, predicates: {}};
+                statements.push(null);
+            }
+            collections[collectionName].predicates[fieldName] = valueOrPredicateToPredicate(valueOrPredicate);
         } else {
-            predicate = valueOrPredicate;
+            statements.push(fieldNameAndPredicateToSql(fieldName, valueOrPredicateToPredicate(valueOrPredicate)));
         }
-        statements.push(fieldNameAndPredicateToSql(fieldName, predicate));
+    });
+    _.each(collections, function(collection, collectionName) {
+        statements[collection.index] = collectionPredicatesToSql(collectionName, collection.predicates);
     });
     return statements.join(' AND ');
 }
@@ -343,9 +734,21 @@ function arrayToSql(a) {
     utils.traverseCombinator(a, function(filter, index) {
         statements.push(filterToSql(filter));
     });
+    if (a[0] === 'NOT') {
+        return notToSql(statements[0]);
+    }
     return '(' + statements.join(' ' + a[0] + ' ') + ')';
 }
 
+// `notToSql` negates the SQL for a filter. A comparison with NULL is
+// neither true nor false, so it is treated as false before negating.
+function notToSql(sql) {
+    if (sql === '') {
+        throw new Error('A "NOT" combinator cannot negate an empty filter');
+    }
+    return '(NOT COALESCE(' + sql + ', FALSE))';
+}
+
 // `filterToSql` converts any filter object or combinator array into a valid SQL WHERE clause.
 function filterToSql(f) {
     if (_.isArray(f)) {
@@ -3,6 +3,8 @@
 var _ = require('underscore');
 var moment = require('moment');
 var config = require('./config');
+var sql = require('./sqlLiterals');
+var relativeDate = require('./relativeDate');
 
 // The `DATETIME_FORMATS` dictionary contains constant strings used to validate
 // and format date and datetime strings.
@@ -30,18 +32,36 @@ function dateTimeStringToSqlValue(dtString) {
     var m = moment(dtString, DATETIME_FORMATS.full, STRICT).isValid() ?
         moment(dtString, DATETIME_FORMATS.full, STRICT) :
         moment(dtString, DATETIME_FORMATS.fullWithT, STRICT);
-    return "(DATE '" + m.format(DATETIME_FORMATS.date) +
-        "' + TIME '" + m.format(DATETIME_FORMATS.time) + "')";
+    return "(CAST(" + sql.literal(m.format(DATETIME_FORMATS.date)) + " AS DATE)" +
+        " + CAST(" + sql.literal(m.format(DATETIME_FORMATS.time)) + " AS TIME))";
 }
 
+// `isDateValue` returns true if a filter value is compared as a date,
+// either a datetime string or a relative date (see relativeDate.js).
+function isDateValue(value) {
+    return (_.isString(value) && isDateTimeString(value)) || relativeDate.isRelativeDate(value);
+}
+
+// `isFieldReference` returns true if a filter value is a reference to
+// another field, e.g. {"FIELD": "tree.canopy_height"}.
+function isFieldReference(value) {
+    return _.isObject(value) && !_.isArray(value) && _.has(value, 'FIELD');
+}
+
+var COMBINATORS = ["AND", "OR", "NOT"];
+
 function traverseCombinator (array, callback) {
     if (array.length === 0) {
         throw new Error("An empty array is not a valid combinator");
     }
-    if (array[0] !== "AND" && array[0] !== "OR") {
-        throw new Error('The first element of a combinator array must be "AND" or "OR", not ' + array[0]);
+    if (!_.contains(COMBINATORS, array[0])) {
+        throw new Error('The first element of a combinator array must be one of ' +
+                        COMBINATORS.join(', ') + ', not ' + array[0]);
+    }
+    if (array[0] === "NOT" && array.length !== 2) {
+        throw new Error('A "NOT" combinator must be followed by exactly one filter');
     }
-    // Use _.rest to skip the "AND"/"OR"
+    // Use _.rest to skip the "AND"/"OR"/"NOT"
     _.each(_.rest(array), callback);
 }
 
@@ -55,53 +75,49 @@ function isTreeInDisplayFilters (displayFilters) {
 }
 
 // `convertValueToEscapedSqlLiteral` converts a string or number literal
-// to be used as SQL query values by wrapping non-numeric values in single quotes,
-// escaping single quotes within string literals by converting them into
-// a pair of single quotes, converting YYYY-MM-DD HH:mm:ss datetime strings
-// into the correct Postgres literal, and converting null into the string NULL.
+// to be used as SQL query values by quoting non-numeric values (see
+// sqlLiterals.js), converting YYYY-MM-DD HH:mm:ss datetime strings
+// and relative dates into the correct Postgres date values, and converting
+// null into the string NULL.
 function convertValueToEscapedSqlLiteral (value) {
-    if (_.isNumber(value)) {
-        return value;
-    } else if (value === null) {
-        return "NULL";
-    } else if (_.isBoolean(value)) {
-        return value ? "TRUE" : "FALSE";
-    } else if (isDateTimeString(value)) {
+    if (relativeDate.isRelativeDate(value)) {
+        return relativeDate.relativeDateToSql(value);
+    }
+    if (_.isString(value) && isDateTimeString(value)) {
         return dateTimeStringToSqlValue(value);
-    } else {
-        return "'" + sanitizeSqlString(value).replace(/'/g, "''") + "'";
     }
-}
-
-// The tiler is built on top of Windshaft, which uses sql strings for filtering
-// rather than a more complex (but safer) parameterized query system. As a result
-// we need this 'sanitizeSqlString' method to remove malicous SQL injection tricks.
-function sanitizeSqlString (value) {
-    // Strip off a trailing statement to prevent "value = 4; DROP TABLE FOO;"
-    return value.replace(/;[\w\s;]*$/, '');
+    return sql.literal(value);
 }
 
 // Clauses in the filterObject that correspond to
 // `(python)UserDefinedCollectionValue` data are transmitted as keys
-// with a special syntax. `parseUdfCollectionFieldName` parses this
-// syntax into an object of the relevant components.
+// with a special syntax, "udf:model:fieldDefId.field", matched by
+// `COLLECTION_UDF_PATTERN`. `parseUdfCollectionFieldName` parses this
+// syntax into an object of the relevant components, or returns null if
+// `fieldName` doesn't match it.
+var COLLECTION_UDF_PATTERN = /^udf:([A-Za-z]+):([0-9]+)(?:\.(.+))?$/;
+
 function parseUdfCollectionFieldName (fieldName) {
-    var tokens = fieldName.split(':'),
-        fieldDefIdAndHStoreMember;
+    var match = COLLECTION_UDF_PATTERN.exec(fieldName);
 
-    if (tokens.length !== 3) {
+    if (!match) {
         return null;
     }
 
-    fieldDefIdAndHStoreMember = tokens[2].split('.');
-
     return {
-        modelName: tokens[1],
-        fieldDefId: fieldDefIdAndHStoreMember[0],
-        hStoreMember: fieldDefIdAndHStoreMember[1]
+        modelName: match[1],
+        fieldDefId: match[2],
+        hStoreMember: match[3]
     };
 }
 
+// Collection UDF field names without a field, e.g. "udf:plot:18", are used
+// for aggregate predicates over all of a model's values of that collection.
+function isUdfCollectionAggregateFieldName (fieldName) {
+    var udfCollectionData = parseUdfCollectionFieldName(fieldName);
+    return !!udfCollectionData && udfCollectionData.hStoreMember === undefined;
+}
+
 function filterObjectKeys(fObj) {
     var keys = [];
     if (_.isArray(fObj)) {
@@ -114,18 +130,50 @@ function filterObjectKeys(fObj) {
     return keys;
 }
 
+// `filterObjectReferencedFields` returns the names of the fields referenced
+// by values in a filter object, e.g. by {"FIELD": "tree.canopy_height"}.
+function filterObjectReferencedFields(fObj) {
+    var fields = [];
+    function addReferences(value) {
+        if (isFieldReference(value)) {
+            fields.push(value.FIELD);
+        } else if (_.isObject(value)) {
+            _.each(value, addReferences);
+        }
+    }
+    if (_.isArray(fObj)) {
+        traverseCombinator(fObj, function (nestedfObj) {
+            fields = fields.concat(filterObjectReferencedFields(nestedfObj));
+        });
+    } else {
+        _.each(fObj, addReferences);
+    }
+    return fields;
+}
+
 module.exports = {
     traverseCombinator: traverseCombinator,
 
     filterObjectKeys: filterObjectKeys,
 
+    filterObjectReferencedFields: filterObjectReferencedFields,
+
+    isFieldReference: isFieldReference,
+
     isTreeInDisplayFilters: isTreeInDisplayFilters,
 
     convertValueToEscapedSqlLiteral: convertValueToEscapedSqlLiteral,
 
-    sanitizeSqlString: sanitizeSqlString,
+    isDateValue: isDateValue,
+
 
     parseUdfCollectionFieldName: parseUdfCollectionFieldName,
 
+    isUdfCollectionAggregateFieldName: isUdfCollectionAggregateFieldName,
+
+    COLLECTION_UDF_PATTERN: COLLECTION_UDF_PATTERN,
+
+    COMBINATORS: COMBINATORS,
+
     DATETIME_FORMATS: DATETIME_FORMATS
 };
@@ -3,12 +3,15 @@
 var _ = require('underscore');
 var config = require('./config');
 var utils = require("./filterObjectUtils");
+var derivedFields = require("./derivedFields");
 
-exports = module.exports = function (filterObject, displayFilters, isPolygonRequest, isUtfGridRequest) {
+// `extraModels` is an optional list of models referenced outside of the
+// filter object (e.g. by a selected field) that must also be joined.
+exports = module.exports = function (filterObject, displayFilters, isPolygonRequest, isUtfGridRequest, extraModels) {
     if (_.isUndefined(filterObject) || _.isNull(filterObject)) {
         throw new Error('A null or undefined filter object cannot be converted to SQL');
     }
-    var models = getModelsForFilterObject(filterObject);
+    var models = _.union(getModelsForFilterObject(filterObject), extraModels || []);
 
     if ((!isPolygonRequest && !isUtfGridRequest) ||
         (displayFilters && utils.isTreeInDisplayFilters(displayFilters))) {
@@ -54,16 +57,18 @@ function getSqlAndModels(models) {
 
 // `getModelsForFilterObject` looks at a nested filterObject with
 // clauses and produces a flat list of models to use in FROM/JOIN
-// clauses.
+// clauses, including the models of fields compared with other fields and
+// the models derived fields are computed from.
 function getModelsForFilterObject(object) {
     function fieldNameToModel(fieldName) {
         var model;
+        if (derivedFields.isDerivedField(fieldName)) {
+            return derivedFields.getDerivedField(fieldName).models;
+        }
         if (fieldName.indexOf('udf:') === 0) {
+            // Collection UDFs are subqueries correlated with the model's table
             model = utils.parseUdfCollectionFieldName(fieldName).modelName;
-            if (model === "tree") {
-                return ["tree", "udf"];
-            }
-            return ["udf"];
+            return [model === "tree" ? "tree" : "mapFeature"];
         }
 
         model = fieldName.split('.')[0];
@@ -74,6 +79,7 @@ function getModelsForFilterObject(object) {
         }
         return [model];
     }
-    return _.uniq(_.flatten(_.map(utils.filterObjectKeys(object), fieldNameToModel)));
+    var fieldNames = utils.filterObjectKeys(object).concat(utils.filterObjectReferencedFields(object));
+    return _.uniq(_.flatten(_.map(fieldNames, fieldNameToModel)));
 }
 
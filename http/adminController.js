@@ -0,0 +1,91 @@
+"use strict";
+
+var crypto = require('crypto');
+var _ = require('underscore');
+
+var bbox = require('./bbox.js');
+
+/**
+ * Administrative endpoints, authenticated with a shared token sent as
+ * "Authorization: Bearer <token>". The endpoints are disabled unless a
+ * token is configured.
+ *
+ * @param app
+ * @param {TileCacheStore} tileCacheStore
+ * @param {InstanceConfigCache} instanceConfigCache
+ * @param {string} adminToken
+ * @constructor
+ */
+function AdminController(app, tileCacheStore, instanceConfigCache, adminToken) {
+    this._app = app;
+    this.tileCacheStore = tileCacheStore;
+    this.instanceConfigCache = instanceConfigCache;
+    this.adminToken = adminToken;
+}
+
+module.exports = AdminController;
+
+
+AdminController.prototype.register = function(app) {
+    app.post('/admin/purge', this.authenticate.bind(this), this.purge.bind(this));
+};
+
+AdminController.prototype.authenticate = function(req, res, next) {
+    var expected = Buffer.from('Bearer ' + (this.adminToken || '')),
+        actual = Buffer.from(req.headers.authorization || '');
+
+    // Compare in constant time so the token can't be guessed by timing
+    if (!this.adminToken || actual.length !== expected.length ||
+            !crypto.timingSafeEqual(actual, expected)) {
+        this._app.sendError(res, { errors: ['Not authorized'] }, 403, 'ADMIN');
+        return;
+    }
+    next();
+};
+
+// Purges the cached tiles of an instance. Parameters may be sent in the
+// body or the query string:
+//
+// * instance_id: required
+// * table: optional, e.g. "treemap_mapfeature"
+// * bbox: optional, "west,south,east,north" in longitude/latitude
+//
+// Responds with the purge that was made and the number of layergroups
+// removed from the MapStore.
+AdminController.prototype.purge = function(req, res) {
+    var self = this,
+        params = _.extend({}, req.query, req.body),
+        instanceId = parseInt(params.instance_id, 10),
+        table = params.table || null,
+        purgeBbox = null;
+
+    if (isNaN(instanceId)) {
+        this._app.sendError(res, { errors: ['Invalid argument: instance_id'] }, 400, 'ADMIN');
+        return;
+    }
+    if (table && !/^[a-z_]+$/.test(table)) {
+        this._app.sendError(res, { errors: ['Invalid argument: table'] }, 400, 'ADMIN');
+        return;
+    }
+    if (params.bbox) {
+        purgeBbox = bbox.parse(params.bbox);
+        if (!purgeBbox) {
+            this._app.sendError(res, { errors: ['Invalid argument: bbox'] }, 400, 'ADMIN');
+            return;
+        }
+    }
+
+    this.instanceConfigCache.invalidate(instanceId);
+    this.tileCacheStore.purge(instanceId, table, purgeBbox, function(err, layergroupCount) {
+        if (err) {
+            self._app.sendError(res, { errors: ['' + err] }, 500, 'ADMIN', err);
+            return;
+        }
+        res.send({
+            instance_id: instanceId,
+            table: table,
+            bbox: purgeBbox,
+            layergroups: layergroupCount
+        }, 200);
+    });
+};
@@ -0,0 +1,29 @@
+"use strict";
+
+var _ = require('underscore');
+
+var EARTH_RADIUS_KILOMETERS = 6378.137;
+
+// `parse` converts a "west,south,east,north" longitude/latitude string
+// into an array of numbers, returning undefined if it is not valid.
+function parse(bboxString) {
+    var bbox = _.map(('' + (bboxString || '')).split(','), Number);
+    if (bbox.length !== 4 || !_.all(bbox, isFinite) ||
+            bbox[0] >= bbox[2] || bbox[1] >= bbox[3] ||
+            bbox[0] < -180 || bbox[2] > 180 || bbox[1] < -90 || bbox[3] > 90) {
+        return undefined;
+    }
+    return bbox;
+}
+
+// `areaSquareKilometers` returns the area of a bbox on a spherical earth.
+function areaSquareKilometers(bbox) {
+    var radians = Math.PI / 180;
+    return EARTH_RADIUS_KILOMETERS * EARTH_RADIUS_KILOMETERS * (bbox[2] - bbox[0]) * radians *
+        Math.abs(Math.sin(bbox[3] * radians) - Math.sin(bbox[1] * radians));
+}
+
+module.exports = {
+    parse: parse,
+    areaSquareKilometers: areaSquareKilometers
+};
@@ -0,0 +1,77 @@
+"use strict";
+
+var makeSql = require('../makeSql.js');
+var sqlLiterals = require('../sqlLiterals.js');
+var colorBy = require('../colorBy.js');
+
+/**
+ * Looks up the categories of color-by options for each instance (see
+ * colorBy.js), caching them in process for `opts.ttl` milliseconds so that
+ * tiles don't cost a query each. The least recently loaded entry is evicted
+ * once there are more than `opts.maxSize` entries.
+ *
+ * @param {Pg.Pool} dbPool
+ * @param {object} opts - {maxSize: number, ttl: number}
+ * @constructor
+ */
+function ColorByCategories(dbPool, opts) {
+    this.dbPool = dbPool;
+    this.maxSize = opts.maxSize;
+    this.ttl = opts.ttl;
+    this.now = opts.now || Date.now;
+    // Keyed by "<instance_id>:<color-by option>", oldest first
+    this.entries = new Map();
+}
+
+module.exports = ColorByCategories;
+
+
+// Calls back with the categories of the color-by option `colorByName` for
+// `instanceId`, or null if the option is not colored by category. Calls
+// back with an error if there is no such option.
+ColorByCategories.prototype.load = function(instanceId, colorByName, instanceConfig, callback) {
+    var self = this,
+        key = instanceId + ':' + colorByName,
+        entry = this.entries.get(key),
+        query;
+
+    try {
+        if (!colorBy.hasCategories(colorByName)) {
+            callback(null, null);
+            return;
+        }
+        query = sqlLiterals.parameterized(function() {
+            return makeSql.makeSqlForColorByCategories(instanceId, colorByName, instanceConfig);
+        });
+    } catch (err) {
+        err.http_status = 400;
+        callback(err);
+        return;
+    }
+    if (entry && this.now() < entry.expires) {
+        callback(null, entry.categories);
+        return;
+    }
+
+    this.dbPool.connect(function(err, client, done) {
+        if (err) {
+            done();
+            callback(err);
+            return;
+        }
+        client.query(query.text, query.values, function(err, result) {
+            done();
+            if (err) {
+                callback(err);
+                return;
+            }
+            var categories = result.rows.map(function(row) { return row.value; });
+            self.entries.delete(key);
+            self.entries.set(key, {categories: categories, expires: self.now() + self.ttl});
+            if (self.entries.size > self.maxSize) {
+                self.entries.delete(self.entries.keys().next().value);
+            }
+            callback(null, categories);
+        });
+    });
+};
@@ -0,0 +1,64 @@
+"use strict";
+
+var colorBy = require('../colorBy.js');
+var config = require('../config.js');
+
+/**
+ * Describes the colors of tiles colored by a color-by option, so that a
+ * client can show a legend for them.
+ *
+ *     GET <base_url>/color_by.json?instance_id=1&color_by=species
+ *
+ * responds with
+ *
+ *     {"color_by": "species", "field": "species.id", "legend": [...]}
+ *
+ * where `legend` lists the color of each bucket or category (see
+ * colorBy.makeLegend).
+ *
+ * @param app
+ * @param {ColorByCategories} colorByCategories
+ * @constructor
+ */
+function ColorByController(app, colorByCategories) {
+    this._app = app;
+    this.colorByCategories = colorByCategories;
+}
+
+module.exports = ColorByController;
+
+
+ColorByController.prototype.register = function(app) {
+    app.get(app.base_url + '/color_by.json', this.legend.bind(this));
+};
+
+ColorByController.prototype.legend = function(req, res) {
+    var self = this,
+        instanceid = parseInt(req.query.instance_id, 10),
+        colorByName = req.query[config.colorByQueryArgumentName];
+
+    this._app.doCORS(res);
+
+    if (isNaN(instanceid)) {
+        this._app.sendError(res, { errors: ['Invalid argument: instance_id'] }, 400, 'COLOR BY');
+        return;
+    }
+    if (!colorByName) {
+        this._app.sendError(res, { errors: ['Missing argument: ' + config.colorByQueryArgumentName] }, 400,
+                            'COLOR BY');
+        return;
+    }
+
+    this.colorByCategories.load(instanceid, colorByName, req.instanceConfig, function(err, categories) {
+        if (err) {
+            self._app.sendError(res, { errors: ['' + (err.message || err)] }, self._app.findStatusCode(err),
+                                'COLOR BY', err);
+            return;
+        }
+        res.send({
+            color_by: colorByName,
+            field: colorBy.getFieldName(colorByName),
+            legend: colorBy.makeLegend(colorByName, categories)
+        }, 200);
+    });
+};
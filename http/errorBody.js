@@ -0,0 +1,24 @@
+"use strict";
+
+// `errorBody` returns the body of an error response for `err`, as
+//
+//     {"errors": ["..."], "filter_errors": [...]}
+//
+// where `filter_errors` lists each problem of an invalid filter (see
+// validateFilter.js) and is only present for those.
+module.exports = function errorBody(err) {
+    // See https://github.com/Vizzuality/Windshaft-cartodb/issues/68
+    var errMsg = err.message ? ( '' + err.message ) : ( '' + err );
+
+    // Rewrite mapnik parsing errors to start with layer number
+    var matches = errMsg.match("(.*) in style 'layer([0-9]+)'");
+    if (matches) {
+        errMsg = 'style'+matches[2]+': ' + matches[1];
+    }
+
+    var body = { errors: [errMsg] };
+    if (err.errors) {
+        body.filter_errors = err.errors;
+    }
+    return body;
+};
@@ -0,0 +1,197 @@
+"use strict";
+
+var _ = require('underscore');
+
+var makeSql = require('../makeSql.js');
+var sqlLiterals = require('../sqlLiterals.js');
+var savedFilters = require('../savedFilters.js');
+var config = require('../config.js');
+var bbox = require('./bbox.js');
+var errorBody = require('./errorBody.js');
+
+/**
+ * Streams the map features matched by a tile request's filters as a
+ * GeoJSON FeatureCollection, so the features behind a filtered map view
+ * can be retrieved directly.
+ *
+ * @param app
+ * @param {Pg.Pool} dbPool
+ * @constructor
+ */
+function ExportController(app, dbPool) {
+    this._app = app;
+    this.dbPool = dbPool;
+}
+
+module.exports = ExportController;
+
+
+ExportController.prototype.register = function(app) {
+    app.get(app.base_url + '/features.geojson', this.features.bind(this));
+};
+
+ExportController.prototype.features = function(req, res) {
+    var self = this,
+        table = req.params.table,
+        isPolygonRequest = (table === 'stormwater_polygonalmapfeature'),
+        instanceid = parseInt(req.query.instance_id, 10),
+        exportBbox = bbox.parse(req.query.bbox),
+        filterStrings, query;
+
+    this._app.doCORS(res);
+
+    if (table !== 'treemap_mapfeature' && !isPolygonRequest) {
+        this._app.sendError(res, { errors: ['Features cannot be exported from ' + table] }, 404, 'EXPORT');
+        return;
+    }
+    if (isNaN(instanceid)) {
+        this._app.sendError(res, { errors: ['Invalid argument: instance_id'] }, 400, 'EXPORT');
+        return;
+    }
+    if (!exportBbox) {
+        this._app.sendError(res, { errors: ['Invalid argument: bbox'] }, 400, 'EXPORT');
+        return;
+    }
+    if (bbox.areaSquareKilometers(exportBbox) > config.export.maxAreaSquareKilometers) {
+        this._app.sendError(res, { errors: ['The bbox of an export can cover at most ' +
+                                            config.export.maxAreaSquareKilometers + ' square kilometers'] },
+                            400, 'EXPORT');
+        return;
+    }
+
+    try {
+        filterStrings = savedFilters.requestFilterStrings(req.query, req.savedFilter);
+        query = sqlLiterals.parameterized(function() {
+            return makeSql.makeSqlForMapFeatureExport(filterStrings.filter,
+                                                      filterStrings.display,
+                                                      filterStrings.restrict,
+                                                      instanceid,
+                                                      exportBbox,
+                                                      isPolygonRequest,
+                                                      req.instanceConfig);
+        });
+    } catch (err) {
+        this._app.sendError(res, errorBody(err), err.http_status || 400, 'EXPORT', err);
+        return;
+    }
+
+    this.dbPool.connect(function(err, client, done) {
+        if (err) {
+            done();
+            self._app.sendError(res, { errors: ['' + err] }, 500, 'EXPORT', err);
+            return;
+        }
+        self.streamFeatures(client, query, res, done);
+    });
+};
+
+// Features are fetched from a cursor in batches, and the next batch is only
+// fetched once the response has been written out, so large exports are never
+// held in memory. At most `config.export.maxFeatures` features are written,
+// and a truncated export has `"truncated": true` after its features. The
+// response is not started until the first batch has been fetched, so that
+// SQL errors can still be reported with an error status.
+//
+// `query` is a parameterized query (see sqlLiterals.parameterized).
+ExportController.prototype.streamFeatures = function(client, query, res, done) {
+    var self = this,
+        limits = config.export,
+        featureCount = 0,
+        truncated = false,
+        started = false,
+        closed = false;
+
+    res.on('close', function() {
+        closed = true;
+    });
+
+    function start() {
+        started = true;
+        res.header('Content-Type', 'application/geo+json');
+        res.write('{"type":"FeatureCollection","features":[');
+    }
+
+    // Returns false if the response should drain before more is written
+    function writeFeature(row) {
+        var separator = featureCount === 0 ? '' : ',';
+        featureCount++;
+        return res.write(separator + '{"type":"Feature","id":' + JSON.stringify(row.id) +
+                         ',"geometry":' + row.geojson +
+                         ',"properties":' + JSON.stringify(_.omit(row, 'geojson')) + '}');
+    }
+
+    function finish(err) {
+        client.query(err ? 'ROLLBACK' : 'COMMIT', function(endErr) {
+            // A client whose transaction failed is discarded by the pool
+            done(err || endErr);
+            if (err && !started) {
+                self._app.sendError(res, { errors: ['' + err] }, self._app.findStatusCode(err), 'EXPORT', err);
+            } else if (err) {
+                // Too late to change the status, so end the (now invalid) document
+                console.error("otm.export: " + err);
+                res.end();
+            } else if (!closed) {
+                if (!started) {
+                    start();
+                }
+                res.end(truncated ? '],"truncated":true}' : ']}');
+            }
+        });
+    }
+
+    function resume() {
+        res.removeListener('drain', resume);
+        res.removeListener('close', resume);
+        fetch();
+    }
+
+    function fetch() {
+        // Fetching one feature more than the limit tells if there are more
+        var count = Math.min(limits.batchSize, limits.maxFeatures - featureCount + 1);
+
+        if (closed) {
+            finish();
+            return;
+        }
+        client.query('FETCH ' + count + ' FROM otm_export', function(err, result) {
+            var rows, writable = true;
+            if (err) {
+                finish(err);
+                return;
+            }
+            rows = result.rows;
+            if (featureCount + rows.length > limits.maxFeatures) {
+                truncated = true;
+                rows = rows.slice(0, limits.maxFeatures - featureCount);
+            }
+            if (!started) {
+                start();
+            }
+            _.each(rows, function(row) {
+                writable = writeFeature(row) && writable;
+            });
+            if (truncated || result.rows.length < count) {
+                finish();
+            } else if (writable) {
+                fetch();
+            } else {
+                res.on('drain', resume);
+                res.on('close', resume);
+            }
+        });
+    }
+
+    client.query('BEGIN', function(err) {
+        if (err) {
+            finish(err);
+            return;
+        }
+        client.query('DECLARE otm_export NO SCROLL CURSOR FOR ' + query.text, query.values, function(err) {
+            if (err) {
+                finish(err);
+                return;
+            }
+            fetch();
+        });
+    });
+};
@@ -0,0 +1,136 @@
+"use strict";
+
+/**
+ * An in-process cache of parsed instance configs, keyed by instance id.
+ *
+ * Entries expire after `ttl` milliseconds, and the least recently used
+ * entry is evicted once there are more than `maxSize` entries. Entries can
+ * also be invalidated as soon as an instance's config changes by calling
+ * `listen`, which evicts the instance whose id is sent as the payload of a
+ * Postgres NOTIFY on the configured channel, e.g.
+ *
+ *     NOTIFY otm_instance_config, '42';
+ *
+ * (see the trigger sending these in the README).
+ *
+ * Cached configs are shared by every request for the instance, so they are
+ * frozen rather than copied for each request.
+ *
+ * @param {object} opts - {maxSize: number, ttl: number}
+ * @constructor
+ */
+function InstanceConfigCache(opts) {
+    this.maxSize = opts.maxSize;
+    this.ttl = opts.ttl;
+    this.now = opts.now || Date.now;
+    // A Map iterates in insertion order, so re-inserting an entry when it is
+    // used keeps the least recently used entry first.
+    this.entries = new Map();
+    // Incremented whenever entries are invalidated (see `set`)
+    this.generation = 0;
+}
+
+module.exports = InstanceConfigCache;
+
+
+// Returns the cached config for `instanceId`, or undefined if there is no
+// entry or it has expired.
+InstanceConfigCache.prototype.get = function(instanceId) {
+    var entry = this.entries.get(instanceId);
+    if (!entry) {
+        return undefined;
+    }
+    this.entries.delete(instanceId);
+    if (this.now() >= entry.expires) {
+        return undefined;
+    }
+    this.entries.set(instanceId, entry);
+    return entry.config;
+};
+
+// Caches `config` for `instanceId`, freezing it. A config loaded while an
+// entry was invalidated may already be out of date, so it is not cached
+// unless `generation`, the value of `this.generation` from before the
+// config was loaded, is still current.
+InstanceConfigCache.prototype.set = function(instanceId, config, generation) {
+    if (generation !== undefined && generation !== this.generation) {
+        return;
+    }
+    this.entries.delete(instanceId);
+    this.entries.set(instanceId, {config: deepFreeze(config), expires: this.now() + this.ttl});
+    if (this.entries.size > this.maxSize) {
+        this.entries.delete(this.entries.keys().next().value);
+    }
+};
+
+InstanceConfigCache.prototype.invalidate = function(instanceId) {
+    this.generation++;
+    this.entries.delete(instanceId);
+};
+
+InstanceConfigCache.prototype.clear = function() {
+    this.generation++;
+    this.entries.clear();
+};
+
+function deepFreeze(value) {
+    if (value !== null && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.freeze(value);
+        Object.keys(value).forEach(function(key) {
+            deepFreeze(value[key]);
+        });
+    }
+    return value;
+}
+
+// Holds a connection from `dbPool` open to LISTEN for instance config
+// changes on `channel`. If the connection is lost every entry is cleared,
+// since notifications may have been missed, and listening is retried.
+//
+// The connection is held for as long as the server runs, so the pool needs
+// one more connection than the queries it serves would.
+InstanceConfigCache.prototype.listen = function(dbPool, channel, retryDelay) {
+    var self = this;
+
+    function retry(err) {
+        console.error('[instanceConfig] not listening for config changes: ' + err);
+        self.clear();
+        setTimeout(function() {
+            self.listen(dbPool, channel, retryDelay);
+        }, retryDelay);
+    }
+
+    dbPool.connect(function(err, client, done) {
+        var failed = false;
+
+        // Passing the error to `done` discards the connection rather than
+        // returning it to the pool
+        function fail(err) {
+            if (!failed) {
+                failed = true;
+                done(err);
+                retry(err);
+            }
+        }
+
+        if (err) {
+            fail(err);
+            return;
+        }
+        client.on('notification', function(msg) {
+            var instanceId = parseInt(msg.payload, 10);
+            if (isNaN(instanceId)) {
+                self.clear();
+            } else {
+                self.invalidate(instanceId);
+            }
+        });
+        client.on('error', fail);
+        // The channel name comes from config.js, not from a request
+        client.query('LISTEN "' + channel + '"', function(err) {
+            if (err) {
+                fail(err);
+            }
+        });
+    });
+};
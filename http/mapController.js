@@ -1,9 +1,15 @@
 "use strict";
 
 var assert = require('assert');
+var crypto = require('crypto');
 var step = require('step');
+var _ = require('underscore');
 var windshaft = require('windshaft');
 
+var savedFilters = require('../savedFilters.js');
+var config = require('../config.js');
+var errorBody = require('./errorBody.js');
+
 var MapConfig = windshaft.model.MapConfig;
 var DummyMapConfigProvider = require('../node_modules/windshaft/lib/windshaft/models/providers/dummy_mapconfig_provider');
 
@@ -14,13 +20,20 @@ var MapStoreMapConfigProvider = windshaft.model.provider.MapStoreMapConfig;
  * @param {MapStore} mapStore
  * @param {MapBackend} mapBackend
  * @param {TileBackend} tileBackend
+ * @param {TileCacheStore} tileCacheStore
+ * @param {SavedFilterStore} savedLayerStore
+ * @param {ColorByCategories} colorByCategories
  * @constructor
  */
-function MapController(app, mapStore, mapBackend, tileBackend) {
+function MapController(app, mapStore, mapBackend, tileBackend, tileCacheStore, savedLayerStore,
+                       colorByCategories) {
     this._app = app;
     this.mapStore = mapStore;
     this.mapBackend = mapBackend;
     this.tileBackend = tileBackend;
+    this.tileCacheStore = tileCacheStore;
+    this.savedLayerStore = savedLayerStore;
+    this.colorByCategories = colorByCategories;
 }
 
 module.exports = MapController;
@@ -28,8 +41,14 @@ module.exports = MapController;
 
 MapController.prototype.register = function(app) {
     app.get(app.base_url + '/:z/:x/:y@:scale_factor?x.:format(png|grid\.json)', this.tile.bind(this));
-    app.get(app.base_url + '/:z/:x/:y.:format(png|grid\.json)', this.tile.bind(this));
+    app.get(app.base_url + '/:z/:x/:y.:format(png|grid\.json|mvt)', this.tile.bind(this));
+    app.post(app.base_url + '/layergroup', this.createLayergroup.bind(this));
+    app.get(app.base_url + '/layergroup/:layer_id/:z/:x/:y@:scale_factor?x.:format(png|grid\.json)',
+            this.layergroupTile.bind(this));
+    app.get(app.base_url + '/layergroup/:layer_id/:z/:x/:y.:format(png|grid\.json|mvt)',
+            this.layergroupTile.bind(this));
     app.options(app.base_url, this.cors.bind(this));
+    app.options(app.base_url + '/layergroup', this.cors.bind(this));
 };
 
 // send CORS headers when client send options.
@@ -45,16 +64,31 @@ MapController.prototype.create = function initLayergroup(req, mapConfig, callbac
 };
 
 // Gets a tile for a given token and set of tile ZXY coords. (OSM style)
+//
+// Tiles are served with an ETag, which is a hash of the rendered tile
+// followed by its purge version (see tileCacheStore.js), if known, so that
+// it changes both when the data is edited and when the tile is purged. A request whose If-None-Match
+// header matches gets a 304.
 MapController.prototype.tile = function(req, res) {
     var self = this;
     var mapConfig;
+    var version;
 
     this._app.doCORS(res);
     step(
-        function mapController$prepareParams() {
+        function mapController$loadColorByCategories() {
+            self.loadColorByCategories(req, this);
+        },
+        function mapController$prepareParams(err) {
+            if (err) {
+                throw err;
+            }
             self._app.req2params(req, this);
         },
         function mapController$getMapConfig(err) {
+            if (err) {
+                throw err;
+            }
             mapConfig = MapConfig.create({
                 layers: [{
                     type: 'mapnik',
@@ -69,21 +103,34 @@ MapController.prototype.tile = function(req, res) {
             self.mapStore.load(mapConfig.id(), this);
         },
         function mapController$saveMapConfig(err, layer) {
+            // A missing layergroup is an error too, which is handled by
+            // creating it, but the error of an invalid request is not
+            if (!mapConfig) {
+                throw err;
+            }
             if (layer) {
                 this(null, layer);
             } else {
                 self.create(req, mapConfig, this);
+                self.addLayergroup(req, mapConfig.id());
             }
         },
-        function mapController$getTile(err, layer) {
+        function mapController$getTileVersion(err, layer) {
             if ( err ) {
                 throw err;
             }
             req.params.token = layer.layergroupid;
-            self.tileBackend.getTile(new MapStoreMapConfigProvider(self.mapStore, req.params), req.params, this);
+            self.getTileVersion(req, this);
+        },
+        function mapController$getTile(err, tileVersion) {
+            if (err) {
+                throw err;
+            }
+            version = tileVersion;
+            self.getTile(req, mapConfig, version, this);
         },
         function mapController$finalize(err, tile, headers) {
-            self.finalizeGetTileOrGrid(err, req, res, tile, headers);
+            self.finalizeGetTileOrGrid(err, req, res, tile, headers, version);
             return null;
         },
         function finish(err) {
@@ -94,21 +141,204 @@ MapController.prototype.tile = function(req, res) {
     );
 };
 
-// This function is meant for being called as the very last
-// step by all endpoints serving tiles or grids
-MapController.prototype.finalizeGetTileOrGrid = function(err, req, res, tile, headers) {
-    if (err) {
-        // See https://github.com/Vizzuality/Windshaft-cartodb/issues/68
-        var errMsg = err.message ? ( '' + err.message ) : ( '' + err );
+// Saves a layer with the filter, display, restrict, color by and cluster
+// arguments of a tile request, sent in the body or the query string, and
+// responds with its id as `{"layergroupid": "..."}`. Its tiles are fetched
+// from <base_url>/layergroup/<layergroupid>/<z>/<x>/<y>.<format> (see
+// savedFilters.js).
+MapController.prototype.createLayergroup = function(req, res) {
+    var self = this,
+        instanceid = parseInt(req.query.instance_id, 10),
+        savedLayer, layerId;
+
+    this._app.doCORS(res, "Content-Type");
+
+    if (isNaN(instanceid)) {
+        this._app.sendError(res, { errors: ['Invalid argument: instance_id'] }, 400, 'LAYERGROUP');
+        return;
+    }
+    try {
+        savedLayer = savedFilters.makeSavedLayer(_.extend({}, req.query, req.body));
+    } catch (err) {
+        this._app.sendError(res, errorBody(err), this._app.findStatusCode(err), 'LAYERGROUP', err);
+        return;
+    }
+    layerId = savedFilters.savedLayerId(instanceid, req.params.table, savedLayer);
+
+    this.savedLayerStore.save(instanceid, layerId, savedLayer, function(err) {
+        if (err) {
+            self._app.sendError(res, { errors: ['' + err] }, 500, 'LAYERGROUP', err);
+        } else {
+            res.send({layergroupid: layerId}, 200);
+        }
+    });
+};
+
+// Gets a tile of a saved layer, as a tile request with the layer's
+// arguments.
+MapController.prototype.layergroupTile = function(req, res) {
+    var self = this,
+        instanceid = parseInt(req.query.instance_id, 10),
+        layerId = req.params.layer_id;
+
+    if (isNaN(instanceid) || !savedFilters.isSavedFilterId(layerId)) {
+        this._app.doCORS(res);
+        this._app.sendError(res, { errors: ['Invalid argument: instance_id or layergroup id'] }, 400, 'TILE');
+        return;
+    }
+    this.savedLayerStore.load(instanceid, layerId, function(err, savedLayer) {
+        if (err) {
+            self._app.doCORS(res);
+            self._app.sendError(res, { errors: ['' + err] }, 500, 'TILE', err);
+        } else if (!savedLayer || savedFilters.savedLayerId(instanceid, req.params.table, savedLayer) !== layerId) {
+            // Layer ids are bound to the table they were created for
+            self._app.doCORS(res);
+            self._app.sendError(res, { errors: ['Layergroup ' + layerId + ' does not exist'] }, 404, 'TILE');
+        } else {
+            req.query = savedFilters.savedLayerQuery(req.query, savedLayer);
+            self.tile(req, res);
+        }
+    });
+};
+
+// Loads the categories of the request's color-by option into
+// `req.colorByCategories` (see colorBy.js), if it is colored by category.
+MapController.prototype.loadColorByCategories = function(req, callback) {
+    var colorByName = req.query[config.colorByQueryArgumentName];
+
+    if (!colorByName || req.params.table !== 'treemap_mapfeature' || !req.query.instance_id) {
+        callback(null);
+        return;
+    }
+    this.colorByCategories.load(parseInt(req.query.instance_id, 10), colorByName, req.instanceConfig,
+        function(err, categories) {
+            req.colorByCategories = categories;
+            callback(err);
+        });
+};
+
+// Records the layergroup created for an instance's tiles, so that it can be
+// removed when the instance's tiles are purged.
+MapController.prototype.addLayergroup = function(req, layergroupId) {
+    if (req.query.instance_id) {
+        this.tileCacheStore.addLayergroup(parseInt(req.query.instance_id, 10), req.params.table, layergroupId,
+            function(err) {
+                if (err) {
+                    console.error("otm.tiles: could not record layergroup: " + err);
+                }
+            });
+    }
+};
 
-        // Rewrite mapnik parsing errors to start with layer number
-        var matches = errMsg.match("(.*) in style 'layer([0-9]+)'");
-        if (matches) {
-            errMsg = 'style'+matches[2]+': ' + matches[1];
+// Calls back with the data version of the requested tile, which changes when
+// the instance's tiles are purged. Tiles are served without a version rather
+// than failing if it can't be retrieved.
+MapController.prototype.getTileVersion = function(req, callback) {
+    if (!req.query.instance_id) {
+        callback(null, null);
+        return;
+    }
+    this.tileCacheStore.getVersion(parseInt(req.query.instance_id, 10), req.params.table,
+        parseInt(req.params.z, 10), parseInt(req.params.x, 10), parseInt(req.params.y, 10),
+        function(err, version) {
+            if (err) {
+                console.error("otm.tiles: could not get tile version: " + err);
+            }
+            callback(null, err ? null : version);
+        });
+};
+
+// Renders the requested tile, or calls back with the cached tile if the
+// request asks for rendered tiles to be cached (see tileParams.js). Tiles are
+// rendered rather than failing if the cache can't be used.
+MapController.prototype.getTile = function(req, mapConfig, version, callback) {
+    var self = this,
+        instanceId = parseInt(req.query.instance_id, 10),
+        tileKey;
+
+    function render(callback) {
+        self.tileBackend.getTile(new MapStoreMapConfigProvider(self.mapStore, req.params), req.params, callback);
+    }
+
+    if (!req.cacheRenderedTile || isNaN(instanceId) || !version) {
+        render(callback);
+        return;
+    }
+    tileKey = [mapConfig.id(), req.params.z, req.params.x, req.params.y, req.params.scale_factor || 1,
+               req.params.format, version].join(':');
+
+    this.tileCacheStore.getRenderedTile(instanceId, tileKey, function(err, rendered) {
+        if (err) {
+            console.error("otm.tiles: could not get rendered tile: " + err);
+        } else if (rendered) {
+            callback(null, rendered.tile, rendered.headers);
+            return;
         }
+        render(function(err, tile, headers) {
+            if (!err) {
+                self.tileCacheStore.setRenderedTile(instanceId, tileKey, tile, headers, function(err) {
+                    if (err) {
+                        console.error("otm.tiles: could not cache rendered tile: " + err);
+                    }
+                });
+            }
+            callback(err, tile, headers);
+        });
+    });
+};
+
+// `isNotModified` returns true if the If-None-Match header of `req` lists
+// `etag`.
+function isNotModified(req, etag) {
+    var ifNoneMatch = req.headers['if-none-match'];
+    if (!ifNoneMatch) {
+        return false;
+    }
+    return ifNoneMatch.trim() === '*' || ifNoneMatch.split(/\s*,\s*/).some(function(candidate) {
+        // Weak comparison, since proxies may weaken the ETags they pass on
+        return candidate.replace(/^W\//, '') === etag;
+    });
+}
+
+// `contentEtag` returns an ETag for a rendered tile, which is a Buffer for
+// images and vector tiles and an object for UTF grids, and its data version.
+function contentEtag(tile, version) {
+    var body = Buffer.isBuffer(tile) || typeof tile === 'string' ? tile : JSON.stringify(tile),
+        hash = crypto.createHash('md5').update(body).digest('hex');
+    return '"' + hash + (version ? '-' + version : '') + '"';
+}
 
-        this._app.sendError(res, { errors: ['' + errMsg] }, this._app.findStatusCode(err), 'TILE', err);
+MapController.prototype.sendNotModified = function(req, res, etag) {
+    var headers = {ETag: etag};
+    this._app.afterTileRender(req, res, null, headers, function(err, tile, headers) {
+        _.each(headers, function(value, name) {
+            res.header(name, value);
+        });
+        res.send(304);
+    });
+};
+
+// This function is meant for being called as the very last
+// step by all endpoints serving tiles or grids
+MapController.prototype.finalizeGetTileOrGrid = function(err, req, res, tile, headers, version) {
+    var self = this,
+        etag;
+
+    if (err) {
+        this._app.sendError(res, errorBody(err), this._app.findStatusCode(err), 'TILE', err);
     } else {
-        res.send(tile, headers, 200);
+        etag = contentEtag(tile, version);
+        if (isNotModified(req, etag)) {
+            this.sendNotModified(req, res, etag);
+            return;
+        }
+        headers = _.extend({}, headers, {ETag: etag});
+        this._app.afterTileRender(req, res, tile, headers, function(err, tile, headers) {
+            if (err) {
+                self._app.sendError(res, { errors: ['' + err] }, 500, 'TILE', err);
+                return;
+            }
+            res.send(tile, headers, 200);
+        });
     }
 };
@@ -1,4 +1,28 @@
+"use strict";
+
+var _ = require('underscore');
+
+var savedFilters = require('../savedFilters.js');
+var instanceStyles = require('../instanceStyles.js');
+var config = require('../config.js');
+
+// `withValidTileStyle` returns an instance's config without its
+// `tile_style` if that is not valid (see instanceStyles.js), so that the
+// instance's tiles are drawn with the default styles instead of failing.
+function withValidTileStyle(instanceId, instanceConfig, styleNames) {
+    try {
+        instanceStyles.validateTileStyle(styleNames, instanceConfig.tile_style);
+    } catch (err) {
+        console.error('[instanceConfig] ignoring the tile_style of instance ' + instanceId + ': ' + err.message);
+        return _.omit(instanceConfig, 'tile_style');
+    }
+    return instanceConfig;
+}
+
 module.exports = {
+    // Loads the config of the request's instance into `req.instanceConfig`.
+    // `opts.styleNames` are the names of the stylesheets an instance's
+    // `tile_style` may replace.
     instanceConfig: function(opts) {
         return function (req, res, next) {
             var start = Date.now(),
@@ -9,14 +33,27 @@ module.exports = {
                 next();
                 return;
             }
+            var instanceId = parseInt(req.query.instance_id, 10),
+                cachedConfig = opts.cache ? opts.cache.get(instanceId) : undefined,
+                generation = opts.cache ? opts.cache.generation : undefined;
+            if (cachedConfig) {
+                req.instanceConfig = cachedConfig;
+                next();
+                return;
+            }
             req.instanceConfig = {};
             opts.dbPool.connect(function(err, client, done) {
                 if (!err) {
-                    var instanceId = parseInt(req.query.instance_id, 10);
                     client.query('SELECT config FROM treemap_instance WHERE id = $1',
                                  [instanceId], function(err, result) {
                                      if (!err && result && result.rows && result.rows.length > 0) {
-                                         req.instanceConfig = JSON.parse(result.rows[0].config);
+                                         req.instanceConfig = withValidTileStyle(instanceId,
+                                             JSON.parse(result.rows[0].config), opts.styleNames);
+                                     }
+                                     // Instances without a config are cached too, so
+                                     // they don't cost a query for every tile
+                                     if (!err && opts.cache) {
+                                         opts.cache.set(instanceId, req.instanceConfig, generation);
                                      }
                                      done();
                                      if (opts.debug) {
@@ -33,5 +70,38 @@ module.exports = {
                 }
             });
         };
+    },
+
+    // Loads the filter saved as the request's `filter_id` into
+    // `req.savedFilter` (see savedFilters.js), responding with a 400 if the
+    // id is malformed and a 404 if there is no such filter, e.g. because it
+    // expired. Requests without a `filter_id` skip this middleware.
+    savedFilter: function(opts) {
+        return function (req, res, next) {
+            var filterId = req.query[config.savedFilterQueryArgumentName],
+                instanceId = parseInt(req.query.instance_id, 10);
+            if (_.isUndefined(filterId)) {
+                next();
+                return;
+            }
+            if (isNaN(instanceId) || !savedFilters.isSavedFilterId(filterId)) {
+                opts.app.doCORS(res);
+                opts.app.sendError(res, { errors: ['Invalid argument: instance_id or ' +
+                                                   config.savedFilterQueryArgumentName] }, 400, 'SAVED FILTER');
+                return;
+            }
+            opts.store.load(instanceId, filterId, function(err, savedFilter) {
+                if (err) {
+                    next(err);
+                } else if (!savedFilter) {
+                    opts.app.doCORS(res);
+                    opts.app.sendError(res, { errors: ['Saved filter ' + filterId + ' does not exist'] }, 404,
+                                       'SAVED FILTER');
+                } else {
+                    req.savedFilter = savedFilter;
+                    next();
+                }
+            });
+        };
     }
 };
@@ -0,0 +1,97 @@
+"use strict";
+
+var _ = require('underscore');
+
+var savedFilters = require('../savedFilters.js');
+var config = require('../config.js');
+var errorBody = require('./errorBody.js');
+
+/**
+ * Saves filters, so that requests can refer to them with a short
+ * `filter_id` rather than sending the filter (see savedFilters.js).
+ *
+ *     POST /filters.json?instance_id=1  {"q": ..., "show": ..., "restrict": ...}
+ *
+ * responds with `{"filter_id": "..."}`, and
+ *
+ *     GET /filters/<filter_id>.json?instance_id=1
+ *
+ * responds with the saved filter.
+ *
+ * @param app
+ * @param {SavedFilterStore} savedFilterStore
+ * @constructor
+ */
+function SavedFilterController(app, savedFilterStore) {
+    this._app = app;
+    this.savedFilterStore = savedFilterStore;
+}
+
+module.exports = SavedFilterController;
+
+
+SavedFilterController.prototype.register = function(app) {
+    app.post('/filters.json', this.save.bind(this));
+    app.get('/filters/:filter_id.json', this.show.bind(this));
+};
+
+// The filter is sent in the same arguments as for tiles, either in the query
+// string or the body. A JSON body may also send them as objects rather than
+// strings.
+SavedFilterController.prototype.save = function(req, res) {
+    var self = this,
+        instanceid = parseInt(req.query.instance_id, 10),
+        savedFilter, filterId;
+
+    this._app.doCORS(res);
+
+    if (isNaN(instanceid)) {
+        this._app.sendError(res, { errors: ['Invalid argument: instance_id'] }, 400, 'SAVED FILTER');
+        return;
+    }
+    try {
+        savedFilter = savedFilters.makeSavedFilter(_.extend({}, req.query, req.body));
+    } catch (err) {
+        this._app.sendError(res, errorBody(err), this._app.findStatusCode(err), 'SAVED FILTER', err);
+        return;
+    }
+    filterId = savedFilters.savedFilterId(instanceid, savedFilter);
+
+    this.savedFilterStore.save(instanceid, filterId, savedFilter, function(err) {
+        if (err) {
+            self._app.sendError(res, { errors: ['' + err] }, 500, 'SAVED FILTER', err);
+        } else {
+            var body = {};
+            body[config.savedFilterQueryArgumentName] = filterId;
+            res.send(body, 200);
+        }
+    });
+};
+
+SavedFilterController.prototype.show = function(req, res) {
+    var self = this,
+        instanceid = parseInt(req.query.instance_id, 10),
+        filterId = req.params.filter_id;
+
+    this._app.doCORS(res);
+
+    if (isNaN(instanceid)) {
+        this._app.sendError(res, { errors: ['Invalid argument: instance_id'] }, 400, 'SAVED FILTER');
+        return;
+    }
+    if (!savedFilters.isSavedFilterId(filterId)) {
+        this._app.sendError(res, { errors: ['Invalid argument: filter_id'] }, 400, 'SAVED FILTER');
+        return;
+    }
+
+    this.savedFilterStore.load(instanceid, filterId, function(err, savedFilter) {
+        if (err) {
+            self._app.sendError(res, { errors: ['' + err] }, 500, 'SAVED FILTER', err);
+        } else if (!savedFilter) {
+            self._app.sendError(res, { errors: ['Saved filter ' + filterId + ' does not exist'] }, 404,
+                                'SAVED FILTER');
+        } else {
+            res.send(savedFilter, 200);
+        }
+    });
+};
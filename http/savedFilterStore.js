@@ -0,0 +1,70 @@
+"use strict";
+
+// The Redis database saved filters are kept in
+var REDIS_DB = 0;
+
+/**
+ * Keeps the filters or layers saved for each instance in Redis (see
+ * savedFilters.js). They expire `ttl` seconds after they were last saved or
+ * loaded.
+ *
+ * Keys:
+ *     otm:<prefix>:<instance_id>:<id>   JSON saved filter or layer
+ *
+ * @param {RedisPool} redisPool
+ * @param {Object} opts with the `ttl` of saved filters and the key `prefix`,
+ *     e.g. "filters"
+ * @constructor
+ */
+function SavedFilterStore(redisPool, opts) {
+    this.redisPool = redisPool;
+    this.ttl = opts.ttl;
+    this.prefix = opts.prefix;
+}
+
+module.exports = SavedFilterStore;
+
+
+SavedFilterStore.prototype._key = function(instanceId, id) {
+    return 'otm:' + this.prefix + ':' + instanceId + ':' + id;
+};
+
+SavedFilterStore.prototype._withClient = function(fn, callback) {
+    var self = this;
+    this.redisPool.acquire(REDIS_DB, function(err, client) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        fn(client, function() {
+            self.redisPool.release(REDIS_DB, client);
+            callback.apply(null, arguments);
+        });
+    });
+};
+
+// Saves `savedFilter` as `id` for `instanceId`.
+SavedFilterStore.prototype.save = function(instanceId, id, savedFilter, callback) {
+    var self = this;
+    this._withClient(function(client, done) {
+        client.setex(self._key(instanceId, id), self.ttl, JSON.stringify(savedFilter), done);
+    }, callback);
+};
+
+// Calls back with the filter saved as `id` for `instanceId`, or null if
+// there is none.
+SavedFilterStore.prototype.load = function(instanceId, id, callback) {
+    var self = this;
+    this._withClient(function(client, done) {
+        client.multi()
+            .get(self._key(instanceId, id))
+            .expire(self._key(instanceId, id), self.ttl)
+            .exec(function(err, results) {
+                if (err) {
+                    done(err);
+                    return;
+                }
+                done(null, results[0] ? JSON.parse(results[0]) : null);
+            });
+    }, callback);
+};
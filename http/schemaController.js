@@ -0,0 +1,83 @@
+"use strict";
+
+var _ = require('underscore');
+
+var schema = require('../schema.js');
+var config = require('../config.js');
+
+/**
+ * Describes the fields that can be used in filters for an instance, with
+ * their types, the operators they support and their units, so clients can
+ * discover them and build queries. See schema.js for the response format.
+ *
+ * @param app
+ * @param {Pg.Pool} dbPool
+ * @constructor
+ */
+function SchemaController(app, dbPool) {
+    this._app = app;
+    this.dbPool = dbPool;
+}
+
+module.exports = SchemaController;
+
+
+SchemaController.prototype.register = function(app) {
+    app.get('/schema.json', this.schema.bind(this));
+};
+
+// `loadSchema` queries the columns of the mapped tables and the UDF
+// definitions of an instance and calls `callback(err, schema)`.
+SchemaController.prototype.loadSchema = function(instanceid, instanceConfig, callback) {
+    var tables = _.values(config.modelMapping);
+
+    this.dbPool.connect(function(err, client, done) {
+        if (err) {
+            done();
+            callback(err);
+            return;
+        }
+        client.query(config.schemaColumnsSql, [tables], function(err, columns) {
+            if (err) {
+                done();
+                callback(err);
+                return;
+            }
+            client.query(config.schemaUdfDefinitionsSql, [instanceid], function(err, udfs) {
+                var result;
+                done();
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                try {
+                    result = schema.buildSchema(columns.rows, udfs.rows, instanceConfig);
+                } catch (buildErr) {
+                    callback(buildErr);
+                    return;
+                }
+                callback(null, result);
+            });
+        });
+    });
+};
+
+SchemaController.prototype.schema = function(req, res) {
+    var self = this,
+        instanceid = parseInt(req.query.instance_id, 10);
+
+    this._app.doCORS(res);
+
+    if (isNaN(instanceid)) {
+        this._app.sendError(res, { errors: ['Invalid argument: instance_id'] }, 400, 'SCHEMA');
+        return;
+    }
+
+    this.loadSchema(instanceid, req.instanceConfig, function(err, result) {
+        if (err) {
+            self._app.sendError(res, { errors: ['' + err] }, self._app.findStatusCode(err), 'SCHEMA', err);
+        } else {
+            res.send(result, 200);
+        }
+    });
+};
@@ -0,0 +1,45 @@
+"use strict";
+
+var config = require('../config.js');
+
+// pg_trgm's default word_similarity_threshold, which applies until the
+// extension is loaded by a session or if the database doesn't set it
+var DEFAULT_WORD_SIMILARITY_THRESHOLD = 0.6;
+
+var SQL = "SELECT to_regprocedure('otm_unaccent(text)') IS NOT NULL AS has_unaccent_wrapper" +
+    ", current_setting('pg_trgm.word_similarity_threshold', true) AS threshold";
+
+/**
+ * Sets `config.search.indexed` if the database can use trigram indexes for
+ * the SEARCH filter predicate (see filterObjectToWhere.js), which requires
+ * the `otm_unaccent` function that the indexes are built on, and a
+ * `pg_trgm.word_similarity_threshold` no higher than
+ * `config.search.minWordSimilarity`, since the `%>` operator only matches
+ * words at least that similar. Otherwise searches don't use indexes, and
+ * SEARCH filters work on any database with the pg_trgm and unaccent
+ * extensions.
+ *
+ * @param {Pg.Pool} dbPool
+ * @param {function} callback - called with an error or whether searches are indexed
+ */
+module.exports = function detectSearchIndex(dbPool, callback) {
+    dbPool.connect(function(err, client, done) {
+        if (err) {
+            done();
+            callback(err);
+            return;
+        }
+        client.query(SQL, function(err, result) {
+            var row, threshold;
+            done();
+            if (err) {
+                callback(err);
+                return;
+            }
+            row = result.rows[0];
+            threshold = row.threshold === null ? DEFAULT_WORD_SIMILARITY_THRESHOLD : parseFloat(row.threshold);
+            config.search.indexed = row.has_unaccent_wrapper && threshold <= config.search.minWordSimilarity;
+            callback(null, config.search.indexed);
+        });
+    });
+};
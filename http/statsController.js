@@ -0,0 +1,143 @@
+"use strict";
+
+var _ = require('underscore');
+
+var makeSql = require('../makeSql.js');
+var sqlLiterals = require('../sqlLiterals.js');
+var savedFilters = require('../savedFilters.js');
+var units = require('../units.js');
+var config = require('../config.js');
+var errorBody = require('./errorBody.js');
+
+/**
+ * Returns counts and statistics for the map features matched by a tile
+ * request's filters, so a client can show how many features match
+ * alongside the map.
+ *
+ * @param app
+ * @param {Pg.Pool} dbPool
+ * @constructor
+ */
+function StatsController(app, dbPool) {
+    this._app = app;
+    this.dbPool = dbPool;
+}
+
+module.exports = StatsController;
+
+
+StatsController.prototype.register = function(app) {
+    app.get(app.base_url + '/stats.json', this.stats.bind(this));
+};
+
+// `summarizeStats` combines the per feature type rows returned by the
+// statistics query into a single response object:
+//
+//     {
+//       "count": 12,
+//       "featureTypes": {"Plot": 10, "RainBarrel": 2},
+//       "trees": 7,
+//       "emptyPlots": 3,
+//       "field": {"name": "tree.diameter", "min": 1, "max": 30, "avg": 12.5}
+//     }
+//
+// Postgres returns COUNT as a bigint, which the driver provides as a string.
+function summarizeStats(rows, statFieldName, instanceConfig) {
+    var summary = {count: 0, featureTypes: {}, trees: 0, emptyPlots: 0},
+        field = {min: null, max: null},
+        sum = 0,
+        valueCount = 0;
+
+    function toDisplayUnits(value) {
+        return units.convertValueToDisplayUnits(statFieldName, value, instanceConfig);
+    }
+
+    _.each(rows, function(row) {
+        var count = parseInt(row.count, 10),
+            treeCount = parseInt(row.tree_count, 10),
+            rowValueCount = parseInt(row.value_count, 10);
+
+        summary.count += count;
+        summary.featureTypes[row.feature_type] = count;
+        summary.trees += treeCount;
+        if (row.feature_type === 'Plot') {
+            summary.emptyPlots += count - treeCount;
+        }
+
+        if (rowValueCount > 0) {
+            field.min = field.min === null ? row.min : Math.min(field.min, row.min);
+            field.max = field.max === null ? row.max : Math.max(field.max, row.max);
+            sum += row.sum;
+            valueCount += rowValueCount;
+        }
+    });
+
+    if (statFieldName) {
+        summary.field = {
+            name: statFieldName,
+            min: toDisplayUnits(field.min),
+            max: toDisplayUnits(field.max),
+            avg: valueCount > 0 ? toDisplayUnits(sum / valueCount) : null
+        };
+    }
+    return summary;
+}
+
+StatsController.prototype.stats = function(req, res) {
+    var self = this,
+        table = req.params.table,
+        instanceid = parseInt(req.query.instance_id, 10),
+        statFieldName = req.query[config.statsFieldQueryArgumentName],
+        filterStrings, query;
+
+    this._app.doCORS(res);
+
+    if (table !== 'treemap_mapfeature') {
+        this._app.sendError(res, { errors: ['Statistics are not available for ' + table] }, 404, 'STATS');
+        return;
+    }
+    if (isNaN(instanceid)) {
+        this._app.sendError(res, { errors: ['Invalid argument: instance_id'] }, 400, 'STATS');
+        return;
+    }
+
+    try {
+        filterStrings = savedFilters.requestFilterStrings(req.query, req.savedFilter);
+        query = sqlLiterals.parameterized(function() {
+            return makeSql.makeSqlForMapFeatureStats(filterStrings.filter,
+                                                     filterStrings.display,
+                                                     filterStrings.restrict,
+                                                     instanceid,
+                                                     statFieldName,
+                                                     req.instanceConfig);
+        });
+    } catch (err) {
+        this._app.sendError(res, errorBody(err), err.http_status || 400, 'STATS', err);
+        return;
+    }
+
+    this.dbPool.connect(function(err, client, done) {
+        if (err) {
+            done();
+            self._app.sendError(res, { errors: ['' + err] }, 500, 'STATS', err);
+            return;
+        }
+        client.query(query.text, query.values, function(err, result) {
+            var summary;
+            done();
+            if (!err) {
+                try {
+                    summary = summarizeStats(result.rows, statFieldName, req.instanceConfig);
+                } catch (summaryErr) {
+                    // e.g. the instance displays the field in units it can't be converted to
+                    err = summaryErr;
+                }
+            }
+            if (err) {
+                self._app.sendError(res, { errors: ['' + err] }, self._app.findStatusCode(err), 'STATS', err);
+            } else {
+                res.send(summary, 200);
+            }
+        });
+    });
+};
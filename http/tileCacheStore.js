@@ -0,0 +1,295 @@
+"use strict";
+
+var _ = require('underscore');
+
+// The number of recent bbox purges remembered for each instance. Older
+// purges are superseded by the versions of the tiles they covered.
+var MAX_BBOX_PURGES = 100;
+
+// The Redis database MapStore keeps layergroups in
+var REDIS_DB = 0;
+
+/**
+ * Tracks the data version of each instance's tiles in Redis, so that tiles
+ * can be revalidated after an instance edits its data, and the layergroups
+ * created for each instance, so they can be removed from the MapStore.
+ *
+ * A tile's version combines three counters: one bumped by purging the whole
+ * instance, one bumped by purging the tile's table, and the sequence number
+ * of the most recent bbox purge covering the tile.
+ *
+ * The counters and purges of each instance and table are cached in process
+ * for `opts.versionTtl` milliseconds, so that serving a tile doesn't cost a
+ * Redis query. A purge is therefore seen at once by this process, and by
+ * other processes within `versionTtl`.
+ *
+ * Layergroups are remembered for `opts.layergroupTtl` seconds after they
+ * were created, which should be at least as long as the MapStore keeps them.
+ *
+ * Tiles that are costly to render, like clusters, can also be cached for
+ * `opts.renderedTileTtl` seconds, keyed by their version so that purged
+ * tiles are rendered again. Edits that are not purged show up once the
+ * cached tiles expire.
+ *
+ * Keys:
+ *     otm:tiles:<instance_id>:version              instance purge counter
+ *     otm:tiles:<instance_id>:<table>:version      table purge counter
+ *     otm:tiles:<instance_id>:bbox_seq             bbox purge counter
+ *     otm:tiles:<instance_id>:bbox                 recent bbox purges
+ *     otm:tiles:<instance_id>:recent_layergroups   "<table>|<layergroup id>",
+ *                                                  scored by creation time
+ *     otm:tiles:<instance_id>:rendered:<tile key>  JSON rendered tile
+ *
+ * @param {RedisPool} redisPool
+ * @param {MapStore} mapStore
+ * @param {object} opts - {versionTtl: number, maxVersions: number,
+ *     layergroupTtl: number, renderedTileTtl: number}
+ * @constructor
+ */
+function TileCacheStore(redisPool, mapStore, opts) {
+    this.redisPool = redisPool;
+    this.mapStore = mapStore;
+    this.versionTtl = opts.versionTtl;
+    this.maxVersions = opts.maxVersions;
+    this.layergroupTtl = opts.layergroupTtl;
+    this.renderedTileTtl = opts.renderedTileTtl;
+    this.now = opts.now || Date.now;
+    // Cached versions keyed by "<instance_id>:<table>", oldest first
+    this.versions = new Map();
+}
+
+module.exports = TileCacheStore;
+
+
+function key(instanceId, suffix) {
+    return 'otm:tiles:' + instanceId + ':' + suffix;
+}
+
+// `tileBbox` returns the [west, south, east, north] longitude/latitude
+// bounds of the web mercator tile z/x/y.
+function tileBbox(z, x, y) {
+    var n = Math.pow(2, z);
+
+    function lng(x) {
+        return x / n * 360 - 180;
+    }
+    function lat(y) {
+        return Math.atan(Math.sinh(Math.PI * (1 - 2 * y / n))) * 180 / Math.PI;
+    }
+    return [lng(x), lat(y + 1), lng(x + 1), lat(y)];
+}
+
+function intersects(a, b) {
+    return a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+}
+
+TileCacheStore.prototype._withClient = function(fn, callback) {
+    var self = this;
+    this.redisPool.acquire(REDIS_DB, function(err, client) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        fn(client, function() {
+            self.redisPool.release(REDIS_DB, client);
+            callback.apply(null, arguments);
+        });
+    });
+};
+
+// Calls back with the version of tile z/x/y of `table` for `instanceId`.
+TileCacheStore.prototype.getVersion = function(instanceId, table, z, x, y, callback) {
+    var bbox = tileBbox(z, x, y);
+
+    this._getVersions(instanceId, table, function(err, versions) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        var bboxSeq = _.reduce(versions.bboxPurges, function(seq, purge) {
+            if ((!purge.table || purge.table === table) && intersects(purge.bbox, bbox)) {
+                return Math.max(seq, purge.seq);
+            }
+            return seq;
+        }, 0);
+        callback(null, [versions.instance, versions.table, bboxSeq].join('.'));
+    });
+};
+
+// Calls back with the purge counters and recent bbox purges of `table` for
+// `instanceId`, from the in-process cache if they were loaded recently.
+TileCacheStore.prototype._getVersions = function(instanceId, table, callback) {
+    var self = this,
+        cacheKey = instanceId + ':' + table,
+        cached = this.versions.get(cacheKey);
+
+    if (cached && this.now() < cached.expires) {
+        callback(null, cached.versions);
+        return;
+    }
+    this._withClient(function(client, done) {
+        client.multi()
+            .mget(key(instanceId, 'version'), key(instanceId, table + ':version'))
+            .lrange(key(instanceId, 'bbox'), 0, -1)
+            .exec(function(err, results) {
+                if (err) {
+                    done(err);
+                    return;
+                }
+                var versions = {
+                    instance: results[0][0] || 0,
+                    table: results[0][1] || 0,
+                    bboxPurges: _.map(results[1], function(purgeJson) {
+                        return JSON.parse(purgeJson);
+                    })
+                };
+                self.versions.delete(cacheKey);
+                self.versions.set(cacheKey, {versions: versions, expires: self.now() + self.versionTtl});
+                if (self.versions.size > self.maxVersions) {
+                    self.versions.delete(self.versions.keys().next().value);
+                }
+                done(null, versions);
+            });
+    }, callback);
+};
+
+// Records that layergroup `layergroupId` was created for the tiles of
+// `table` for `instanceId`, forgetting layergroups older than
+// `layergroupTtl`.
+TileCacheStore.prototype.addLayergroup = function(instanceId, table, layergroupId, callback) {
+    var self = this,
+        now = this.now();
+
+    this._withClient(function(client, done) {
+        var layergroupsKey = key(instanceId, 'recent_layergroups');
+        client.multi()
+            .zadd(layergroupsKey, now, table + '|' + layergroupId)
+            .zremrangebyscore(layergroupsKey, '-inf', now - self.layergroupTtl * 1000)
+            .expire(layergroupsKey, self.layergroupTtl)
+            .exec(done);
+    }, callback);
+};
+
+// Calls back with the tile and headers cached as `tileKey` for
+// `instanceId`, as `{tile, headers}`, or null if there are none. The key
+// should identify the layergroup, the tile and its version.
+TileCacheStore.prototype.getRenderedTile = function(instanceId, tileKey, callback) {
+    this._withClient(function(client, done) {
+        client.get(key(instanceId, 'rendered:' + tileKey), function(err, renderedJson) {
+            if (err || !renderedJson) {
+                done(err, null);
+                return;
+            }
+            var rendered = JSON.parse(renderedJson);
+            // Images and vector tiles are Buffers, and UTF grids are objects
+            done(null, {
+                tile: rendered.base64 ? Buffer.from(rendered.base64, 'base64') : rendered.tile,
+                headers: rendered.headers
+            });
+        });
+    }, callback);
+};
+
+// Caches `tile` and its `headers` as `tileKey` for `instanceId`.
+TileCacheStore.prototype.setRenderedTile = function(instanceId, tileKey, tile, headers, callback) {
+    var self = this,
+        rendered = Buffer.isBuffer(tile) ? {base64: tile.toString('base64')} : {tile: tile};
+    rendered.headers = headers;
+
+    this._withClient(function(client, done) {
+        client.setex(key(instanceId, 'rendered:' + tileKey), self.renderedTileTtl, JSON.stringify(rendered), done);
+    }, callback);
+};
+
+// Bumps the version of the tiles of `instanceId`, limited to `table` and
+// to the tiles intersecting `bbox` if they are provided, and removes the
+// instance's layergroups for those tables from the MapStore. Calls back with
+// the number of layergroups removed.
+TileCacheStore.prototype.purge = function(instanceId, table, bbox, callback) {
+    var self = this;
+
+    this._withClient(function(client, done) {
+        var layergroupsKey = key(instanceId, 'recent_layergroups');
+
+        function bumpVersion(next) {
+            if (bbox) {
+                client.incr(key(instanceId, 'bbox_seq'), function(err, seq) {
+                    if (err) {
+                        next(err);
+                        return;
+                    }
+                    client.multi()
+                        .lpush(key(instanceId, 'bbox'), JSON.stringify({seq: seq, table: table, bbox: bbox}))
+                        .ltrim(key(instanceId, 'bbox'), 0, MAX_BBOX_PURGES - 1)
+                        .exec(next);
+                });
+            } else if (table) {
+                client.incr(key(instanceId, table + ':version'), next);
+            } else {
+                client.incr(key(instanceId, 'version'), next);
+            }
+        }
+
+        bumpVersion(function(err) {
+            if (err) {
+                done(err);
+                return;
+            }
+            self._invalidateVersions(instanceId);
+            client.zrange(layergroupsKey, 0, -1, function(err, members) {
+                if (err) {
+                    done(err);
+                    return;
+                }
+                var purged = _.filter(members, function(member) {
+                    return !table || member.indexOf(table + '|') === 0;
+                });
+                if (purged.length === 0) {
+                    done(null, 0);
+                    return;
+                }
+                client.zrem(layergroupsKey, purged, function(err) {
+                    if (err) {
+                        done(err);
+                        return;
+                    }
+                    self._deleteLayergroups(_.map(purged, function(member) {
+                        return member.substring(member.indexOf('|') + 1);
+                    }), done);
+                });
+            });
+        });
+    }, callback);
+};
+
+// Removes the cached versions of all the tables of `instanceId`.
+TileCacheStore.prototype._invalidateVersions = function(instanceId) {
+    var self = this,
+        prefix = instanceId + ':';
+
+    _.each(Array.from(this.versions.keys()), function(cacheKey) {
+        if (cacheKey.indexOf(prefix) === 0) {
+            self.versions.delete(cacheKey);
+        }
+    });
+};
+
+TileCacheStore.prototype._deleteLayergroups = function(layergroupIds, callback) {
+    var self = this,
+        remaining = layergroupIds.length,
+        failed = false;
+
+    _.each(layergroupIds, function(layergroupId) {
+        self.mapStore.del(layergroupId, function(err) {
+            if (failed) {
+                return;
+            }
+            if (err) {
+                failed = true;
+                callback(err);
+            } else if (--remaining === 0) {
+                callback(null, layergroupIds.length);
+            }
+        });
+    });
+};
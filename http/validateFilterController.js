@@ -0,0 +1,64 @@
+"use strict";
+
+var _ = require('underscore');
+
+var validateFilter = require('../validateFilter.js');
+var config = require('../config.js');
+
+/**
+ * Validates a filter without rendering anything, so client developers can
+ * debug their queries. Responds with
+ *
+ *     {"valid": false, "errors": [{"path": [...], "code": "...", "message": "..."}]}
+ *
+ * If an instance_id is given, the fields and operators in the filter are
+ * also checked against the instance's schema.
+ *
+ * @param app
+ * @param {SchemaController} schemaController
+ * @constructor
+ */
+function ValidateFilterController(app, schemaController) {
+    this._app = app;
+    this.schemaController = schemaController;
+}
+
+module.exports = ValidateFilterController;
+
+
+ValidateFilterController.prototype.register = function(app) {
+    app.get('/validate-filter', this.validate.bind(this));
+    app.post('/validate-filter', this.validate.bind(this));
+};
+
+// The filter is sent in the same parameter as for tiles, either in the query
+// string or the body. A JSON body may also send it as an object rather than
+// a string.
+ValidateFilterController.prototype.validate = function(req, res) {
+    var self = this,
+        filter = _.extend({}, req.query, req.body)[config.filterQueryArgumentName],
+        instanceid = parseInt(req.query.instance_id, 10);
+
+    function sendErrors(schema) {
+        var errors;
+        if (_.isString(filter) || _.isUndefined(filter)) {
+            errors = validateFilter.validateFilterString(filter, schema);
+        } else {
+            errors = validateFilter.validateFilter(filter, schema);
+        }
+        res.send({valid: errors.length === 0, errors: errors}, 200);
+    }
+
+    this._app.doCORS(res);
+    if (isNaN(instanceid)) {
+        sendErrors();
+        return;
+    }
+    this.schemaController.loadSchema(instanceid, req.instanceConfig, function(err, schema) {
+        if (err) {
+            self._app.sendError(res, { errors: ['' + err] }, self._app.findStatusCode(err), 'VALIDATE', err);
+        } else {
+            sendErrors(schema);
+        }
+    });
+};
@@ -13,7 +13,20 @@ var mapnik = require('mapnik');
 var windshaft = require('windshaft');
 
 var MapController = require('./mapController.js');
+var ExportController = require('./exportController.js');
+var StatsController = require('./statsController.js');
 var middleware = require('./middleware.js');
+var InstanceConfigCache = require('./instanceConfigCache.js');
+var detectSearchIndex = require('./searchIndex.js');
+var TileCacheStore = require('./tileCacheStore.js');
+var AdminController = require('./adminController.js');
+var ValidateFilterController = require('./validateFilterController.js');
+var SchemaController = require('./schemaController.js');
+var SavedFilterStore = require('./savedFilterStore.js');
+var SavedFilterController = require('./savedFilterController.js');
+var ColorByCategories = require('./colorByCategories.js');
+var ColorByController = require('./colorByController.js');
+var config = require('../config.js');
 
 var dbPool = new Pg.Pool({
     user: process.env.OTM_DB_USER || 'otm',
@@ -28,9 +41,13 @@ var dbPool = new Pg.Pool({
 //        base_url: '/database/:dbname/table/:table',
 //        base_url_notable: '/database/:dbname', // @deprecated
 //        base_url_mapconfig: base_url_notable + '/layergroup',
+//        styles: {mapFeature: '...'}, // stylesheets instances may replace
 //        req2params: function(req, callback){
 //          callback(null,req)
 //        },
+//        afterTileRender: function(req, res, tile, headers, callback){
+//          callback(null, tile, headers)
+//        },
 //        grainstore: {
 //          datasource: {
 //            user:'postgres', host: '127.0.0.1',
@@ -66,7 +83,8 @@ var dbPool = new Pg.Pool({
 //        https: {
 //          key: fs.readFileSync('test/fixtures/keys/agent2-key.pem'),
 //          cert: fs.readFileSync('test/fixtures/keys/agent2-cert.pem')
-//        }
+//        },
+//        admin_token: 'secret' // enables the /admin endpoints
 //     }
 //
 module.exports = function(opts) {
@@ -83,10 +101,26 @@ module.exports = function(opts) {
     var app = bootstrap(opts);
     addFilters(app, opts);
 
-    app.use(middleware.instanceConfig({dbPool: dbPool}));
+    detectSearchIndex(dbPool, function(err, indexed) {
+        if (err) {
+            console.error('[search] not using trigram indexes: ' + err);
+        } else {
+            console.log('[search] ' + (indexed ? 'using' : 'not using') + ' trigram indexes');
+        }
+    });
+
+    var instanceConfigCache = new InstanceConfigCache(config.instanceConfigCache);
+    instanceConfigCache.listen(dbPool, config.instanceConfigCache.channel,
+                               config.instanceConfigCache.retryDelay);
+    app.use(middleware.instanceConfig({dbPool: dbPool, cache: instanceConfigCache,
+                                       styleNames: _.keys(opts.styles)}));
 
     var redisPool = makeRedisPool(opts.redis);
 
+    var savedFilterStore = new SavedFilterStore(redisPool, _.extend({prefix: 'filters'}, config.savedFilters));
+    var savedLayerStore = new SavedFilterStore(redisPool, _.extend({prefix: 'layers'}, config.savedFilters));
+    app.use(middleware.savedFilter({app: app, store: savedFilterStore}));
+
     var map_store  = new windshaft.storage.MapStore({
         pool: redisPool,
         expire_time: opts.grainstore.default_layergroup_ttl
@@ -166,9 +200,35 @@ module.exports = function(opts) {
      * Routing
      ******************************************************************************************************************/
 
-    var mapController = new MapController(app, map_store, mapBackend, tileBackend, attributesBackend);
+    var tileCacheStore = new TileCacheStore(redisPool, map_store, config.tileCache);
+
+    var colorByCategories = new ColorByCategories(dbPool, config.colorByCategories);
+
+    var mapController = new MapController(app, map_store, mapBackend, tileBackend, tileCacheStore,
+                                          savedLayerStore, colorByCategories);
     mapController.register(app);
 
+    var exportController = new ExportController(app, dbPool);
+    exportController.register(app);
+
+    var statsController = new StatsController(app, dbPool);
+    statsController.register(app);
+
+    var schemaController = new SchemaController(app, dbPool);
+    schemaController.register(app);
+
+    var validateFilterController = new ValidateFilterController(app, schemaController);
+    validateFilterController.register(app);
+
+    var savedFilterController = new SavedFilterController(app, savedFilterStore);
+    savedFilterController.register(app);
+
+    var colorByController = new ColorByController(app, colorByCategories);
+    colorByController.register(app);
+
+    var adminController = new AdminController(app, tileCacheStore, instanceConfigCache, opts.admin_token);
+    adminController.register(app);
+
     /*******************************************************************************************************************
      * END Routing
      ******************************************************************************************************************/
@@ -266,6 +326,10 @@ function addFilters(app, opts) {
                 res.header("Access-Control-Allow-Origin", "*");
                 res.header("Access-Control-Allow-Headers", baseHeaders);
             }
+        },
+        // Can add or change the headers of a tile before it is sent
+        afterTileRender: function(req, res, tile, headers, callback) {
+            callback(null, tile, headers);
         }
     });
 }
@@ -0,0 +1,160 @@
+"use strict";
+
+// Instances can customize the look of their tiles with a `tile_style` object
+// in their instance config, e.g.
+//
+//     "tile_style": {
+//         "variables": {"tree_fill_color": "#336699"},
+//         "marker_widths": {"15": 10, "16": 14},
+//         "cartocss": {"boundary": "#treemap_boundary { line-color: #000; }"}
+//     }
+//
+// * `variables` replace the values of the @variables defined in any
+//   stylesheet, and must be colors or numbers.
+// * `marker_widths` override the width of map feature markers at a zoom
+//   level, for both the colored tiles and the UTF grids.
+// * `cartocss` replaces a whole stylesheet, keyed by the name of the style
+//   in server.js.
+//
+// Invalid overrides raise an error rather than being skipped, so that a
+// mistake in an instance's config is reported instead of silently ignored.
+// Configs are checked with `validateTileStyle` when they are loaded, and an
+// instance with an invalid `tile_style` is drawn with the default styles.
+
+var _ = require('underscore');
+var format = require('util').format;
+var config = require('./config');
+
+var VALUE_PATTERN = /^(#[0-9A-Fa-f]{3}|#[0-9A-Fa-f]{6}|rgba?\([0-9.,% ]+\)|[0-9]+(\.[0-9]+)?)$/;
+var VARIABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+var MAX_ZOOM = 22;
+
+// Marker widths apply to these styles, which draw map features as points
+var markerStyleNames = ['mapFeature', 'uncoloredMapFeature'];
+
+// `validateVariables` raises an error if the name or value of any of the
+// `variables` is not valid.
+function validateVariables(variables) {
+    _.each(variables, function(value, name) {
+        if (!VARIABLE_NAME_PATTERN.test(name)) {
+            throw new Error('Invalid tile_style variable name: ' + name);
+        }
+        if (!VALUE_PATTERN.test('' + value)) {
+            throw new Error('Invalid tile_style value for variable ' + name + ': ' + value);
+        }
+    });
+}
+
+// `replaceVariables` returns the stylesheet `css` with the value of each
+// variable it defines that is a key of `variables` replaced.
+function replaceVariables(css, variables) {
+    validateVariables(variables);
+    _.each(variables, function(value, name) {
+        css = css.replace(new RegExp('^@' + name + ':.*;$', 'm'), format('@%s: %s;', name, value));
+    });
+    return css;
+}
+
+// `makeMarkerWidthRules` returns CartoCSS rules setting the marker width at
+// each zoom level in `markerWidths`. The rules are as specific as the zoom
+// rules in mapFeature.mms, so they take precedence by being appended.
+function makeMarkerWidthRules(markerWidths) {
+    var rules = _.map(markerWidths, function(width, zoom) {
+        var zoomLevel = parseInt(zoom, 10);
+        if ('' + zoomLevel !== zoom || zoomLevel < 0 || zoomLevel > MAX_ZOOM) {
+            throw new Error('Invalid tile_style marker_widths zoom level: ' + zoom);
+        }
+        if (!_.isNumber(width) || width <= 0 || width > config.treeMarkerMaxWidth) {
+            throw new Error('tile_style marker_widths must be numbers greater than 0 and at most ' +
+                            config.treeMarkerMaxWidth + ', not ' + width);
+        }
+        return format('    [zoom = %d] { marker-width: %s; }', zoomLevel, width);
+    });
+    return '\n#treemap_mapfeature {\n' + rules.join('\n') + '\n}\n';
+}
+
+// `validateCartoCss` raises an error if a replacement stylesheet is not a
+// string, refers to files or external resources, which mapnik would try to
+// load, or draws markers larger than `config.treeMarkerMaxWidth`, which
+// would be cut off at the edges of tiles (see `bufferSize` in server.js).
+function validateCartoCss(styleName, css) {
+    var prefix = 'The tile_style cartocss for ' + styleName,
+        markerSize,
+        markerSizePattern = /marker-(?:width|height)\s*:\s*([^;}]*)/gi;
+
+    if (!_.isString(css)) {
+        throw new Error(prefix + ' must be a string');
+    }
+    if (/url\s*\(/i.test(css) || /[a-z-]*-file\s*:/i.test(css)) {
+        throw new Error(prefix + ' cannot refer to files or external resources');
+    }
+    if (/marker-transform\s*:/i.test(css)) {
+        throw new Error(prefix + ' cannot transform markers');
+    }
+    while ((markerSize = markerSizePattern.exec(css)) !== null) {
+        if (!/^[0-9]+(\.[0-9]+)?$/.test(markerSize[1].trim()) ||
+                parseFloat(markerSize[1]) > config.treeMarkerMaxWidth) {
+            throw new Error(prefix + ' must set marker sizes to numbers of at most ' +
+                            config.treeMarkerMaxWidth + ', not ' + markerSize[1].trim());
+        }
+    }
+}
+
+// `validateTileStyle` raises an error if any part of an instance's
+// `tile_style` is not valid, where `styleNames` are the names of the
+// stylesheets it may replace. This lets an invalid `tile_style` be found
+// when the instance's config is loaded, rather than failing each tile.
+function validateTileStyle(styleNames, tileStyle) {
+    if (tileStyle === undefined || tileStyle === null) {
+        return;
+    }
+    if (!_.isObject(tileStyle) || _.isArray(tileStyle)) {
+        throw new Error('tile_style must be an object');
+    }
+    validateVariables(tileStyle.variables);
+    if (tileStyle.marker_widths) {
+        makeMarkerWidthRules(tileStyle.marker_widths);
+    }
+    _.each(tileStyle.cartocss, function(css, name) {
+        if (!_.contains(styleNames, name)) {
+            throw new Error('tile_style cartocss must be keyed by one of ' + styleNames.join(', ') +
+                            ', not ' + name);
+        }
+        validateCartoCss(name, css);
+    });
+}
+
+// `applyInstanceStyle` returns the stylesheet named `styleName` from the
+// `styles` dictionary, customized by the `tile_style` of `instanceConfig`.
+function applyInstanceStyle(styles, styleName, instanceConfig) {
+    var tileStyle = instanceConfig && instanceConfig.tile_style,
+        css = styles[styleName];
+
+    if (!tileStyle) {
+        return css;
+    }
+
+    _.each(_.keys(tileStyle.cartocss || {}), function(name) {
+        if (!_.has(styles, name)) {
+            throw new Error('tile_style cartocss must be keyed by one of ' +
+                            _.keys(styles).join(', ') + ', not ' + name);
+        }
+    });
+    if (tileStyle.cartocss && _.has(tileStyle.cartocss, styleName)) {
+        validateCartoCss(styleName, tileStyle.cartocss[styleName]);
+        css = tileStyle.cartocss[styleName];
+    }
+
+    if (tileStyle.variables) {
+        css = replaceVariables(css, tileStyle.variables);
+    }
+    if (tileStyle.marker_widths && _.contains(markerStyleNames, styleName)) {
+        css += makeMarkerWidthRules(tileStyle.marker_widths);
+    }
+    return css;
+}
+
+exports = module.exports = {
+    applyInstanceStyle: applyInstanceStyle,
+    validateTileStyle: validateTileStyle
+};
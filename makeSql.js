@@ -22,6 +22,10 @@
 // Performance note: We tried using ST_SnapToGrid to reduce the number of trees rendered.
 // While rendering does get faster, database queries slow down by a factor of at least five.
 // That particularly hurts in production where we have just one DB server and four renderers.
+// For that reason clustering (see makeSqlForMapFeatureClusters) is opt-in, limited to
+// low zoom levels and only aggregates the features near the tile being rendered.
+// Rendered cluster tiles are also cached (see http/tileCacheStore.js), so each
+// is only aggregated once until it expires or the instance's tiles are purged.
 
 var _ = require('underscore');
 
@@ -33,28 +37,274 @@ var filtersToTables = require('./filtersToTables');
 var addDefaultsToFilter = require('./addDefaultsToFilter');
 var config = require('./config');
 var units = require('./units');
+var colorBy = require('./colorBy');
 var utils = require('./filterObjectUtils');
+var derivedFields = require('./derivedFields');
+var sql = require('./sqlLiterals');
+var validateFilter = require('./validateFilter');
+
+// The web mercator coordinate of the top left corner of the world and the
+// size of one pixel of a 256 pixel tile at zoom level 0, both in meters.
+var WEB_MERCATOR_ORIGIN = -20037508.342789244;
+var WEB_MERCATOR_METERS_PER_PIXEL_AT_ZOOM_0 = 156543.03392804097;
 
 
 // Create a SQL query to return info about map features.
-// Assumes that instanceid is an integer, ready to be plugged
-// directly into SQL
+// If `colorByName` is provided for a plain request, a `color_index` column
+// is added for styling trees (see colorBy.js), using `colorByCategories`
+// for an option colored by category.
+// Raises an error if instanceid is not an integer
 function makeSqlForMapFeatures(filterString, displayString, restrictFeatureString, instanceid,
-                               zoom, isUtfGridRequest, isPolygonRequest, instanceConfig) {
+                               zoom, isUtfGridRequest, isPolygonRequest, instanceConfig,
+                               isVectorTileRequest, colorByName, colorByCategories) {
+    var geom_spec = config.sqlForMapFeatures.fields.geom,
+        geom_field = isPolygonRequest ? geom_spec.polygon : geom_spec.point,
+        isColorByRequest = !!colorByName && !isVectorTileRequest && !isUtfGridRequest && !isPolygonRequest,
+        colorByFieldName = isColorByRequest ? colorBy.getFieldName(colorByName) : null,
+        parts = makeMapFeatureQueryParts(filterString, displayString, restrictFeatureString,
+                                         instanceid, zoom, isUtfGridRequest, isPolygonRequest,
+                                         instanceConfig,
+                                         isColorByRequest ? selectableFieldNameToModels(colorByFieldName) : []);
+
+    if (parts.hasDuplicateRows) {
+        // Because some searches (e.g. on photos) join to other tables,
+        // add DISTINCT so we only get one row.
+        geom_field = util.format('DISTINCT(%s)', geom_field);
+    }
+
+    var otherFields;
+    if (isVectorTileRequest) {
+        otherFields = isPolygonRequest ?
+            config.sqlForMapFeatures.fields.polygonVectorTile :
+            config.sqlForMapFeatures.fields.vectorTile;
+    } else if (isUtfGridRequest) {
+        otherFields = config.sqlForMapFeatures.fields.utfGrid;
+    } else if (isPolygonRequest) {
+        otherFields = config.sqlForMapFeatures.fields.polygon;
+    } else {
+        otherFields = config.sqlForMapFeatures.fields.base;
+    }
+    if (isColorByRequest) {
+        otherFields += ', ' + colorBy.makeColorIndexSql(
+            colorByName, filterObjectToWhere.fieldNameToColumnName(colorByFieldName),
+            colorByCategories) + ' AS color_index';
+    }
+
+    geom_field = util.format("%s AS %s",
+                             geom_field, config.customDbFieldNames.geom);
+    return _.template(
+        'SELECT <%= fields %> FROM <%= tables %> <%= where %>'
+    )({
+        fields: geom_field + ', ' + otherFields,
+        tables: parts.tables.sql,
+        where: parts.where ? 'WHERE ' + parts.where : ''
+    });
+}
+
+// Create a SQL query to return map features matching the same filters as a
+// map feature tile request, with each geometry converted to GeoJSON in WGS84.
+// `bbox` is an array of [west, south, east, north] longitude/latitude numbers.
+// Raises an error if instanceid is not an integer
+function makeSqlForMapFeatureExport(filterString, displayString, restrictFeatureString, instanceid,
+                                    bbox, isPolygonRequest, instanceConfig) {
     var geom_spec = config.sqlForMapFeatures.fields.geom,
         geom_field = isPolygonRequest ? geom_spec.polygon : geom_spec.point,
-        parsedFilterObject = filterString ? JSON.parse(filterString) : {},
+        parts = makeMapFeatureQueryParts(filterString, displayString, restrictFeatureString,
+                                         instanceid, null, false, isPolygonRequest,
+                                         instanceConfig),
+        bboxClause = _.template(config.sqlForMapFeatures.where.bbox)({
+            geom: geom_field,
+            xmin: sql.number(bbox[0]),
+            ymin: sql.number(bbox[1]),
+            xmax: sql.number(bbox[2]),
+            ymax: sql.number(bbox[3])
+        }),
+        where = parts.where ? '( ' + bboxClause + ' ) AND ' + parts.where : bboxClause;
+
+    // DISTINCT collapses the duplicate rows produced by searches that join
+    // to other tables (e.g. on photos)
+    return _.template(
+        'SELECT DISTINCT <%= geom %> AS geojson, <%= fields %> FROM <%= tables %> WHERE <%= where %>'
+    )({
+        geom: util.format(config.sqlForMapFeatures.fields.geoJsonGeom, geom_field),
+        fields: isPolygonRequest ?
+            config.sqlForMapFeatures.fields.polygonGeoJson :
+            config.sqlForMapFeatures.fields.geoJson,
+        tables: parts.tables.sql,
+        where: where
+    });
+}
+
+// Create a SQL query to count the map features matching the same filters as
+// a map feature tile request, grouped by feature type. If `statFieldName` is
+// provided (e.g. "tree.diameter") the minimum, maximum, sum and count of that
+// field are included for each group.
+// Raises an error if instanceid is not an integer
+function makeSqlForMapFeatureStats(filterString, displayString, restrictFeatureString, instanceid,
+                                   statFieldName, instanceConfig) {
+    var statModels = statFieldName ? selectableFieldNameToModels(statFieldName) : [],
+        statColumn = statFieldName ? filterObjectToWhere.fieldNameToColumnName(statFieldName) : 'NULL',
+        parts;
+
+    parts = makeMapFeatureQueryParts(filterString, displayString, restrictFeatureString,
+                                     instanceid, null, false, false, instanceConfig,
+                                     statModels);
+
+    return _.template(config.mapFeatureStatsSql)({
+        features: _.template(
+            'SELECT DISTINCT <%= fields %>, ( <%= value %> )::float AS value FROM <%= tables %> <%= where %>'
+        )({
+            fields: config.sqlForMapFeatures.fields.stats,
+            value: statColumn,
+            tables: parts.tables.sql,
+            where: parts.where ? 'WHERE ' + parts.where : ''
+        })
+    });
+}
+
+// Create a SQL query to return the categories of a color-by option for an
+// instance (see colorBy.js), which are its most common values, ranked by the
+// number of map features with each value and then by value.
+// Raises an error if instanceid is not an integer
+function makeSqlForColorByCategories(instanceid, colorByName, instanceConfig) {
+    var fieldName = colorBy.getFieldName(colorByName),
+        column = filterObjectToWhere.fieldNameToColumnName(fieldName),
+        parts = makeMapFeatureQueryParts(undefined, undefined, undefined, instanceid, null, false, false,
+                                         instanceConfig, selectableFieldNameToModels(fieldName));
+
+    return _.template(config.colorByCategorySql)({
+        value: column,
+        tables: parts.tables.sql,
+        where: parts.where,
+        limit: colorBy.MAX_CATEGORIES
+    });
+}
+
+// Create a SQL query to return clusters of the map features matching the same
+// filters as a map feature tile request. Features are grouped into grid cells
+// of `config.clusterCellPixels` pixels at the requested zoom, and each cell
+// is returned as a single point with a `count` of the features in it.
+// Raises an error if instanceid is not an integer
+function makeSqlForMapFeatureClusters(filterString, displayString, restrictFeatureString, instanceid,
+                                      zoom, instanceConfig) {
+    var cellSize = config.clusterCellPixels * metersPerPixel(zoom);
+
+    return _.template(config.mapFeatureClusterSql)({
+        features: makeSqlForMapFeaturesNearTile(filterString, displayString, restrictFeatureString,
+                                                instanceid, cellSize, instanceConfig),
+        origin: WEB_MERCATOR_ORIGIN + cellSize / 2,
+        cellSize: cellSize
+    });
+}
+
+// Create a SQL query to return the density of the map features matching the
+// same filters as a map feature tile request. Features are binned into
+// hexagons with sides of `config.densityCellPixels` pixels at the requested
+// zoom, and each hexagon with any features in it is returned with its
+// `count` and `density` in features per hectare.
+// Raises an error if instanceid is not an integer
+function makeSqlForMapFeatureDensity(filterString, displayString, restrictFeatureString, instanceid,
+                                     zoom, instanceConfig) {
+    var cellSize = config.densityCellPixels * metersPerPixel(zoom);
+
+    // A hexagon is twice as wide as the length of its sides
+    return _.template(config.mapFeatureDensitySql)({
+        features: makeSqlForMapFeaturesNearTile(filterString, displayString, restrictFeatureString,
+                                                instanceid, 2 * cellSize, instanceConfig),
+        cellSize: cellSize,
+        gridMargin: 2 * cellSize
+    });
+}
+
+// `makeSqlForMapFeaturesNearTile` creates a SQL query returning the id and
+// point of each distinct map feature matching a request's filters that is
+// within `distance` meters of the tile being rendered, for aggregating into
+// cells of that size.
+//
+// Aggregates count every matching feature, so the features hidden at low
+// zoom levels are included. Like UTF grids, aggregates need no tree
+// attributes, so the tree table is only joined when filtered on.
+// Expanding the tile extent by a cell ensures that every cell touching the
+// tile contains all of its features, so a cell is drawn the same way on each
+// tile it overlaps.
+function makeSqlForMapFeaturesNearTile(filterString, displayString, restrictFeatureString, instanceid,
+                                       distance, instanceConfig) {
+    var parts = makeMapFeatureQueryParts(filterString, displayString, restrictFeatureString,
+                                         instanceid, null, true, false, instanceConfig),
+        bboxClause = _.template(config.sqlForMapFeatures.where.tileBbox)({distance: distance}),
+        where = parts.where ? '( ' + bboxClause + ' ) AND ' + parts.where : bboxClause;
+
+    return _.template(
+        'SELECT DISTINCT <%= fields %> FROM <%= tables %> WHERE <%= where %>'
+    )({
+        fields: config.sqlForMapFeatures.fields.aggregate,
+        tables: parts.tables.sql,
+        where: where
+    });
+}
+
+// `metersPerPixel` returns the width in web mercator meters of one pixel of
+// a tile at the specified zoom level.
+function metersPerPixel(zoom) {
+    return WEB_MERCATOR_METERS_PER_PIXEL_AT_ZOOM_0 / Math.pow(2, sql.integer(zoom));
+}
+
+// `selectableFieldNameToModels` returns the models that must be joined to
+// select the field `fieldName`, throwing an error if joining those models
+// would change which map features a query returns.
+function selectableFieldNameToModels(fieldName) {
+    var models = fieldNameToModels(fieldName);
+    if (_.difference(models, config.sqlForMapFeatures.selectableFieldModels).length > 0) {
+        throw new Error('Only fields of the following models can be selected: ' +
+                        config.sqlForMapFeatures.selectableFieldModels.join(', ') + '. Not ' + fieldName);
+    }
+    return models;
+}
+
+// `fieldNameToModels` returns the models whose tables hold the columns for a
+// "model.field" name. Scalar udfs of all models other than tree are stored on
+// the map feature table, and derived fields may use the columns of several
+// models.
+function fieldNameToModels(fieldName) {
+    var modelAndColumn = fieldName.split('.');
+    if (derivedFields.isDerivedField(fieldName)) {
+        return derivedFields.getDerivedField(fieldName).models;
+    }
+    if (fieldName.indexOf('udf:') === 0 || modelAndColumn.length !== 2) {
+        throw new Error('Field names should be of the form "model.field", not "' +
+                        fieldName + '"');
+    }
+    if (modelAndColumn[1].indexOf('udf:') === 0 && modelAndColumn[0] !== 'tree') {
+        return ['mapFeature'];
+    }
+    return [modelAndColumn[0]];
+}
+
+// `makeMapFeatureQueryParts` builds the FROM and WHERE clauses shared by all
+// queries for map features from the filter, display and restrict strings of
+// a request. The `hasDuplicateRows` flag of the result is true when the
+// filter joins a table with more than one row per map feature (see
+// `config.sqlForMapFeatures.duplicateRowModels`). A null `zoom` omits the clause
+// hiding features at low zoom levels. `extraModels` are joined in addition to
+// the models referenced by the filter.
+function makeMapFeatureQueryParts(filterString, displayString, restrictFeatureString, instanceid,
+                                  zoom, isUtfGridRequest, isPolygonRequest, instanceConfig,
+                                  extraModels) {
+    var parsedFilterObject = parseFilterString(filterString),
         displayFilters = displayString ? JSON.parse(displayString) : undefined,
         restrictFeatureFilters = restrictFeatureString ? JSON.parse(restrictFeatureString) : undefined,
 
         filterObjectWithDefaults = addDefaultsToFilter(parsedFilterObject, zoom, isPolygonRequest),
         filterObject = units.convertFilterUnits(filterObjectWithDefaults, instanceConfig),
-        tables = filtersToTables(filterObject, displayFilters, isPolygonRequest, isUtfGridRequest),
+        tables = filtersToTables(filterObject, displayFilters, isPolygonRequest, isUtfGridRequest,
+                                 extraModels),
 
         where = '',
         displayClause = displayFiltersToWhere(displayFilters, restrictFeatureFilters, displayPlotsOnly(filterObject)),
         filterClause = filterObjectToWhere(filterObject),
-        instanceClause = (instanceid ? _.template(config.sqlForMapFeatures.where.instance)({instanceid: instanceid}) : null);
+        instanceClause = (instanceid ?
+                          _.template(config.sqlForMapFeatures.where.instance)({instanceid: sql.integer(instanceid)}) :
+                          null);
 
     function addToWhere(clause) {
         return where ? '( ' + clause + ' ) AND ' + where : clause;
@@ -62,11 +312,8 @@ function makeSqlForMapFeatures(filterString, displayString, restrictFeatureStrin
 
     if (filterClause) {
         where = filterClause;
-        // Because some searches (e.g. on photos and udf's) join to other tables,
-        // add DISTINCT so we only get one row.
-        geom_field = util.format('DISTINCT(%s)', geom_field);
-    } else if (showingPlotsAndTrees(displayFilters)) {
-        var showAtZoom = _.template(config.showAtZoomSql)({zoom: zoom});
+    } else if (zoom !== null && showingPlotsAndTrees(displayFilters)) {
+        var showAtZoom = _.template(config.showAtZoomSql)({zoom: sql.integer(zoom)});
         where = addToWhere(showAtZoom);
     }
     if (displayClause) {
@@ -75,28 +322,31 @@ function makeSqlForMapFeatures(filterString, displayString, restrictFeatureStrin
     if (instanceClause) {
         where = addToWhere(instanceClause);
     }
-    if (where) {
-        where = 'WHERE ' + where;
-    }
 
-    var otherFields;
-    if (isUtfGridRequest) {
-        otherFields = config.sqlForMapFeatures.fields.utfGrid;
-    } else if (isPolygonRequest) {
-        otherFields = config.sqlForMapFeatures.fields.polygon;
-    } else {
-        otherFields = config.sqlForMapFeatures.fields.base;
-    }
+    return {
+        tables: tables,
+        where: where,
+        hasDuplicateRows: _.intersection(tables.models, config.sqlForMapFeatures.duplicateRowModels).length > 0
+    };
+}
 
-    geom_field = util.format("%s AS %s",
-                             geom_field, config.customDbFieldNames.geom);
-    return _.template(
-        'SELECT <%= fields %> FROM <%= tables %> <%= where %>'
-    )({
-        fields: geom_field + ', ' + otherFields,
-        tables: tables.sql,
-        where: where
-    });
+// `parseFilterString` parses and validates a request's filter string,
+// raising an error listing the problems with an invalid filter (see
+// validateFilter.js).
+function parseFilterString(filterString) {
+    var filterObject;
+    if (!filterString) {
+        return {};
+    }
+    try {
+        filterObject = JSON.parse(filterString);
+    } catch (err) {
+        err.http_status = 400;
+        err.errors = validateFilter.validateFilterString(filterString);
+        throw err;
+    }
+    validateFilter.assertValidFilter(filterObject);
+    return filterObject;
 }
 
 // If there are trees referenced in the filter object, narrow the
@@ -114,25 +364,29 @@ function showingPlotsAndTrees(displayFilters) {
 }
 
 // Create a SQL query to return info about boundaries.
-// Assumes that instanceid is an integer, ready to be plugged
-// directly into SQL
+// Raises an error if instanceid is not an integer
 function makeSqlForBoundaries(instanceid) {
     return _.template(config.boundaryGrainstoreSql)({
-        instanceid: instanceid
+        instanceid: sql.integer(instanceid)
     });
 }
 
 function makeSqlForCanopyBoundaries(instanceid, canopy_min, canopy_max, category) {
     return _.template(config.canopyBoundarySql)({
-        instanceid: instanceid,
-        canopy_min: canopy_min,
-        canopy_max: canopy_max,
-        category: category
+        instanceid: sql.integer(instanceid),
+        canopy_min: sql.number(canopy_min),
+        canopy_max: sql.number(canopy_max),
+        category: sql.literal(category)
     });
 }
 
 exports = module.exports = {
     makeSqlForMapFeatures: makeSqlForMapFeatures,
+    makeSqlForMapFeatureExport: makeSqlForMapFeatureExport,
+    makeSqlForMapFeatureStats: makeSqlForMapFeatureStats,
+    makeSqlForColorByCategories: makeSqlForColorByCategories,
+    makeSqlForMapFeatureClusters: makeSqlForMapFeatureClusters,
+    makeSqlForMapFeatureDensity: makeSqlForMapFeatureDensity,
     makeSqlForCanopyBoundaries: makeSqlForCanopyBoundaries,
     makeSqlForBoundaries: makeSqlForBoundaries
 };
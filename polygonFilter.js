@@ -0,0 +1,198 @@
+"use strict";
+
+// The INSIDE_GEOMETRY predicate filters map features to those inside a
+// polygon drawn by the user, sent either as a GeoJSON Polygon or
+// MultiPolygon (optionally wrapped in a Feature) or as a WKT POLYGON or
+// MULTIPOLYGON string, with longitude/latitude coordinates.
+//
+// The polygon is parsed into numeric coordinates and validated, and the SQL
+// is written from those coordinates rather than from the string that was
+// sent, so nothing but numbers from the request reaches the query.
+//
+// Hand-drawn polygons are often invalid, e.g. rings that cross themselves
+// or polygons that overlap, which would make PostGIS raise an error when the
+// polygon is compared with the map features. ST_MakeValid repairs them,
+// e.g. splitting a figure-eight ring into two polygons.
+
+var _ = require('underscore');
+var format = require('util').format;
+var config = require('./config');
+
+var EARTH_RADIUS_METERS = 6378137;
+var SQUARE_METERS_PER_SQUARE_KILOMETER = 1000000;
+
+var WKT_NUMBER = '(-?(?:[0-9]+(?:\\.[0-9]*)?|\\.[0-9]+)(?:[eE][-+]?[0-9]+)?)';
+var WKT_POINT_PATTERN = new RegExp('^\\s*' + WKT_NUMBER + '\\s+' + WKT_NUMBER);
+
+// `parseWkt` converts a WKT POLYGON or MULTIPOLYGON string into an array of
+// polygons, each an array of rings of [x, y] coordinates.
+function parseWkt(wkt) {
+    var match = /^\s*(POLYGON|MULTIPOLYGON)\s*(\(.*\))\s*$/i.exec(wkt),
+        text, pos = 0, coordinates;
+
+    if (!match) {
+        throw new Error('INSIDE_GEOMETRY WKT must be a POLYGON or MULTIPOLYGON');
+    }
+    text = match[2];
+
+    function fail() {
+        throw new Error('Invalid INSIDE_GEOMETRY WKT at character ' + pos + ' of "' + text + '"');
+    }
+
+    function skipWhitespace() {
+        while (/\s/.test(text.charAt(pos))) {
+            pos++;
+        }
+    }
+
+    function consume(character) {
+        skipWhitespace();
+        if (text.charAt(pos) === character) {
+            pos++;
+            return true;
+        }
+        return false;
+    }
+
+    function point() {
+        var numbers = WKT_POINT_PATTERN.exec(text.substring(pos));
+        if (!numbers) {
+            fail();
+        }
+        pos += numbers[0].length;
+        return [parseFloat(numbers[1]), parseFloat(numbers[2])];
+    }
+
+    function list() {
+        var items = [];
+        if (!consume('(')) {
+            fail();
+        }
+        do {
+            skipWhitespace();
+            items.push(text.charAt(pos) === '(' ? list() : point());
+        } while (consume(','));
+        if (!consume(')')) {
+            fail();
+        }
+        return items;
+    }
+
+    coordinates = list();
+    skipWhitespace();
+    if (pos !== text.length) {
+        fail();
+    }
+    return match[1].toUpperCase() === 'POLYGON' ? [coordinates] : coordinates;
+}
+
+// `parseGeoJson` converts a GeoJSON Polygon or MultiPolygon, or a Feature
+// with one of those geometries, into an array of polygons.
+function parseGeoJson(geoJson) {
+    if (geoJson.type === 'Feature') {
+        geoJson = geoJson.geometry || {};
+    }
+    if (geoJson.type === 'Polygon') {
+        return [geoJson.coordinates];
+    } else if (geoJson.type === 'MultiPolygon') {
+        return geoJson.coordinates;
+    }
+    throw new Error('INSIDE_GEOMETRY GeoJSON must be a Polygon or MultiPolygon, not ' + geoJson.type);
+}
+
+// `ringArea` returns the approximate area in square meters of a ring of
+// longitude/latitude coordinates on a spherical earth.
+function ringArea(ring) {
+    var sum = 0;
+    _.each(_.initial(ring), function(point, i) {
+        var next = ring[i + 1];
+        sum += (next[0] - point[0]) * Math.PI / 180 *
+            (2 + Math.sin(point[1] * Math.PI / 180) + Math.sin(next[1] * Math.PI / 180));
+    });
+    return Math.abs(sum * EARTH_RADIUS_METERS * EARTH_RADIUS_METERS / 2);
+}
+
+// `validatePolygons` throws an error if the polygons are malformed or
+// larger than the limits in config.js.
+function validatePolygons(polygons) {
+    var limits = config.insideGeometry,
+        vertexCount = 0,
+        area = 0;
+
+    if (!_.isArray(polygons) || polygons.length === 0) {
+        throw new Error('INSIDE_GEOMETRY must contain at least one polygon');
+    }
+    _.each(polygons, function(rings) {
+        if (!_.isArray(rings) || rings.length === 0) {
+            throw new Error('INSIDE_GEOMETRY polygons must contain at least one ring');
+        }
+        _.each(rings, function(ring, ringIndex) {
+            var first, last;
+            if (!_.isArray(ring) || ring.length < 4) {
+                throw new Error('INSIDE_GEOMETRY rings must have at least 4 positions');
+            }
+            _.each(ring, function(point) {
+                // Positions may have altitudes or measures, which are ignored
+                if (!_.isArray(point) || point.length < 2 ||
+                    !_.all(point, function(n) { return _.isNumber(n) && isFinite(n); }) ||
+                    Math.abs(point[0]) > 180 || Math.abs(point[1]) > 90) {
+                    throw new Error('INSIDE_GEOMETRY positions must be [longitude, latitude, ...], not ' +
+                                    JSON.stringify(point));
+                }
+            });
+            first = _.first(ring);
+            last = _.last(ring);
+            if (first[0] !== last[0] || first[1] !== last[1]) {
+                throw new Error('INSIDE_GEOMETRY rings must be closed');
+            }
+            vertexCount += ring.length - 1;
+            // Holes are not subtracted, so the area checked is an upper bound
+            if (ringIndex === 0) {
+                area += ringArea(ring);
+            }
+        });
+    });
+
+    if (vertexCount > limits.maxVertices) {
+        throw new Error('INSIDE_GEOMETRY can have at most ' + limits.maxVertices +
+                        ' vertices, not ' + vertexCount);
+    }
+    if (area / SQUARE_METERS_PER_SQUARE_KILOMETER > limits.maxAreaSquareKilometers) {
+        throw new Error('INSIDE_GEOMETRY can cover at most ' + limits.maxAreaSquareKilometers +
+                        ' square kilometers');
+    }
+}
+
+// `polygonsToWkt` writes validated polygons as a WKT MULTIPOLYGON.
+function polygonsToWkt(polygons) {
+    function wrap(items) {
+        return '(' + items.join(', ') + ')';
+    }
+    return 'MULTIPOLYGON' + wrap(_.map(polygons, function(rings) {
+        return wrap(_.map(rings, function(ring) {
+            return wrap(_.map(ring, function(point) {
+                return point[0] + ' ' + point[1];
+            }));
+        }));
+    }));
+}
+
+// `makeGeometrySql` returns SQL for the polygon in `value`, a GeoJSON object
+// or WKT string, transformed to web mercator. Throws an error if the polygon
+// is not valid.
+function makeGeometrySql(value) {
+    var polygons;
+    if (_.isString(value)) {
+        polygons = parseWkt(value);
+    } else if (_.isObject(value) && !_.isArray(value)) {
+        polygons = parseGeoJson(value);
+    } else {
+        throw new Error('INSIDE_GEOMETRY must be a GeoJSON object or a WKT string');
+    }
+    validatePolygons(polygons);
+    return format("ST_Transform(ST_MakeValid(ST_GeomFromText('%s', 4326)), 3857)", polygonsToWkt(polygons));
+}
+
+exports = module.exports = {
+    makeGeometrySql: makeGeometrySql
+};
@@ -0,0 +1,132 @@
+"use strict";
+
+// The WITHIN_RADIUS predicate filters map features to those within a
+// distance of a point, e.g.
+//
+//     {"POINT": {"lat": 39.95, "lng": -75.16}, "RADIUS": 500, "UNITS": "ft"}
+//
+// * `POINT` is either {"lat", "lng"} in degrees, or {"x", "y"} in web
+//   mercator meters. An {"x", "y"} point may set "SRID" to 4326 to give
+//   longitude and latitude instead.
+// * `RADIUS` is a positive number of `UNITS`, which are one of the keys of
+//   `metersPerUnit` and default to meters.
+//
+// Distances are geodesic, so a radius means the same distance on the ground
+// at any latitude. Every value is validated as a number before being written
+// into the SQL.
+
+var _ = require('underscore');
+var format = require('util').format;
+var config = require('./config');
+
+var EARTH_RADIUS_METERS = 6378137;
+var WEB_MERCATOR_MAX = Math.PI * EARTH_RADIUS_METERS;
+var METERS_PER_DEGREE_LATITUDE = 111320;
+
+var metersPerUnit = {
+    m: 1,
+    km: 1000,
+    ft: 0.3048,
+    mi: 1609.344
+};
+
+function isFiniteNumber(value) {
+    return _.isNumber(value) && isFinite(value);
+}
+
+function toDegrees(radians) {
+    return radians * 180 / Math.PI;
+}
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+// `parsePoint` returns the [longitude, latitude] of a WITHIN_RADIUS point,
+// throwing an error if it is not valid.
+function parsePoint(point) {
+    var lng, lat, srid;
+
+    if (!_.isObject(point)) {
+        throw new Error('WITHIN_RADIUS requires a POINT object');
+    }
+    if (_.has(point, 'lat') || _.has(point, 'lng')) {
+        lng = point.lng;
+        lat = point.lat;
+        srid = 4326;
+    } else {
+        lng = point.x;
+        lat = point.y;
+        srid = _.has(point, 'SRID') ? point.SRID : 3857;
+    }
+    if (!isFiniteNumber(lng) || !isFiniteNumber(lat)) {
+        throw new Error('WITHIN_RADIUS POINT coordinates must be numbers');
+    }
+
+    if (srid === 3857) {
+        if (Math.abs(lng) > WEB_MERCATOR_MAX || Math.abs(lat) > WEB_MERCATOR_MAX) {
+            throw new Error('WITHIN_RADIUS POINT is outside of the web mercator extent');
+        }
+        return [toDegrees(lng / EARTH_RADIUS_METERS),
+                toDegrees(2 * Math.atan(Math.exp(lat / EARTH_RADIUS_METERS)) - Math.PI / 2)];
+    } else if (srid === 4326) {
+        if (Math.abs(lng) > 180 || Math.abs(lat) > 90) {
+            throw new Error('WITHIN_RADIUS POINT longitude and latitude are out of range');
+        }
+        return [lng, lat];
+    }
+    throw new Error('WITHIN_RADIUS POINT SRID must be 3857 or 4326, not ' + srid);
+}
+
+// `parseRadius` returns the WITHIN_RADIUS radius in meters, throwing an
+// error if it is not valid.
+function parseRadius(radius, units) {
+    var meters;
+
+    units = _.isUndefined(units) ? 'm' : units;
+    if (!_.has(metersPerUnit, units)) {
+        throw new Error('WITHIN_RADIUS UNITS must be one of ' + _.keys(metersPerUnit).join(', ') +
+                        ', not ' + units);
+    }
+    if (!isFiniteNumber(radius) || radius <= 0) {
+        throw new Error('WITHIN_RADIUS RADIUS must be a number greater than 0');
+    }
+    meters = radius * metersPerUnit[units];
+    if (meters > config.withinRadius.maxMeters) {
+        throw new Error('WITHIN_RADIUS RADIUS can be at most ' + config.withinRadius.maxMeters + ' meters');
+    }
+    return meters;
+}
+
+// `makeWithinRadiusTemplate` returns an underscore template for a
+// WITHIN_RADIUS predicate value, which accepts a `column` parameter holding
+// web mercator geometries.
+//
+// The geodesic comparison can't use the spatial index, so it is preceded by
+// a bounding box comparison in web mercator. Web mercator stretches
+// distances by 1 / cos(latitude), so the box is expanded by the stretch at
+// the latitude of the circle nearest a pole.
+function makeWithinRadiusTemplate(value) {
+    var lngLat, meters, farthestLatitude, expandBy, point;
+
+    if (!_.isObject(value)) {
+        throw new Error('WITHIN_RADIUS requires an object with POINT and RADIUS');
+    }
+    lngLat = parsePoint(value.POINT);
+    meters = parseRadius(value.RADIUS, value.UNITS);
+
+    farthestLatitude = Math.min(Math.abs(lngLat[1]) + meters / METERS_PER_DEGREE_LATITUDE, 89);
+    // Distances on the spheroid differ from those on web mercator's sphere
+    // by less than 1%
+    expandBy = Math.ceil(1.01 * meters / Math.cos(toRadians(farthestLatitude)));
+
+    point = format('ST_SetSRID(ST_MakePoint(%s, %s), 4326)', lngLat[0], lngLat[1]);
+
+    return format('(<%%= column %%> && ST_Expand(ST_Transform(%s, 3857), %s) AND ' +
+                  'ST_DWithin(ST_Transform(<%%= column %%>, 4326)::geography, %s::geography, %s))',
+                  point, expandBy, point, meters);
+}
+
+exports = module.exports = {
+    makeWithinRadiusTemplate: makeWithinRadiusTemplate
+};
@@ -0,0 +1,81 @@
+"use strict";
+
+// Filter values can be dates relative to the day the filter is run, so that
+// saved filters like "trees planted this year" don't go stale, e.g.
+//
+//     {"tree.date_planted": {"MIN": {"RELATIVE": "start_of_year"}}}
+//     {"mapFeature.updated_at": {"MIN": {"RELATIVE": "-90d"}}}
+//
+// A relative date expression is an anchor, one or more offsets, or an
+// anchor followed by offsets:
+//
+//     expression = anchor | offset+ | anchor offset+
+//     anchor     = 'today' | 'start_of_week' | 'start_of_month' | 'start_of_year'
+//     offset     = ('+' | '-') integer ('d' | 'w' | 'm' | 'y')
+//
+// Offsets without an anchor are relative to today, so "-1m+1d" is the day
+// after the same day last month. Expressions are resolved by Postgres, in
+// the time zone of the database session.
+
+var _ = require('underscore');
+var sql = require('./sqlLiterals');
+
+var ANCHORS = {
+    today: 'CURRENT_DATE',
+    start_of_week: "date_trunc('week', CURRENT_DATE)",
+    start_of_month: "date_trunc('month', CURRENT_DATE)",
+    start_of_year: "date_trunc('year', CURRENT_DATE)"
+};
+
+var INTERVAL_UNITS = {
+    d: 'days',
+    w: 'weeks',
+    m: 'months',
+    y: 'years'
+};
+
+var EXPRESSION_PATTERN = /^([a-z_]*)((?:[+-][0-9]{1,5}[dwmy])*)$/;
+var OFFSET_PATTERN = /([+-][0-9]{1,5})([dwmy])/g;
+
+// `isRelativeDate` returns true if `value` is a {"RELATIVE": expression}
+// object.
+function isRelativeDate(value) {
+    return _.isObject(value) && !_.isArray(value) && _.has(value, 'RELATIVE');
+}
+
+// `relativeDateToSql` returns the SQL for a {"RELATIVE": expression}
+// object, throwing an error if the expression is not valid.
+function relativeDateToSql(value) {
+    var expression = value.RELATIVE,
+        match = _.isString(expression) ? EXPRESSION_PATTERN.exec(expression) : null,
+        anchor, offsets, offset;
+
+    if (_.keys(value).length !== 1) {
+        throw new Error('A relative date must only have a RELATIVE key');
+    }
+    if (!match || expression === '') {
+        throw new Error('RELATIVE must be a relative date like "today", "start_of_year" or "-90d", not ' +
+                        JSON.stringify(expression));
+    }
+    anchor = match[1] || 'today';
+    if (!_.has(ANCHORS, anchor)) {
+        throw new Error('RELATIVE dates must start with one of ' + _.keys(ANCHORS).join(', ') +
+                        ' or an offset, not ' + JSON.stringify(match[1]));
+    }
+
+    offsets = [];
+    OFFSET_PATTERN.lastIndex = 0;
+    while ((offset = OFFSET_PATTERN.exec(match[2])) !== null) {
+        offsets.push(' + CAST(' + sql.literal(sql.integer(offset[1].replace('+', '')) + ' ' +
+                                              INTERVAL_UNITS[offset[2]]) + ' AS INTERVAL)');
+    }
+    if (offsets.length === 0 && anchor === 'today') {
+        return '(' + ANCHORS.today + ')';
+    }
+    return '(CAST(' + ANCHORS[anchor] + offsets.join('') + ' AS DATE))';
+}
+
+exports = module.exports = {
+    isRelativeDate: isRelativeDate,
+    relativeDateToSql: relativeDateToSql
+};
@@ -0,0 +1,176 @@
+"use strict";
+
+// A filter, display and restrict combination can be saved, so that requests
+// can refer to it by a short `filter_id` instead of sending long `q`, `show`
+// and `restrict` JSON strings, which exceed the URL limits of some mobile
+// clients. A saved filter looks like
+//
+//     {"q": "{\"tree.diameter\": {\"MIN\": 10}}", "show": "[\"Tree\"]"}
+//
+// with the same strings as the request arguments, and its id is a hash of
+// the instance and the filter. The same filter saved by different users
+// therefore has the same id, so their tile URLs can share caches.
+//
+// A saved layer is a saved filter for the tiles of one table, with the
+// `color_by` and `cluster` arguments of a tile request. Layers are created
+// with a POST, so that filters too large for a URL, like long IN lists and
+// detailed polygons, can be sent in the body. Their tiles are then fetched
+// with plain GET URLs naming the layer's id, like Windshaft's layergroups.
+
+var crypto = require('crypto');
+var _ = require('underscore');
+var config = require('./config');
+var colorBy = require('./colorBy');
+var validateFilter = require('./validateFilter');
+
+var ID_LENGTH = 20;
+
+function argumentNames() {
+    return [config.filterQueryArgumentName,
+            config.displayQueryArgumentName,
+            config.restrictFeatureQueryArgumentName];
+}
+
+function invalidArgument(message, status) {
+    var err = new Error(message);
+    err.http_status = status || 400;
+    return err;
+}
+
+// `parseFeatureTypes` returns the list of feature types of a display or
+// restrict argument, raising an error if it is not a list of strings.
+function parseFeatureTypes(name, value) {
+    var featureTypes;
+    try {
+        featureTypes = _.isString(value) ? JSON.parse(value) : value;
+    } catch (err) {
+        throw invalidArgument('Invalid argument: ' + name + ' is not valid JSON: ' + err.message);
+    }
+    if (!_.isArray(featureTypes) || !_.every(featureTypes, _.isString)) {
+        throw invalidArgument('Invalid argument: ' + name + ' must be a list of feature types');
+    }
+    return featureTypes;
+}
+
+// `makeSavedFilter` returns the saved filter for the filter, display and
+// restrict arguments in `params`, raising an error if any of them is not
+// valid. Arguments may be JSON strings, as in a query string, or objects,
+// as in a JSON request body.
+function makeSavedFilter(params) {
+    var filterName = config.filterQueryArgumentName,
+        savedFilter = {},
+        filterObject;
+
+    if (!_.any(argumentNames(), function(name) { return params[name]; })) {
+        throw invalidArgument('A saved filter needs at least one of ' + argumentNames().join(', '));
+    }
+    if (params[filterName]) {
+        try {
+            filterObject = _.isString(params[filterName]) ? JSON.parse(params[filterName]) : params[filterName];
+        } catch (err) {
+            err.http_status = 400;
+            err.errors = validateFilter.validateFilterString(params[filterName]);
+            throw err;
+        }
+        validateFilter.assertValidFilter(filterObject);
+        savedFilter[filterName] = JSON.stringify(filterObject);
+    }
+    _.each([config.displayQueryArgumentName, config.restrictFeatureQueryArgumentName], function(name) {
+        if (params[name]) {
+            savedFilter[name] = JSON.stringify(parseFeatureTypes(name, params[name]));
+        }
+    });
+    return savedFilter;
+}
+
+// `makeSavedLayer` returns the saved layer for the filter, display,
+// restrict, color by and cluster arguments in `params`, raising an error if
+// any of them is not valid. Unlike a saved filter, a layer may be unfiltered.
+function makeSavedLayer(params) {
+    var savedLayer = _.any(argumentNames(), function(name) { return params[name]; }) ?
+            makeSavedFilter(params) : {},
+        colorByName = params[config.colorByQueryArgumentName],
+        cluster = params[config.clusterQueryArgumentName];
+
+    if (colorByName) {
+        colorBy.getFieldName(colorByName);
+        savedLayer[config.colorByQueryArgumentName] = colorByName;
+    }
+    if (cluster === true || cluster === 'true') {
+        savedLayer[config.clusterQueryArgumentName] = 'true';
+    }
+    return savedLayer;
+}
+
+function makeId(values) {
+    return crypto.createHash('sha1').update(JSON.stringify(values)).digest('hex').substring(0, ID_LENGTH);
+}
+
+// `savedFilterId` returns the id of a saved filter of the instance
+// `instanceId`.
+function savedFilterId(instanceId, savedFilter) {
+    return makeId([instanceId].concat(_.map(argumentNames(), function(name) {
+        return savedFilter[name] || null;
+    })));
+}
+
+// `savedLayerId` returns the id of a saved layer of the tiles of `table`
+// for the instance `instanceId`.
+function savedLayerId(instanceId, table, savedLayer) {
+    var names = argumentNames().concat([config.colorByQueryArgumentName, config.clusterQueryArgumentName]);
+    return makeId([instanceId, table].concat(_.map(names, function(name) {
+        return savedLayer[name] || null;
+    })));
+}
+
+// `isSavedFilterId` returns true if `value` could be the id of a saved
+// filter or layer, so that malformed ids are rejected before looking them up.
+function isSavedFilterId(value) {
+    return _.isString(value) && new RegExp('^[0-9a-f]{' + ID_LENGTH + '}$').test(value);
+}
+
+// `requestFilterStrings` returns the filter, display and restrict strings of
+// a request, as `{filter, display, restrict}`. If the request's `query`
+// names a saved filter, `savedFilter` is the filter it refers to, and
+// the strings are taken from it. Raises an error if the saved filter does
+// not exist or the request also sends a filter, display or restrict argument.
+function requestFilterStrings(query, savedFilter) {
+    var filterId = query[config.savedFilterQueryArgumentName],
+        source = query;
+
+    if (!_.isUndefined(filterId)) {
+        if (_.any(argumentNames(), function(name) { return _.has(query, name); })) {
+            throw invalidArgument('Invalid argument: ' + config.savedFilterQueryArgumentName +
+                                  ' cannot be combined with ' + argumentNames().join(', '));
+        }
+        if (!savedFilter) {
+            throw invalidArgument('Saved filter ' + JSON.stringify(filterId) + ' does not exist', 404);
+        }
+        source = savedFilter;
+    }
+    return {
+        filter: source[config.filterQueryArgumentName],
+        display: source[config.displayQueryArgumentName],
+        restrict: source[config.restrictFeatureQueryArgumentName]
+    };
+}
+
+// `savedLayerQuery` returns the query arguments of a tile request for a
+// saved layer, which replace any filter, display, restrict, color by or
+// cluster arguments sent with the request.
+function savedLayerQuery(query, savedLayer) {
+    return _.extend(_.omit(query, argumentNames().concat([config.savedFilterQueryArgumentName,
+                                                          config.colorByQueryArgumentName,
+                                                          config.clusterQueryArgumentName])),
+                    savedLayer);
+}
+
+exports = module.exports = {
+    makeSavedFilter: makeSavedFilter,
+    makeSavedLayer: makeSavedLayer,
+    savedFilterId: savedFilterId,
+    savedLayerId: savedLayerId,
+    isSavedFilterId: isSavedFilterId,
+    requestFilterStrings: requestFilterStrings,
+    savedLayerQuery: savedLayerQuery
+};
@@ -0,0 +1,171 @@
+"use strict";
+
+// Describe the fields that can be used in filters, so that clients can
+// discover them and filters can be validated against them. The schema is
+// built from the columns of the tables in `config.modelMapping`, the derived
+// fields in `config.derivedFields` and the instance's user defined field
+// (UDF) definitions, and looks like
+//
+//     {
+//         "fields": {
+//             "tree.diameter": {
+//                 "model": "tree",
+//                 "sqlType": "double precision",
+//                 "type": "number",
+//                 "operators": ["IS", "IS_NOT", "IN", "NOT_IN", "MIN", "MAX", "ISNULL"],
+//                 "units": {"stored": "in", "display": "cm"}
+//             },
+//             "tree.udf:Condition": {
+//                 "model": "tree",
+//                 "sqlType": "text",
+//                 "type": "string",
+//                 "operators": [...],
+//                 "choices": ["Good", "Fair", "Poor"]
+//             },
+//             ...
+//         }
+//     }
+
+var _ = require('underscore');
+var config = require('./config');
+var derivedFields = require('./derivedFields');
+var filterObjectToWhere = require('./filterObjectToWhere');
+var units = require('./units');
+
+var OPERATORS_BY_TYPE = {
+    number: ['IS', 'IS_NOT', 'IN', 'NOT_IN', 'MIN', 'MAX', 'ISNULL'],
+    string: ['IS', 'IS_NOT', 'IN', 'NOT_IN', 'LIKE', 'NOT_LIKE', 'SEARCH', 'ISNULL'],
+    boolean: ['IS', 'IS_NOT', 'ISNULL'],
+    date: ['IS', 'IS_NOT', 'MIN', 'MAX', 'ISNULL'],
+    geometry: ['IN_BOUNDARY', 'WITHIN_RADIUS', 'INSIDE_GEOMETRY', 'ISNULL'],
+    multichoice: ['CONTAINS_ANY', 'CONTAINS_ALL', 'ISNULL'],
+    other: ['ISNULL']
+};
+
+// Keyed by the `data_type` of information_schema.columns
+var TYPES_BY_SQL_TYPE = {
+    'smallint': 'number',
+    'integer': 'number',
+    'bigint': 'number',
+    'numeric': 'number',
+    'real': 'number',
+    'double precision': 'number',
+    'character varying': 'string',
+    'character': 'string',
+    'text': 'string',
+    'boolean': 'boolean',
+    'date': 'date',
+    'timestamp without time zone': 'date',
+    'timestamp with time zone': 'date'
+};
+
+// Keyed by the "type" of a UDF datatype. UDF values are stored as text in
+// hstore columns, with multichoice values as JSON arrays.
+var TYPES_BY_UDF_TYPE = {
+    'float': 'number',
+    'int': 'number',
+    'string': 'string',
+    'choice': 'string',
+    'multichoice': 'multichoice',
+    'user': 'string',
+    'date': 'date'
+};
+
+function columnType(column) {
+    if (column.data_type === 'USER-DEFINED' && column.udt_name === 'geometry') {
+        return 'geometry';
+    }
+    return TYPES_BY_SQL_TYPE[column.data_type] || 'other';
+}
+
+function makeField(model, sqlType, type) {
+    return {
+        model: model,
+        sqlType: sqlType,
+        type: type,
+        operators: OPERATORS_BY_TYPE[type]
+    };
+}
+
+// UDF definitions name their model by class, e.g. "Plot" or "RainBarrel"
+function udfModelName(modelType) {
+    return modelType.charAt(0).toLowerCase() + modelType.substring(1);
+}
+
+function makeUdfField(model, sqlType, datatype) {
+    var field = makeField(model, sqlType, TYPES_BY_UDF_TYPE[datatype.type] || 'other');
+    if (datatype.choices) {
+        field.choices = datatype.choices;
+    }
+    return field;
+}
+
+// `addColumnFields` adds a field for each column of a mapped table, except
+// for the hstore column holding scalar UDF values, which are added per UDF.
+function addColumnFields(fields, columnRows) {
+    var modelsByTable = _.invert(_.omit(config.modelMapping, 'udf')),
+        fieldNamesByColumn = _.invert(config.customDbFieldNames);
+
+    _.each(columnRows, function(column) {
+        var model = modelsByTable[column.table_name],
+            fieldName = fieldNamesByColumn[column.column_name] || column.column_name;
+        if (model && column.column_name !== config.scalar_udf_field) {
+            fields[model + '.' + fieldName] = makeField(model, column.data_type, columnType(column));
+        }
+    });
+}
+
+// `addDerivedFields` adds the fields computed from columns (see
+// derivedFields.js)
+function addDerivedFields(fields) {
+    _.each(_.keys(config.derivedFields), function(fieldName) {
+        var sqlType = derivedFields.getDerivedField(fieldName).sqlType;
+        fields[fieldName] = makeField(fieldName.split('.')[0], sqlType, TYPES_BY_SQL_TYPE[sqlType] || 'other');
+    });
+}
+
+// `addUdfFields` adds the fields of the UDF definitions. Scalar UDFs are
+// named "model.udf:Name" and each field of a collection UDF is named
+// "udf:model:fieldDefinitionId.field", as in filters. Collection UDF fields
+// can't be compared with negated operators (see filterObjectToWhere.js).
+function addUdfFields(fields, udfRows) {
+    _.each(udfRows, function(udf) {
+        var model = udfModelName(udf.model_type),
+            datatype = _.isString(udf.datatype) ? JSON.parse(udf.datatype) : udf.datatype;
+
+        if (!_.has(config.modelMapping, model)) {
+            return;
+        }
+        if (udf.iscollection) {
+            _.each(datatype, function(subfield) {
+                var field = makeUdfField(model, 'text', subfield);
+                field.operators = _.difference(field.operators, filterObjectToWhere.NEGATED_OPERATORS);
+                fields['udf:' + model + ':' + udf.id + '.' + subfield.name] = field;
+            });
+        } else {
+            fields[model + '.udf:' + udf.name] = makeUdfField(model, 'text', datatype);
+        }
+    });
+}
+
+// `buildSchema` returns the schema for the rows of `config.schemaColumnsSql`
+// and `config.schemaUdfDefinitionsSql`. Fields with units list the units
+// they are stored in and the units the instance displays them in.
+function buildSchema(columnRows, udfRows, instanceConfig) {
+    var fields = {};
+    addColumnFields(fields, columnRows);
+    addDerivedFields(fields);
+    addUdfFields(fields, udfRows);
+    _.each(fields, function(field, fieldName) {
+        var fieldUnits = units.getFieldUnits(fieldName, instanceConfig);
+        if (fieldUnits) {
+            field.units = fieldUnits;
+        }
+    });
+    return {fields: fields};
+}
+
+exports = module.exports = {
+    OPERATORS_BY_TYPE: OPERATORS_BY_TYPE,
+    buildSchema: buildSchema
+};
@@ -5,7 +5,7 @@ var fs = require('fs');
 var Rollbar = require('rollbar');
 var WindshaftServer = require('./http/windshaftServer.js');
 var healthCheck = require('./healthCheck');
-var makeSql = require('./makeSql');
+var tileParams = require('./tileParams');
 var config = require('./config');
 
 // Optional environment variable for reporting exceptions to rollbar.com
@@ -24,18 +24,13 @@ var ws;
 var styles = {
     boundary: fs.readFileSync('style/boundary.mms', {encoding: 'utf-8'}),
     canopy: fs.readFileSync('style/canopy.mms', {encoding: 'utf-8'}),
+    density: fs.readFileSync('style/density.mms', {encoding: 'utf-8'}),
     mapFeature: fs.readFileSync('style/mapFeature.mms', {encoding: 'utf-8'}),
     uncoloredMapFeature: fs.readFileSync('style/uncoloredMapFeature.mms', {encoding: 'utf-8'}),
+    clusterMapFeature: fs.readFileSync('style/clusterMapFeature.mms', {encoding: 'utf-8'}),
     polygonalMapFeature: fs.readFileSync('style/polygonalMapFeature.mms', {encoding: 'utf-8'})
 };
 
-function parseBoundaryCategory(category) {
-    if (/^[A-Za-z0-9 ]+$/.test(category)) {
-        return category;
-    }
-    return undefined;
-}
-
 // Configure the Windshaft tile server to handle OTM's HTTP requests, which retrieve
 // e.g. a map tile or UTF grid with map features like tree plots or boundaries.
 
@@ -62,6 +57,10 @@ var windshaftConfig = {
         // each metatile multiple times, making things slower rather than faster.
         metatile: 1
     },
+    // Optional token required to use the /admin endpoints, e.g. to purge
+    // an instance's cached tiles. The endpoints are disabled without it.
+    admin_token: process.env.OTM_TILER_ADMIN_TOKEN,
+
     redis: {
         host: process.env.OTM_CACHE_HOST || '127.0.0.1',
         port: process.env.OTM_CACHE_PORT || 6379
@@ -84,77 +83,19 @@ var windshaftConfig = {
     // make tile requests
     base_url: '/:cache_buster/database/:unused/table/:table',
 
-    // Tell server how to handle HTTP request 'req' (by specifying properties in req.params).
-    req2params: function(req, callback) {
-        var instanceid, isUtfGridRequest, isPolygonRequest, table,
-            zoom, filterString, displayString, restrictFeatureString;
-
-        // Specify SQL subquery to extract desired features from desired DB layer.
-        // (This will be wrapped in an outer query, in many cases extracting geometry
-        // using the magic column name "the_geom_webmercator".)
-        try {
-            instanceid = parseInt(req.query.instance_id, 10);
-            table = req.params.table;
-            zoom = req.params.z;
-            isPolygonRequest = (table === 'stormwater_polygonalmapfeature');
-            if (table === 'treemap_mapfeature' || isPolygonRequest) {
-                filterString = req.query[config.filterQueryArgumentName];
-                displayString = req.query[config.displayQueryArgumentName];
-                restrictFeatureString = req.query[config.restrictFeatureQueryArgumentName];
-                isUtfGridRequest = (req.params.format === 'grid.json');
-                req.params.sql = makeSql.makeSqlForMapFeatures(filterString,
-                                                               displayString,
-                                                               restrictFeatureString,
-                                                               instanceid,
-                                                               zoom,
-                                                               isUtfGridRequest,
-                                                               isPolygonRequest,
-                                                               req.instanceConfig);
-                if (isPolygonRequest) {
-                    req.params.style = styles.polygonalMapFeature;
-                } else if (isUtfGridRequest) {
-                    req.params.style = styles.uncoloredMapFeature;
-                } else {
-                    req.params.style = styles.mapFeature;
-                }
-            } else if (table === 'treemap_boundary' && instanceid) {
-                req.params.sql = makeSql.makeSqlForBoundaries(instanceid);
-                req.params.style = styles.boundary;
-            } else if (table === 'treemap_canopy_boundary' && instanceid) {
-                var canopyMin = parseFloat(req.query.canopyMin),
-                    canopyMax = parseFloat(req.query.canopyMax),
-                    category = parseBoundaryCategory(req.query.category);
+    // The stylesheets, which instances can customize (see instanceStyles.js)
+    styles: styles,
 
-                if (!category) {
-                    throw new Error('Invalid argument: category');
-                }
-                if (isNaN(canopyMin) || !isFinite(canopyMin)) {
-                    throw new Error('Invalid argument: canopyMin');
-                }
-                if (isNaN(canopyMax) || !isFinite(canopyMax)) {
-                    throw new Error('Invalid argument: canopyMax');
-                }
-
-                req.params.sql = makeSql.makeSqlForCanopyBoundaries(instanceid,
-                        canopyMin, canopyMax, category);
-                req.params.style = styles.canopy;
-            }
-        } catch (err) {
+    // Tell server how to handle HTTP request 'req' (by specifying properties in req.params).
+    req2params: tileParams.makeReq2params({
+        styles: styles,
+        dbname: dbname,
+        onError: function(err, req) {
             if (rollbarAccessToken) {
                 rollbar.error(err, req);
             }
-            callback(err, null);
         }
-
-        // A UTF grid request returns map feature data for each pixel in a tile,
-        // streamlining client actions like clicking on or hovering over a feature.
-        // "interactivity" specifies which fields from our SQL query should be returned for each feature.
-        req.params.interactivity = (isUtfGridRequest ? config.interactivityForUtfGridRequests : null);
-        req.params.dbname = dbname;
-
-        // Send the finished req object on
-        callback(null, req);
-    },
+    }),
 
     afterTileRender: function(req, res, tile, headers, callback) {
         headers['Cache-Control'] = 'max-age=2592000';
@@ -0,0 +1,107 @@
+"use strict";
+
+// Every value from a request that is written into SQL goes through one of
+// the functions in this module.
+//
+// The tiler is built on top of Windshaft, which renders from SQL strings
+// rather than parameterized queries, so values can't be sent to Postgres
+// separately from the query. Instead they are inlined here, either as
+// numbers that have been checked to be numbers or as quoted literals and
+// identifiers that Postgres can't read past the end of.
+//
+// Queries that the tiler sends to Postgres itself (statistics, exports and
+// the like) are built inside `parameterized`, which sends strings as `$n`
+// parameters instead.
+
+var _ = require('underscore');
+
+// The values of the strings written as `$n` parameters, while a query is
+// being built by `parameterized`
+var parameters = null;
+
+// `literal` returns the SQL literal for a string, number, boolean or null.
+// Any other value raises an error rather than being converted to a string.
+//
+// Quotes are escaped by doubling them. Backslashes are only escape
+// characters in E'' strings, or in plain strings if the server has
+// standard_conforming_strings turned off, so strings containing them are
+// written as E'' strings with the backslashes doubled, which is correct
+// whatever that setting is.
+function literal(value) {
+    if (value === null) {
+        return 'NULL';
+    } else if (_.isBoolean(value)) {
+        return value ? 'TRUE' : 'FALSE';
+    } else if (_.isNumber(value)) {
+        return number(value);
+    } else if (_.isString(value)) {
+        if (value.indexOf('\u0000') !== -1) {
+            throw new Error('Strings in SQL cannot contain null characters');
+        }
+        if (parameters) {
+            parameters.push(value);
+            return '$' + parameters.length;
+        }
+        if (value.indexOf('\\') !== -1) {
+            return "E'" + value.replace(/\\/g, '\\\\').replace(/'/g, "''") + "'";
+        }
+        return "'" + value.replace(/'/g, "''") + "'";
+    }
+    throw new Error('Only strings, numbers, booleans and null can be used in SQL, not ' +
+                    JSON.stringify(value));
+}
+
+// `number` returns `value` if it is a finite number, and otherwise raises an
+// error.
+function number(value) {
+    if (!_.isNumber(value) || !isFinite(value)) {
+        throw new Error('Expected a finite number, not ' + JSON.stringify(value));
+    }
+    return value;
+}
+
+// `integer` returns `value` as an integer if it is an integer or a string of
+// digits, and otherwise raises an error.
+function integer(value) {
+    if (_.isString(value) && /^-?[0-9]+$/.test(value)) {
+        value = parseInt(value, 10);
+    }
+    if (!_.isNumber(value) || !isFinite(value) || Math.floor(value) !== value) {
+        throw new Error('Expected an integer, not ' + JSON.stringify(value));
+    }
+    return number(value);
+}
+
+// `identifier` returns a quoted SQL identifier, e.g. a column name.
+function identifier(name) {
+    if (!_.isString(name) || name.length === 0 || name.indexOf('\u0000') !== -1) {
+        throw new Error('Invalid SQL identifier: ' + JSON.stringify(name));
+    }
+    return '"' + name.replace(/"/g, '""') + '"';
+}
+
+// `parameterized` calls `makeQuery`, which returns the text of a query, and
+// returns the query with the strings given to `literal` along the way
+// written as `$n` parameters, i.e. `{text: ..., values: [...]}`, which can be
+// passed to `client.query(text, values, callback)`.
+//
+// Queries are built synchronously, so no other query is built while
+// `makeQuery` runs.
+function parameterized(makeQuery) {
+    var outer = parameters,
+        values = [];
+    parameters = values;
+    try {
+        return {text: makeQuery(), values: values};
+    } finally {
+        parameters = outer;
+    }
+}
+
+exports = module.exports = {
+    literal: literal,
+    parameterized: parameterized,
+    number: number,
+    integer: integer,
+    identifier: identifier
+};
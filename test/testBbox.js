@@ -0,0 +1,35 @@
+"use strict";
+
+var assert = require("assert");
+var bbox = require("../http/bbox");
+
+describe('bbox.parse', function() {
+    it('parses west,south,east,north', function() {
+        assert.deepEqual(bbox.parse('-75.2,39.9,-75.1,40'), [-75.2, 39.9, -75.1, 40]);
+    });
+
+    it('returns undefined for missing or malformed bboxes', function() {
+        assert.equal(bbox.parse(undefined), undefined);
+        assert.equal(bbox.parse(''), undefined);
+        assert.equal(bbox.parse('-75.2,39.9,-75.1'), undefined);
+        assert.equal(bbox.parse('-75.2,39.9,-75.1,40,1'), undefined);
+        assert.equal(bbox.parse('-75.2,39.9,-75.1,north'), undefined);
+        assert.equal(bbox.parse('-75.2,39.9,-75.1,40); DROP TABLE treemap_tree'), undefined);
+    });
+
+    it('returns undefined for inverted or out of range bboxes', function() {
+        assert.equal(bbox.parse('-75.1,39.9,-75.2,40'), undefined);
+        assert.equal(bbox.parse('-75.2,40,-75.1,39.9'), undefined);
+        assert.equal(bbox.parse('-181,39.9,-75.1,40'), undefined);
+        assert.equal(bbox.parse('-75.2,39.9,-75.1,91'), undefined);
+    });
+});
+
+describe('bbox.areaSquareKilometers', function() {
+    it('returns the area of a bbox', function() {
+        // A degree of longitude and latitude at the equator is about 111 km
+        // wide and high, and narrows away from it
+        assert.equal(Math.round(bbox.areaSquareKilometers([0, 0, 1, 1])), 12391);
+        assert.equal(Math.round(bbox.areaSquareKilometers([-75.2, 39.9, -75.1, 40])), 95);
+    });
+});
@@ -0,0 +1,88 @@
+"use strict";
+
+var assert = require("assert");
+var colorBy = require("../colorBy");
+
+describe('colorBy', function() {
+
+    it('returns the field for named options', function() {
+        assert.equal(colorBy.getFieldName('species'), 'species.id');
+        assert.equal(colorBy.getFieldName('diameter'), 'tree.diameter');
+    });
+
+    it('accepts scalar udfs', function() {
+        assert.equal(colorBy.getFieldName('tree.udf:Stewardship Level'), 'tree.udf:Stewardship Level');
+        assert.equal(colorBy.getFieldName('plot.udf:Owner'), 'plot.udf:Owner');
+    });
+
+    it('raises an error for unknown options', function() {
+        assert.throws(function() {
+            colorBy.getFieldName('tree.diameter; DROP TABLE treemap_tree');
+        }, Error);
+        assert.throws(function() {
+            colorBy.getFieldName('udf:tree:18.Action');
+        }, Error);
+        assert.throws(function() {
+            colorBy.getFieldName('toString');
+        }, Error);
+    });
+
+    it('buckets numeric options by their breaks', function() {
+        assert.equal(colorBy.makeColorIndexSql('diameter', '"treemap_tree"."diameter"'),
+                     'width_bucket(("treemap_tree"."diameter")::float, ARRAY[6, 12, 18, 24, 36]::float[])');
+    });
+
+    it('indexes category options by their rank', function() {
+        assert.equal(colorBy.makeColorIndexSql('species', '"treemap_species"."id"', ['12', '7']),
+                     '(CASE WHEN ("treemap_species"."id") IS NOT NULL THEN ' +
+                     'COALESCE(array_position(ARRAY[\'12\', \'7\']::text[], ("treemap_species"."id")::text) - 1, 9) ' +
+                     'END)');
+    });
+
+    it('gives values other than the categories the last color', function() {
+        assert.ok(colorBy.makeColorIndexSql('tree.udf:Condition', 'x', []).indexOf('ARRAY[]::text[]') > -1);
+        assert.ok(colorBy.makeColorIndexSql('tree.udf:Condition', 'x').indexOf('ARRAY[]::text[]') > -1);
+    });
+
+    it('knows which options are colored by category', function() {
+        assert.equal(colorBy.hasCategories('species'), true);
+        assert.equal(colorBy.hasCategories('tree.udf:Condition'), true);
+        assert.equal(colorBy.hasCategories('diameter'), false);
+    });
+
+    it('has no named option for a particular udf', function() {
+        assert.throws(function() {
+            colorBy.getFieldName('condition');
+        }, Error);
+    });
+
+    it('makes a legend for bucketed options', function() {
+        var legend = colorBy.makeLegend('height');
+        assert.equal(legend.length, 6);
+        assert.deepEqual(legend[0], {min: null, max: 10, color: '#FFFFCC'});
+        assert.deepEqual(legend[1], {min: 10, max: 20, color: '#D9F0A3'});
+        assert.deepEqual(legend[5], {min: 75, max: null, color: '#006837'});
+    });
+
+    it('makes a legend for category options', function() {
+        assert.deepEqual(colorBy.makeLegend('tree.udf:Condition', ['Good', 'Fair']), [
+            {value: 'Good', color: '#1F78B4'},
+            {value: 'Fair', color: '#33A02C'},
+            {other: true, color: '#CAB2D6'}
+        ]);
+    });
+
+    it('makes a rule for each bucket', function() {
+        var style = colorBy.makeStyle('diameter');
+        assert.ok(style.indexOf('#treemap_mapfeature[tree_id!=null][feature_type="Plot"] {') === 0);
+        assert.ok(style.indexOf('[color_index=0]') > -1);
+        assert.ok(style.indexOf('[color_index=5]') > -1);
+        assert.ok(style.indexOf('[color_index=6]') === -1);
+    });
+
+    it('makes a rule for each category color', function() {
+        var style = colorBy.makeStyle('species');
+        assert.ok(style.indexOf('[color_index=9]') > -1);
+        assert.ok(style.indexOf('[color_index=10]') === -1);
+    });
+});
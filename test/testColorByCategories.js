@@ -0,0 +1,61 @@
+"use strict";
+
+var assert = require("assert");
+var ColorByCategories = require("../http/colorByCategories");
+
+describe('ColorByCategories', function() {
+    var time = 0;
+
+    function makeDbPool(values) {
+        var pool = {queries: []};
+        pool.connect = function(callback) {
+            callback(null, {
+                query: function(sql, params, callback) {
+                    pool.queries.push(sql);
+                    callback(null, {rows: values.map(function(value) { return {value: value}; })});
+                }
+            }, function() {});
+        };
+        return pool;
+    }
+
+    function load(categories, instanceId, colorByName) {
+        var result = {};
+        categories.load(instanceId, colorByName, {}, function(err, loaded) {
+            result.err = err;
+            result.categories = loaded;
+        });
+        return result;
+    }
+
+    it('caches the categories of each instance and option', function() {
+        var dbPool = makeDbPool(['Good', 'Fair']),
+            categories = new ColorByCategories(dbPool, {maxSize: 10, ttl: 100, now: function() { return time; }});
+
+        time = 0;
+        assert.deepEqual(load(categories, 1, 'tree.udf:Condition').categories, ['Good', 'Fair']);
+        assert.deepEqual(load(categories, 1, 'tree.udf:Condition').categories, ['Good', 'Fair']);
+        assert.equal(dbPool.queries.length, 1);
+        load(categories, 2, 'tree.udf:Condition');
+        load(categories, 1, 'species');
+        assert.equal(dbPool.queries.length, 3);
+
+        time = 100;
+        load(categories, 1, 'tree.udf:Condition');
+        assert.equal(dbPool.queries.length, 4);
+    });
+
+    it('has no categories for bucketed options', function() {
+        var dbPool = makeDbPool([]),
+            result = load(new ColorByCategories(dbPool, {maxSize: 10, ttl: 100}), 1, 'diameter');
+
+        assert.equal(result.err, null);
+        assert.equal(result.categories, null);
+        assert.equal(dbPool.queries.length, 0);
+    });
+
+    it('calls back with a 400 error for unknown options', function() {
+        var result = load(new ColorByCategories(makeDbPool([]), {maxSize: 10, ttl: 100}), 1, 'favorite');
+        assert.equal(result.err.http_status, 400);
+    });
+});
@@ -0,0 +1,31 @@
+"use strict";
+
+var assert = require("assert");
+var _ = require("underscore");
+var derivedFields = require("../derivedFields");
+var config = require("../config");
+
+describe('derivedFields', function() {
+    it('recognizes derived field names', function() {
+        assert.ok(derivedFields.isDerivedField('tree.age'));
+        assert.ok(!derivedFields.isDerivedField('tree.diameter'));
+        assert.ok(!derivedFields.isDerivedField('constructor'));
+        assert.ok(!derivedFields.isDerivedField(undefined));
+        assert.equal(derivedFields.getDerivedField('tree.diameter'), undefined);
+    });
+
+    it('parenthesizes the expression computing a field', function() {
+        assert.equal(derivedFields.derivedFieldToSql('mapFeature.days_since_update'),
+                     '(CURRENT_DATE - CAST("treemap_mapfeature"."updated_at" AS DATE))');
+    });
+
+    it('defines each field with mapped models and a SQL type', function() {
+        _.each(config.derivedFields, function(definition, fieldName) {
+            assert.ok(_.contains(definition.models, fieldName.split('.')[0]), fieldName);
+            _.each(definition.models, function(model) {
+                assert.ok(_.has(config.sqlForMapFeatures.tables, model), fieldName + ': ' + model);
+            });
+            assert.ok(_.isString(definition.sql) && _.isString(definition.sqlType), fieldName);
+        });
+    });
+});
@@ -0,0 +1,199 @@
+"use strict";
+
+var assert = require("assert");
+var EventEmitter = require("events").EventEmitter;
+var _ = require("underscore");
+var ExportController = require("../http/exportController");
+var config = require("../config");
+
+// A stand-in for the express app, recording the errors sent
+function makeApp() {
+    return {
+        doCORS: function() {},
+        findStatusCode: function(err) { return err.http_status || 400; },
+        sendError: function(res, body, status) { res.send(body, status); }
+    };
+}
+
+// A response whose `write` asks for a drain after every `bufferSize` writes
+function makeResponse(bufferSize) {
+    var res = new EventEmitter();
+    res.body = '';
+    res.writes = 0;
+    res.headers = {};
+    res.header = function(name, value) { res.headers[name] = value; };
+    res.write = function(chunk) {
+        res.body += chunk;
+        res.writes++;
+        return !bufferSize || res.writes % bufferSize !== 0;
+    };
+    res.end = function(chunk) {
+        res.body += chunk || '';
+        res.ended = true;
+    };
+    res.send = function(body, status) {
+        res.sent = {body: body, status: status};
+    };
+    return res;
+}
+
+// A database with `featureCount` matching features, whose queries fail
+// once `failAt` queries have been made
+function makeDbPool(featureCount, failAt) {
+    var rows = _.map(_.range(featureCount), function(i) {
+            return {id: i, geojson: '{"type":"Point","coordinates":[0,0]}', feature_type: 'Plot'};
+        }),
+        pool = {queries: [], values: [], released: []};
+
+    pool.connect = function(callback) {
+        callback(null, {
+            query: function(sql, values, callback) {
+                var fetch = /^FETCH (\d+)/.exec(sql);
+                if (!callback) {
+                    callback = values;
+                    values = [];
+                }
+                pool.queries.push(sql);
+                pool.values.push(values);
+                if (pool.queries.length === failAt) {
+                    callback(new Error('canceling statement due to statement timeout'));
+                } else if (fetch) {
+                    callback(null, {rows: rows.splice(0, parseInt(fetch[1], 10))});
+                } else {
+                    callback(null, {rows: []});
+                }
+            }
+        }, function(err) {
+            pool.released.push(err || null);
+        });
+    };
+    return pool;
+}
+
+function makeRequest(query) {
+    return {
+        query: _.extend({instance_id: '1', bbox: '-75.2,39.9,-75.1,40'}, query),
+        params: {table: 'treemap_mapfeature'},
+        instanceConfig: {}
+    };
+}
+
+describe('ExportController', function() {
+    var limits = config.export;
+
+    function withLimits(newLimits, fn) {
+        config.export = _.extend({}, limits, newLimits);
+        try {
+            fn();
+        } finally {
+            config.export = limits;
+        }
+    }
+
+    it('streams the features from a cursor in batches', function() {
+        withLimits({batchSize: 2}, function() {
+            var dbPool = makeDbPool(3),
+                res = makeResponse();
+
+            new ExportController(makeApp(), dbPool).features(makeRequest({}), res);
+
+            assert.ok(res.ended);
+            assert.equal(res.headers['Content-Type'], 'application/geo+json');
+            assert.deepEqual(_.pluck(JSON.parse(res.body).features, 'id'), [0, 1, 2]);
+            assert.equal(JSON.parse(res.body).truncated, undefined);
+            assert.equal(dbPool.queries[0], 'BEGIN');
+            assert.ok(dbPool.queries[1].indexOf('DECLARE otm_export NO SCROLL CURSOR FOR SELECT') === 0);
+            assert.deepEqual(dbPool.queries.slice(2), ['FETCH 2 FROM otm_export', 'FETCH 2 FROM otm_export',
+                                                       'COMMIT']);
+            assert.deepEqual(dbPool.released, [null]);
+        });
+    });
+
+    it('waits for the response to drain before fetching more', function() {
+        withLimits({batchSize: 2}, function() {
+            var dbPool = makeDbPool(5),
+                res = makeResponse(2);
+
+            new ExportController(makeApp(), dbPool).features(makeRequest({}), res);
+
+            // The header and first feature fill the buffer
+            assert.equal(dbPool.queries.length, 3);
+            assert.ok(!res.ended);
+            res.emit('drain');
+            assert.equal(dbPool.queries.length, 4);
+            res.emit('drain');
+            assert.ok(res.ended);
+            assert.equal(JSON.parse(res.body).features.length, 5);
+        });
+    });
+
+    it('stops fetching when the client disconnects', function() {
+        withLimits({batchSize: 2}, function() {
+            var dbPool = makeDbPool(5),
+                res = makeResponse(2);
+
+            new ExportController(makeApp(), dbPool).features(makeRequest({}), res);
+            res.emit('close');
+
+            assert.equal(_.last(dbPool.queries), 'COMMIT');
+            assert.equal(dbPool.queries.length, 4);
+            assert.deepEqual(dbPool.released, [null]);
+        });
+    });
+
+    it('declares the cursor with filter values as query parameters', function() {
+        var dbPool = makeDbPool(1),
+            value = "Acer'; DROP TABLE treemap_tree; --";
+
+        new ExportController(makeApp(), dbPool).features(
+            makeRequest({q: JSON.stringify({'species.genus': {'IS': value}})}), makeResponse());
+
+        assert.deepEqual(dbPool.values[1], ['Plot', value]);
+        assert.ok(dbPool.queries[1].indexOf('"treemap_species"."genus" = $2') !== -1);
+        assert.equal(dbPool.queries[1].indexOf('DROP'), -1);
+    });
+
+    it('truncates exports with too many features', function() {
+        withLimits({batchSize: 2, maxFeatures: 3}, function() {
+            var res = makeResponse();
+
+            new ExportController(makeApp(), makeDbPool(10)).features(makeRequest({}), res);
+
+            assert.equal(JSON.parse(res.body).features.length, 3);
+            assert.equal(JSON.parse(res.body).truncated, true);
+        });
+    });
+
+    it('rejects bboxes that are too large', function() {
+        var dbPool = makeDbPool(1),
+            res = makeResponse();
+
+        new ExportController(makeApp(), dbPool).features(makeRequest({bbox: '-76,39,-74,41'}), res);
+
+        assert.equal(res.sent.status, 400);
+        assert.equal(dbPool.queries.length, 0);
+    });
+
+    it('reports errors before the response is started with an error status', function() {
+        var dbPool = makeDbPool(1, 3),
+            res = makeResponse();
+
+        new ExportController(makeApp(), dbPool).features(makeRequest({}), res);
+
+        assert.equal(res.sent.status, 400);
+        assert.equal(res.body, '');
+        assert.equal(_.last(dbPool.queries), 'ROLLBACK');
+        assert.equal(dbPool.released.length, 1);
+        assert.ok(dbPool.released[0] instanceof Error);
+    });
+
+    it('responds with a 400 listing the problems of an invalid filter', function() {
+        var res = makeResponse();
+
+        new ExportController(makeApp(), makeDbPool(1)).features(
+            makeRequest({q: '{"tree.diameter": {"MIN": [1]}}'}), res);
+
+        assert.equal(res.sent.status, 400);
+        assert.equal(res.sent.body.filter_errors[0].code, 'INVALID_VALUE');
+    });
+});
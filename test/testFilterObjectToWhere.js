@@ -1,7 +1,9 @@
 "use strict";
 
 var assert = require("assert");
+var _ = require("underscore");
 var filterObjectToWhere = require("../filterObjectToWhere");
+var config = require("../config");
 
 var assertSql = function(objectString, expectedSql) {
     var result = filterObjectToWhere(objectString);
@@ -114,21 +116,35 @@ describe('filterObjectToWhere', function() {
     });
 
     // UDF COLLECTION MATCHES
-    it('processes udf values, includes JOIN criteria in WHERE clause', function() {
+    it('matches udf collection values with a subquery', function() {
         assertSql({"udf:tree:18.Action": {"LIKE": "Watering"}},
-                  "((\"treemap_userdefinedcollectionvalue\".\"data\"::hstore->'Action') ILIKE '%Watering%'" +
-                  " AND treemap_userdefinedcollectionvalue.field_definition_id=18" +
-                  " AND treemap_userdefinedcollectionvalue.model_id=treemap_tree.id)");
+                  "(EXISTS (SELECT 1 FROM treemap_userdefinedcollectionvalue AS collection_value" +
+                  " WHERE collection_value.field_definition_id=18" +
+                  " AND collection_value.model_id=treemap_tree.id" +
+                  " AND ((\"collection_value\".\"data\"::hstore->'Action') ILIKE '%Watering%')))");
     });
 
     it('processes allows multiple UDF collections to be searched', function() {
         assertSql({"udf:tree:18.Action": {"LIKE": "Watering"}, "udf:plot:17.Action": {"LIKE": "Destroying"}},
-                  "((\"treemap_userdefinedcollectionvalue\".\"data\"::hstore->'Action') ILIKE '%Watering%'" +
-                  " AND treemap_userdefinedcollectionvalue.field_definition_id=18" +
-                  " AND treemap_userdefinedcollectionvalue.model_id=treemap_tree.id)" +
-                  " AND ((\"treemap_userdefinedcollectionvalue\".\"data\"::hstore->'Action') ILIKE '%Destroying%'" +
-                  " AND treemap_userdefinedcollectionvalue.field_definition_id=17" +
-                  " AND treemap_userdefinedcollectionvalue.model_id=treemap_mapfeature.id)");
+                  "(EXISTS (SELECT 1 FROM treemap_userdefinedcollectionvalue AS collection_value" +
+                  " WHERE collection_value.field_definition_id=18" +
+                  " AND collection_value.model_id=treemap_tree.id" +
+                  " AND ((\"collection_value\".\"data\"::hstore->'Action') ILIKE '%Watering%')))" +
+                  " AND (EXISTS (SELECT 1 FROM treemap_userdefinedcollectionvalue AS collection_value" +
+                  " WHERE collection_value.field_definition_id=17" +
+                  " AND collection_value.model_id=treemap_mapfeature.id" +
+                  " AND ((\"collection_value\".\"data\"::hstore->'Action') ILIKE '%Destroying%')))");
+    });
+
+    it('matches the fields of a udf collection in a filter object to the same value', function() {
+        assertSql({"udf:plot:17.Action": "Watered", "tree.height": {"MIN": 10},
+                   "udf:plot:17.Actor": {"LIKE": "Parks"}},
+                  "(EXISTS (SELECT 1 FROM treemap_userdefinedcollectionvalue AS collection_value" +
+                  " WHERE collection_value.field_definition_id=17" +
+                  " AND collection_value.model_id=treemap_mapfeature.id" +
+                  " AND ((\"collection_value\".\"data\"::hstore->'Action') = 'Watered')" +
+                  " AND ((\"collection_value\".\"data\"::hstore->'Actor') ILIKE '%Parks%')))" +
+                  " AND (\"treemap_tree\".\"height\" >= 10)");
     });
 
     // LIST MATCHES
@@ -148,6 +164,255 @@ describe('filterObjectToWhere', function() {
         }, Error);
     });
 
+    // NEGATED MATCHES
+
+    it('returns an IS DISTINCT FROM clause for IS_NOT', function () {
+        assertSql({"species.id": {"IS_NOT": 4}}, '("treemap_species"."id" IS DISTINCT FROM 4)');
+        assertSql({"species.id": {"IS_NOT": null}}, '("treemap_species"."id" IS DISTINCT FROM NULL)');
+    });
+
+    it('returns a NOT IN clause for NOT_IN', function () {
+        assertSql({"mapFeature.address": {"NOT_IN": ["1234 Market St", "123 Market St"]}},
+                  "(\"treemap_mapfeature\".\"address\" NOT IN ('1234 Market St','123 Market St'))");
+    });
+
+    it('returns a NOT ILIKE clause for NOT_LIKE', function () {
+        assertSql({"mapFeature.address": {"NOT_LIKE": "Market St"}},
+                  "(\"treemap_mapfeature\".\"address\" NOT ILIKE '%Market St%')");
+    });
+
+    it('supports negated matches on scalar udfs', function () {
+        assertSql({"tree.udf:Condition": {"IS_NOT": "Dead"}},
+                  "((\"treemap_tree\".\"udfs\"::hstore->'Condition') IS DISTINCT FROM 'Dead')");
+        assertSql({"tree.udf:Condition": {"NOT_IN": ["Dead", "Poor"]}},
+                  "((\"treemap_tree\".\"udfs\"::hstore->'Condition') NOT IN ('Dead','Poor'))");
+        assertSql({"mapFeature.udf:Clever Name": {"NOT_LIKE": "Market St"}},
+                  "((\"treemap_mapfeature\".\"udfs\"::hstore->'Clever Name') NOT ILIKE '%Market St%')");
+    });
+
+    it('raises an error for negated matches on udf collections', function () {
+        _.each([{"IS_NOT": "Watering"}, {"NOT_IN": ["Watering", "Pruning"]}, {"NOT_LIKE": "Water"}],
+               function(predicate) {
+                   assert.throws(function() {
+                       filterObjectToWhere({"udf:plot:17.Action": predicate});
+                   }, /EXISTS/);
+               });
+    });
+
+    it('supports negated matches in the WHERE of aggregate predicates', function () {
+        assertSql({"udf:plot:17": {"WHERE": {"Action": {"IS_NOT": "Watering"}}, "EXISTS": true}},
+                  "(EXISTS (SELECT 1 FROM treemap_userdefinedcollectionvalue AS collection_value" +
+                  " WHERE collection_value.field_definition_id=17" +
+                  " AND collection_value.model_id=treemap_mapfeature.id" +
+                  " AND (\"collection_value\".\"data\"::hstore->'Action') IS DISTINCT FROM 'Watering'))");
+    });
+
+    it('raises an error when negated matches are mixed with other matches', function() {
+        assert.throws(function() {
+            filterObjectToWhere({"mapFeature.type": {"NOT_IN": [1,2], "IN": [3]}});
+        }, Error);
+        assert.throws(function() {
+            filterObjectToWhere({"tree.height": {"IS_NOT": 1, "MIN": 2}});
+        }, Error);
+        assert.throws(function() {
+            filterObjectToWhere({"mapFeature.address": {"NOT_LIKE": "Market", "LIKE": "St"}});
+        }, Error);
+    });
+
+    it('raises an error when NOT_IN is not passed a list', function() {
+        assert.throws(function() {
+            filterObjectToWhere({"mapFeature.type": {"NOT_IN": 1}});
+        }, Error);
+    });
+
+    // DERIVED FIELDS
+
+    it('filters derived fields by the expression computing them', function() {
+        assertSql({"tree.age": {"MIN": 10}},
+                  "((date_part('year', age(CURRENT_DATE, \"treemap_tree\".\"date_planted\"))) >= 10)");
+        assertSql({"mapFeature.days_since_update": {"ISNULL": false}},
+                  '((CURRENT_DATE - CAST("treemap_mapfeature"."updated_at" AS DATE)) IS NOT NULL)');
+    });
+
+    it('compares fields with derived fields', function() {
+        assertSql({"tree.diameter_to_height": {"MAX": {"FIELD": "tree.diameter_to_height"}}},
+                  '(("treemap_tree"."diameter" / NULLIF("treemap_tree"."height" * 12, 0)) <= ' +
+                  '("treemap_tree"."diameter" / NULLIF("treemap_tree"."height" * 12, 0)))');
+    });
+
+    // FIELD COMPARISONS
+
+    it('compares fields with other fields', function() {
+        assertSql({"tree.height": {"MAX": {"FIELD": "tree.canopy_height"}}},
+                  '("treemap_tree"."height" <= "treemap_tree"."canopy_height")');
+        assertSql({"plot.width": {"MAX": {"value": {"FIELD": "tree.diameter"}, "EXCLUSIVE": true}}},
+                  '("treemap_plot"."width" < "treemap_tree"."diameter")');
+        assertSql({"tree.height": {"MIN": {"FIELD": "tree.canopy_height"}, "MAX": 100}},
+                  '("treemap_tree"."height" >= "treemap_tree"."canopy_height" AND "treemap_tree"."height" <= 100)');
+        assertSql({"mapFeature.updated_at": {"IS_NOT": {"FIELD": "mapFeature.created_at"}}},
+                  '("treemap_mapfeature"."updated_at" IS DISTINCT FROM "treemap_mapfeature"."created_at")');
+    });
+
+    it('treats a field reference as an IS predicate', function() {
+        assertSql({"tree.height": {"FIELD": "tree.canopy_height"}},
+                  '("treemap_tree"."height" = "treemap_tree"."canopy_height")');
+    });
+
+    it('raises an error for invalid field comparisons', function() {
+        _.each([{"tree.height": {"IN": [{"FIELD": "tree.canopy_height"}]}},
+                {"tree.height": {"LIKE": {"FIELD": "tree.canopy_height"}}},
+                {"tree.height": {"MIN": {"FIELD": "tree.udf:Height"}}},
+                {"tree.height": {"MIN": {"FIELD": "udf:tree:18.Height"}}},
+                {"tree.udf:Height": {"MIN": {"FIELD": "tree.height"}}},
+                {"tree.height": {"MIN": {"FIELD": "tree.canopy_height", "value": 3}}},
+                {"tree.height": {"MIN": {"FIELD": 3}}},
+                {"tree.height": {"MIN": {"FIELD": "nope.height"}}}],
+               function(filter) {
+                   assert.throws(function() {
+                       filterObjectToWhere(filter);
+                   }, Error, JSON.stringify(filter));
+               });
+    });
+
+    // SEARCH MATCHES
+
+    it('returns a word similarity clause for SEARCH', function() {
+        assertSql({"mapFeature.address_street": {"SEARCH": " Market St "}},
+                  "(word_similarity(unaccent(lower('Market St')), " +
+                  "unaccent(lower(\"treemap_mapfeature\".\"address_street\"))) >= 0.5)");
+    });
+
+    it('searches every column of a search field', function() {
+        assertSql({"species.name": {"SEARCH": "acer rubrum"}},
+                  "(word_similarity(unaccent(lower('acer rubrum')), unaccent(lower((concat_ws(' ', " +
+                  "\"treemap_species\".\"common_name\", \"treemap_species\".\"genus\", " +
+                  "\"treemap_species\".\"species\", \"treemap_species\".\"cultivar\", " +
+                  "\"treemap_species\".\"other_part_of_name\"))))) >= 0.5)");
+    });
+
+    it('searches scalar udfs', function() {
+        assertSql({"tree.udf:Notes": {"SEARCH": "dead"}},
+                  "(word_similarity(unaccent(lower('dead')), " +
+                  "unaccent(lower((\"treemap_tree\".\"udfs\"::hstore->'Notes')))) >= 0.5)");
+    });
+
+    it('matches SEARCH with an indexable operator if the database supports it', function() {
+        var column = "otm_unaccent(lower(\"treemap_mapfeature\".\"address_street\"))";
+        config.search.indexed = true;
+        try {
+            assertSql({"mapFeature.address_street": {"SEARCH": "Market St"}},
+                      "(" + column + " %> otm_unaccent(lower('Market St'))" +
+                      " AND word_similarity(otm_unaccent(lower('Market St')), " + column + ") >= 0.5)");
+        } finally {
+            config.search.indexed = false;
+        }
+    });
+
+    it('raises an error when SEARCH is not passed a non-empty string', function() {
+        _.each(["", "  ", 3, null, ["maple"]], function(value) {
+            assert.throws(function() {
+                filterObjectToWhere({"species.name": {"SEARCH": value}});
+            }, Error);
+        });
+    });
+
+    // CONTAINS MATCHES
+
+    // Only JSON arrays of strings are cast to jsonb
+    var JSON_STRING = '"([^"\\\\\\\\[:cntrl:]]|\\\\\\\\(["\\\\\\\\/bfnrt]|u[0-9A-Fa-f]{4}))*"',
+        IS_JSON_STRING_ARRAY = " ~ E'^\\\\s*\\\\[\\\\s*(" + JSON_STRING + "(\\\\s*,\\\\s*" + JSON_STRING +
+            ")*)?\\\\s*\\\\]\\\\s*$'";
+
+    it('matches multichoice scalar udfs containing any of the values', function() {
+        var column = "\"treemap_tree\".\"udfs\"::hstore->'Tags'";
+        assertSql({"tree.udf:Tags": {"CONTAINS_ANY": ["Heritage", "Memorial"]}},
+                  "((CASE WHEN (" + column + ")" + IS_JSON_STRING_ARRAY + " THEN (" + column + ")::jsonb" +
+                  " ELSE jsonb_build_array(" + column + ") END) ?| ARRAY['Heritage','Memorial']::text[])");
+    });
+
+    it('matches multichoice collection udfs containing all of the values', function() {
+        var column = "\"collection_value\".\"data\"::hstore->'Programs'";
+        assertSql({"udf:plot:17.Programs": {"CONTAINS_ALL": ["Adopt-a-tree", "O'Brien Fund"]}},
+                  "(EXISTS (SELECT 1 FROM treemap_userdefinedcollectionvalue AS collection_value" +
+                  " WHERE collection_value.field_definition_id=17" +
+                  " AND collection_value.model_id=treemap_mapfeature.id" +
+                  " AND ((CASE WHEN (" + column + ")" + IS_JSON_STRING_ARRAY + " THEN (" + column + ")::jsonb" +
+                  " ELSE jsonb_build_array(" + column + ") END) ?& ARRAY['Adopt-a-tree','O''Brien Fund']::text[])))");
+    });
+
+    it('raises an error when CONTAINS_ANY or CONTAINS_ALL is not passed a list of strings', function() {
+        _.each([[], "Heritage", [1], [null]], function(value) {
+            assert.throws(function() {
+                filterObjectToWhere({"tree.udf:Tags": {"CONTAINS_ANY": value}});
+            }, Error);
+            assert.throws(function() {
+                filterObjectToWhere({"tree.udf:Tags": {"CONTAINS_ALL": value}});
+            }, Error);
+        });
+    });
+
+    // COLLECTION UDF AGGREGATES
+
+    var subquerySql = function(aggregate, fieldDefId, modelId, where) {
+        return "(SELECT " + aggregate + " FROM treemap_userdefinedcollectionvalue AS collection_value" +
+            " WHERE collection_value.field_definition_id=" + fieldDefId +
+            " AND collection_value.model_id=" + modelId + (where || '') + ")";
+    };
+
+    it('compares the number of collection udf values', function() {
+        assertSql({"udf:plot:18": {"COUNT": {"MIN": 3}}},
+                  "(" + subquerySql("COUNT(*)", 18, "treemap_mapfeature.id") + " >= 3)");
+        assertSql({"udf:tree:17": {"COUNT": 0}},
+                  "(" + subquerySql("COUNT(*)", 17, "treemap_tree.id") + " = 0)");
+    });
+
+    it('only aggregates collection udf values matching WHERE', function() {
+        assertSql({"udf:plot:18": {"WHERE": {"Action": "Watered", "Date": {"MIN": "2020-01-01 00:00:00"}},
+                                   "COUNT": {"MIN": 3, "MAX": 5}}},
+                  "(" + subquerySql("COUNT(*)", 18, "treemap_mapfeature.id",
+                                    " AND (\"collection_value\".\"data\"::hstore->'Action') = 'Watered'" +
+                                    " AND to_date(\"collection_value\".\"data\"::hstore->'Date'::text, 'YYYY-MM-DD')" +
+                                    " >= (CAST('2020-01-01' AS DATE) + CAST('00:00:00' AS TIME))") + " >= 3" +
+                  " AND " + subquerySql("COUNT(*)", 18, "treemap_mapfeature.id",
+                                        " AND (\"collection_value\".\"data\"::hstore->'Action') = 'Watered'" +
+                                        " AND to_date(\"collection_value\".\"data\"::hstore->'Date'::text, 'YYYY-MM-DD')" +
+                                        " >= (CAST('2020-01-01' AS DATE) + CAST('00:00:00' AS TIME))") + " <= 5)");
+    });
+
+    it('tests whether collection udf values exist', function() {
+        var where = " AND (\"collection_value\".\"data\"::hstore->'Action') IN ('Pruned')";
+        assertSql({"udf:plot:18": {"WHERE": {"Action": {"IN": ["Pruned"]}}, "EXISTS": true}},
+                  "(EXISTS " + subquerySql("1", 18, "treemap_mapfeature.id", where) + ")");
+        assertSql({"udf:plot:18": {"WHERE": {"Action": {"IN": ["Pruned"]}}, "EXISTS": false}},
+                  "(NOT EXISTS " + subquerySql("1", 18, "treemap_mapfeature.id", where) + ")");
+    });
+
+    it('compares the latest and earliest dates of collection udf values', function() {
+        var date = "to_date(\"collection_value\".\"data\"::hstore->'Date'::text, 'YYYY-MM-DD')";
+        assertSql({"udf:tree:20": {"LATEST": {"Date": {"MAX": "2020-01-01 00:00:00"}}}},
+                  "(" + subquerySql("MAX(" + date + ")", 20, "treemap_tree.id") +
+                  " <= (CAST('2020-01-01' AS DATE) + CAST('00:00:00' AS TIME)))");
+        assertSql({"udf:tree:20": {"EARLIEST": {"Date": {"MIN": {"RELATIVE": "start_of_year"}}}}},
+                  "(" + subquerySql("MIN(" + date + ")", 20, "treemap_tree.id") +
+                  " >= (CAST(date_trunc('year', CURRENT_DATE) AS DATE)))");
+    });
+
+    it('allows aggregate predicates to be negated', function() {
+        assertSql(["NOT", {"udf:plot:18": {"EXISTS": true}}],
+                  "(NOT COALESCE((EXISTS " + subquerySql("1", 18, "treemap_mapfeature.id") + "), FALSE))");
+    });
+
+    it('raises an error for invalid aggregate predicates', function() {
+        _.each([{}, {"WHERE": {"Action": "Watered"}}, {"COUNT": {"LIKE": "3"}}, {"EXISTS": "yes"},
+                {"LATEST": {"Date": {"MIN": "2020-01-01"}, "Other": {"MIN": "2020-01-01"}}},
+                {"LATEST": "2020-01-01"}, {"WHERE": {}, "EXISTS": true}, {"SUM": {"MIN": 1}}, 3],
+               function(predicate) {
+                   assert.throws(function() {
+                       filterObjectToWhere({"udf:plot:18": predicate});
+                   }, Error, JSON.stringify(predicate));
+               });
+    });
+
     // ISNULL MATCHES
     it('returns IS NULL for true', function() {
         assertSql({"species.id": {"ISNULL": true}}, '("treemap_species"."id" IS NULL)');
@@ -169,7 +434,7 @@ describe('filterObjectToWhere', function() {
 
     // WITHIN_RADIUS MATCHES
 
-    it('returns a ST_DWithin function', function() {
+    it('returns a geodesic ST_DWithin function', function() {
         var jsonQuery = {
                 "mapFeature.geom": {
                     "WITHIN_RADIUS": {
@@ -182,13 +447,30 @@ describe('filterObjectToWhere', function() {
                 }
             },
 
-            sqlQuery = ["(ST_DWithin(\"treemap_mapfeature\".\"the_geom_webmercator\", ",
-                        "ST_GeomFromEWKT('SRID=3587;POINT(0 0)'), 10))"
+            sqlQuery = ["((\"treemap_mapfeature\".\"the_geom_webmercator\" && ",
+                        "ST_Expand(ST_Transform(ST_SetSRID(ST_MakePoint(0, 0), 4326), 3857), 11) AND ",
+                        "ST_DWithin(ST_Transform(\"treemap_mapfeature\".\"the_geom_webmercator\", 4326)::geography, ",
+                        "ST_SetSRID(ST_MakePoint(0, 0), 4326)::geography, 10)))"
                        ].join("");
 
         assertSql(jsonQuery, sqlQuery);
     });
 
+    // INSIDE_GEOMETRY MATCHES
+
+    it('returns a ST_Intersects function', function() {
+        assertSql({"mapFeature.geom": {"INSIDE_GEOMETRY": "POLYGON((0 0, 1 0, 1 1, 0 0))"}},
+                  "(ST_Intersects(ST_Transform(ST_MakeValid(ST_GeomFromText(" +
+                    "'MULTIPOLYGON(((0 0, 1 0, 1 1, 0 0)))', 4326)), 3857), " +
+                  "\"treemap_mapfeature\".\"the_geom_webmercator\"))");
+    });
+
+    it('raises an error when INSIDE_GEOMETRY is invalid', function() {
+        assert.throws(function() {
+            filterObjectToWhere({"mapFeature.geom": {"INSIDE_GEOMETRY": "POLYGON((0 0, 1 0, 1 1, 0 0)); DROP TABLE treemap_tree"}});
+        }, Error);
+    });
+
     // MIN AND MAX MATCHES
 
     it('return a less or equal to clause', function () {
@@ -295,6 +577,46 @@ describe('filterObjectToWhere', function() {
                   "((\"treemap_tree\".\"height\" >= 1))");
     });
 
+    it('supports NOT with a combinator', function () {
+        assertSql(["NOT", {"species.id": 4}],
+                  "(NOT COALESCE((\"treemap_species\".\"id\" = 4), FALSE))");
+    });
+
+    it('supports NOT nested in other combinators', function () {
+        assertSql(["AND", {"tree.height": {"MIN": 1}}, ["NOT", ["OR", {"mapFeature.type": {"IN": [1,2]}}, {"tree.dbh": {"MIN": 3}}]]],
+                  "((\"treemap_tree\".\"height\" >= 1) AND " +
+                  "(NOT COALESCE(((\"treemap_mapfeature\".\"type\" IN (1,2)) OR (\"treemap_tree\".\"dbh\" >= 3)), FALSE)))");
+    });
+
+    it('raises an error when NOT is not followed by exactly one filter', function() {
+        assert.throws(function() {
+            filterObjectToWhere(["NOT"]);
+        }, Error);
+        assert.throws(function() {
+            filterObjectToWhere(["NOT", {"tree.height": 1}, {"tree.dbh": 2}]);
+        }, Error);
+    });
+
+    it('raises an error when NOT negates an empty filter', function() {
+        assert.throws(function() {
+            filterObjectToWhere(["NOT", {}]);
+        }, Error);
+    });
+
+    it('negates collection UDF fields', function() {
+        assertSql(["NOT", {"udf:tree:18.Action": {"IS": "Watered"}}],
+                  "(NOT COALESCE((EXISTS (SELECT 1 FROM treemap_userdefinedcollectionvalue AS collection_value" +
+                  " WHERE collection_value.field_definition_id=18" +
+                  " AND collection_value.model_id=treemap_tree.id" +
+                  " AND ((\"collection_value\".\"data\"::hstore->'Action') = 'Watered'))), FALSE))");
+    });
+
+    it('raises an error for an unknown combinator', function() {
+        assert.throws(function() {
+            filterObjectToWhere(["XOR", {"tree.height": 1}]);
+        }, Error);
+    });
+
     it('raises an error when a combinator is empty', function() {
         assert.throws(function() {
             filterObjectToWhere([]);
@@ -305,12 +627,12 @@ describe('filterObjectToWhere', function() {
 
     it('supports datetimes in YYYY-MM-DDTHH:mm:ss format', function () {
         assertSql({"tree.created": {"MIN": "2013-07-15T15:13:01"}},
-                  "(\"treemap_tree\".\"created\" >= (DATE '2013-07-15' + TIME '15:13:01'))");
+                  "(\"treemap_tree\".\"created\" >= (CAST('2013-07-15' AS DATE) + CAST('15:13:01' AS TIME)))");
     });
 
     it('supports datetimes in YYYY-MM-DD HH:mm:ss format', function () {
         assertSql({"tree.created": {"MIN": "2013-07-15 15:13:01"}},
-                  "(\"treemap_tree\".\"created\" >= (DATE '2013-07-15' + TIME '15:13:01'))");
+                  "(\"treemap_tree\".\"created\" >= (CAST('2013-07-15' AS DATE) + CAST('15:13:01' AS TIME)))");
     });
 
     it('only dates that include times are recognized as dates', function () {
@@ -323,15 +645,38 @@ describe('filterObjectToWhere', function() {
                   "(\"treemap_tree\".\"created\" >= '2013-07-15 2:12 PM')");
     });
 
+    it('supports relative dates', function () {
+        assertSql({"tree.created": {"MIN": {"RELATIVE": "-90d"}}},
+                  "(\"treemap_tree\".\"created\" >= (CAST(CURRENT_DATE + CAST('-90 days' AS INTERVAL) AS DATE)))");
+        assertSql({"tree.created": {"MAX": {"value": {"RELATIVE": "today"}, "EXCLUSIVE": true}}},
+                  "(\"treemap_tree\".\"created\" < (CURRENT_DATE))");
+        assertSql({"tree.created": {"RELATIVE": "start_of_year"}},
+                  "(\"treemap_tree\".\"created\" = (CAST(date_trunc('year', CURRENT_DATE) AS DATE)))");
+    });
+
+    it('converts hstore date fields for relative dates', function () {
+        assertSql({"tree.udf:Date": {"MIN": {"RELATIVE": "start_of_month-1m"}}},
+                  "(to_date(\"treemap_tree\".\"udfs\"::hstore->'Date'::text, 'YYYY-MM-DD') " +
+                  ">= (CAST(date_trunc('month', CURRENT_DATE) + CAST('-1 months' AS INTERVAL) AS DATE)))");
+    });
+
+    it('raises an error for invalid relative dates', function () {
+        assert.throws(function() {
+            filterObjectToWhere({"tree.created": {"MIN": {"RELATIVE": "yesterday"}}});
+        }, /RELATIVE/);
+    });
+
     // SANITIZING
 
-    it('sanitizes column names', function () {
-        assertSql({"tree.height; DROP TABLE treemap_tree;": {"IS": 1}}, '(\"treemap_tree\".\"height\" = 1)');
+    it('raises an error for invalid column names', function () {
+        assert.throws(function() {
+            filterObjectToWhere({"tree.height; DROP TABLE treemap_tree;": {"IS": 1}});
+        }, /Invalid field name/);
     });
 
-    it('sanitizes values', function () {
+    it('quotes values containing statements', function () {
         assertSql({"tree.height": {"IS": "1; SELECT 1; DROP TABLE treemap_tree;"}},
-                  '(\"treemap_tree\".\"height\" = \'1\')');
+                  '(\"treemap_tree\".\"height\" = \'1; SELECT 1; DROP TABLE treemap_tree;\')');
     });
 
     it('converts "geom" columns to "the_geom_webmercator"', function() {
@@ -341,7 +686,7 @@ describe('filterObjectToWhere', function() {
     it('converts hstore date fields from string to postgres date without timezone', function () {
         assertSql({"tree.udf:Date": {"MIN": "2014-03-02 00:00:00"}},
                   "(to_date(\"treemap_tree\".\"udfs\"::hstore->'Date'::text, 'YYYY-MM-DD') " +
-                  ">= (DATE '2014-03-02' + TIME '00:00:00'))");
+                  ">= (CAST('2014-03-02' AS DATE) + CAST('00:00:00' AS TIME)))");
     });
 
     it('casts hstore values to float for numerical hstore searches', function () {
@@ -18,5 +18,23 @@ describe('testParseUdfCollectionFieldName', function() {
         assert.equal(null,
             utils.parseUdfCollectionFieldName('tree.diameter'));
     });
+    it('returns null for malformed udfc keys', function () {
+        assert.equal(utils.parseUdfCollectionFieldName('udf:plot:x.Action'), null);
+        assert.equal(utils.parseUdfCollectionFieldName('udf:plot:18:19.Action'), null);
+    });
+    it('recognizes udfc keys without a field as aggregates', function () {
+        assert.ok(utils.isUdfCollectionAggregateFieldName('udf:plot:18'));
+        assert.ok(!utils.isUdfCollectionAggregateFieldName('udf:plot:18.Action'));
+        assert.ok(!utils.isUdfCollectionAggregateFieldName('udf:plot:x'));
+    });
 });
 
+
+describe('testFilterObjectKeys', function() {
+    it('returns the keys of nested AND, OR and NOT combinators', function () {
+        assert.deepEqual(utils.filterObjectKeys(
+            ["AND", {"tree.diameter": {"MIN": 1}},
+             ["OR", {"species.id": 4}, ["NOT", {"mapFeature.address_zip": "19107"}]]]),
+            ["tree.diameter", "species.id", "mapFeature.address_zip"]);
+    });
+});
@@ -56,6 +56,12 @@ describe('filtersToTables', function() {
         assertSqlForGrid(["AND", {"tree.id":{"MIN":1}}, {"tree.id":{"MAX":12}}], undefined, expectedSql);
     });
 
+    it('returns tree JOINed to mapFeature when "tree" is negated in the filter array', function() {
+        var expectedSql = "treemap_mapfeature " +
+            "LEFT OUTER JOIN treemap_tree ON treemap_mapfeature.id = treemap_tree.plot_id";
+        assertSqlForGrid(["NOT", {"tree.id":{"MIN":1}}], undefined, expectedSql);
+    });
+
     it('returns tree and species JOINs when "species" is in the filter object', function() {
         var expectedSql = "treemap_mapfeature " +
             "LEFT OUTER JOIN treemap_tree ON treemap_mapfeature.id = treemap_tree.plot_id " +
@@ -80,25 +86,44 @@ describe('filtersToTables', function() {
         assertSqlForGrid({}, ['Plot', 'FireHydrant'], expectedSql);
     });
 
-    it('returns udfd/udcv and tree/plot joins for udf tree filter objects', function () {
+    it('returns tree joins for udf tree filter objects', function () {
         var expectedSql = "treemap_mapfeature LEFT OUTER JOIN treemap_tree " +
-                "ON treemap_mapfeature.id = treemap_tree.plot_id " +
-                "CROSS JOIN treemap_userdefinedcollectionvalue";
+                "ON treemap_mapfeature.id = treemap_tree.plot_id";
         assertSqlForGrid({"udf:tree:18.Action": {"LIKE": "%Watering%"}}, undefined, expectedSql);
     });
 
-    it('returns udfd/udcv and joins for udf mapfeature filter objects', function () {
-        var expectedSql =
-                "treemap_mapfeature CROSS JOIN treemap_userdefinedcollectionvalue";
-        assertSqlForGrid({"udf:plot:18.Action": {"LIKE": "%Watering%"}}, undefined, expectedSql);
+    it('does not join collection udf values', function () {
+        assertSqlForGrid({"udf:plot:18.Action": {"LIKE": "%Watering%"}}, undefined, "treemap_mapfeature");
+    });
+
+    it('does not join collection udf values for aggregate predicates', function () {
+        assertSqlForGrid({"udf:plot:18": {"COUNT": {"MIN": 3}}}, undefined, "treemap_mapfeature");
+        assertSqlForGrid({"udf:tree:17": {"EXISTS": true}}, undefined,
+                         "treemap_mapfeature LEFT OUTER JOIN treemap_tree ON treemap_mapfeature.id = treemap_tree.plot_id");
+    });
+
+    it('returns JOINs for the models of fields compared with other fields', function () {
+        assertSqlForGrid(["NOT", {"plot.width": {"MAX": {"value": {"FIELD": "tree.diameter"}}}}], undefined,
+                         "treemap_mapfeature " +
+                         "JOIN treemap_plot ON treemap_mapfeature.id = treemap_plot.mapfeature_ptr_id " +
+                         "LEFT OUTER JOIN treemap_tree ON treemap_mapfeature.id = treemap_tree.plot_id");
+    });
+
+    it('returns JOINs for the models of derived fields', function () {
+        assertSqlForGrid({"species.name": {"SEARCH": "maple"}}, undefined,
+                         "treemap_mapfeature " +
+                         "LEFT OUTER JOIN treemap_tree ON treemap_mapfeature.id = treemap_tree.plot_id " +
+                         "LEFT OUTER JOIN treemap_species ON treemap_tree.species_id = treemap_species.id");
+        assertSqlForGrid({"plot.width": {"MIN": {"FIELD": "tree.age"}}}, undefined,
+                         "treemap_mapfeature " +
+                         "JOIN treemap_plot ON treemap_mapfeature.id = treemap_plot.mapfeature_ptr_id " +
+                         "LEFT OUTER JOIN treemap_tree ON treemap_mapfeature.id = treemap_tree.plot_id");
     });
 
-    it('returns udfd/udcv and joins to tree and mapfeature for udf tree and mapfeature filter objects', function () {
-        var expectedSql =
-                "treemap_mapfeature " +
-                "CROSS JOIN treemap_userdefinedcollectionvalue " +
-                "LEFT OUTER JOIN treemap_tree ON treemap_mapfeature.id = treemap_tree.plot_id";
-        assertSqlForGrid(["OR", {"udf:plot:18.Action": {"LIKE": "%Watering%"}},
-                         {"udf:tree:17.Action": {"LIKE": "%Burning%"}}], undefined, expectedSql);
+    it('returns JOINs for extra models not in the filter object', function () {
+        var tables = filtersToTables({}, undefined, false, true, ['species']);
+        assert.equal(tables.sql, "treemap_mapfeature " +
+                     "LEFT OUTER JOIN treemap_tree ON treemap_mapfeature.id = treemap_tree.plot_id " +
+                     "LEFT OUTER JOIN treemap_species ON treemap_tree.species_id = treemap_species.id");
     });
 });
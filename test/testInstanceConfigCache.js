@@ -0,0 +1,70 @@
+"use strict";
+
+var assert = require("assert");
+var InstanceConfigCache = require("../http/instanceConfigCache");
+
+describe('InstanceConfigCache', function() {
+    var time = 0;
+
+    function makeCache() {
+        time = 0;
+        return new InstanceConfigCache({maxSize: 2, ttl: 100, now: function() { return time; }});
+    }
+
+    it('returns cached configs', function() {
+        var cache = makeCache();
+        cache.set(1, {a: 1});
+        assert.deepEqual(cache.get(1), {a: 1});
+        assert.equal(cache.get(2), undefined);
+    });
+
+    it('expires configs after the ttl', function() {
+        var cache = makeCache();
+        cache.set(1, {a: 1});
+        time = 99;
+        assert.deepEqual(cache.get(1), {a: 1});
+        time = 100;
+        assert.equal(cache.get(1), undefined);
+    });
+
+    it('evicts the least recently used config', function() {
+        var cache = makeCache();
+        cache.set(1, {a: 1});
+        cache.set(2, {a: 2});
+        cache.get(1);
+        cache.set(3, {a: 3});
+        assert.deepEqual(cache.get(1), {a: 1});
+        assert.equal(cache.get(2), undefined);
+        assert.deepEqual(cache.get(3), {a: 3});
+    });
+
+    it('invalidates configs', function() {
+        var cache = makeCache();
+        cache.set(1, {a: 1});
+        cache.set(2, {a: 2});
+        cache.invalidate(1);
+        assert.equal(cache.get(1), undefined);
+        assert.deepEqual(cache.get(2), {a: 2});
+        cache.clear();
+        assert.equal(cache.get(2), undefined);
+    });
+
+    it('does not cache configs loaded while configs were invalidated', function() {
+        var cache = makeCache(),
+            generation = cache.generation;
+        cache.invalidate(1);
+        cache.set(1, {a: 'stale'}, generation);
+        assert.equal(cache.get(1), undefined);
+        cache.set(1, {a: 1}, cache.generation);
+        assert.deepEqual(cache.get(1), {a: 1});
+    });
+
+    it('freezes cached configs', function() {
+        var cache = makeCache(),
+            config = {units: {'tree.diameter': {units: 'in'}}};
+        cache.set(1, config);
+        assert.throws(function() { cache.get(1).units = {}; }, TypeError);
+        assert.throws(function() { cache.get(1).units['tree.diameter'].units = 'cm'; }, TypeError);
+        assert.equal(config.units['tree.diameter'].units, 'in');
+    });
+});
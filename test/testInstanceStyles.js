@@ -0,0 +1,125 @@
+"use strict";
+
+var assert = require("assert");
+var _ = require("underscore");
+var instanceStyles = require("../instanceStyles");
+
+describe('applyInstanceStyle', function() {
+
+    var styles = {
+        mapFeature: '@tree_fill_color: #8BAA3C;\n#treemap_mapfeature { marker-fill: @tree_fill_color; }\n',
+        boundary: '#treemap_boundary { line-width: 5; }\n'
+    };
+
+    function apply(styleName, tileStyle) {
+        return instanceStyles.applyInstanceStyle(styles, styleName, {tile_style: tileStyle});
+    }
+
+    it('returns the stylesheet without an instance config', function() {
+        assert.equal(instanceStyles.applyInstanceStyle(styles, 'mapFeature', undefined), styles.mapFeature);
+        assert.equal(instanceStyles.applyInstanceStyle(styles, 'mapFeature', {}), styles.mapFeature);
+    });
+
+    it('replaces variables', function() {
+        assert.equal(apply('mapFeature', {variables: {tree_fill_color: '#123456'}}),
+                     '@tree_fill_color: #123456;\n#treemap_mapfeature { marker-fill: @tree_fill_color; }\n');
+    });
+
+    it('ignores variables the stylesheet does not define', function() {
+        assert.equal(apply('boundary', {variables: {tree_fill_color: '#123456'}}), styles.boundary);
+    });
+
+    it('raises an error for invalid variable values', function() {
+        assert.throws(function() {
+            apply('mapFeature', {variables: {tree_fill_color: 'red; marker-file: url(/etc/passwd)'}});
+        }, Error);
+    });
+
+    it('appends marker width rules to map feature styles', function() {
+        var css = apply('mapFeature', {marker_widths: {'15': 10, '16': 14.5}});
+        assert.ok(css.indexOf(styles.mapFeature) === 0);
+        assert.ok(css.indexOf('[zoom = 15] { marker-width: 10; }') > -1);
+        assert.ok(css.indexOf('[zoom = 16] { marker-width: 14.5; }') > -1);
+    });
+
+    it('does not append marker width rules to other styles', function() {
+        assert.equal(apply('boundary', {marker_widths: {'15': 10}}), styles.boundary);
+    });
+
+    it('raises an error for invalid marker widths', function() {
+        assert.throws(function() {
+            apply('mapFeature', {marker_widths: {'15': 100}});
+        }, Error);
+        assert.throws(function() {
+            apply('mapFeature', {marker_widths: {'15': '10'}});
+        }, Error);
+        assert.throws(function() {
+            apply('mapFeature', {marker_widths: {'fifteen': 10}});
+        }, Error);
+    });
+
+    it('replaces whole stylesheets', function() {
+        var css = '#treemap_boundary { line-width: 1; }';
+        assert.equal(apply('boundary', {cartocss: {boundary: css}}), css);
+        assert.equal(apply('mapFeature', {cartocss: {boundary: css}}), styles.mapFeature);
+    });
+
+    it('raises an error for invalid replacement stylesheets', function() {
+        assert.throws(function() {
+            apply('boundary', {cartocss: {boundary: '#treemap_boundary { polygon-pattern-file: url(x.png); }'}});
+        }, Error);
+        assert.throws(function() {
+            apply('boundary', {cartocss: {boundary: 5}});
+        }, Error);
+        assert.throws(function() {
+            apply('boundary', {cartocss: {roads: '#roads { line-width: 1; }'}});
+        }, Error);
+    });
+
+    it('raises an error for replacement stylesheets loading files', function() {
+        _.each(['marker-file: "tree.svg"', 'point-file: "x.png"', 'polygon-pattern-file: "x.png"',
+                'line-pattern-file:"x.png"', 'shield-file: "x.png"'], function(declaration) {
+            assert.throws(function() {
+                apply('boundary', {cartocss: {boundary: '#treemap_boundary { ' + declaration + '; }'}});
+            }, /files or external resources/);
+        });
+    });
+
+    it('raises an error for replacement stylesheets with markers that are too large', function() {
+        assert.equal(apply('mapFeature', {cartocss: {mapFeature: '#treemap_mapfeature { marker-width: 20; }'}}),
+                     '#treemap_mapfeature { marker-width: 20; }');
+        _.each(['marker-width: 21', 'marker-height: 40', 'marker-width: [count] * 2', 'marker-width: @big',
+                'marker-transform: scale(4)'], function(declaration) {
+            assert.throws(function() {
+                apply('mapFeature', {cartocss: {mapFeature: '#treemap_mapfeature { ' + declaration + '; }'}});
+            }, Error);
+        });
+    });
+});
+
+describe('validateTileStyle', function() {
+    var styleNames = ['mapFeature', 'boundary'];
+
+    it('accepts valid and missing tile styles', function() {
+        instanceStyles.validateTileStyle(styleNames, undefined);
+        instanceStyles.validateTileStyle(styleNames, {
+            variables: {tree_fill_color: '#123456'},
+            marker_widths: {'15': 10},
+            cartocss: {boundary: '#treemap_boundary { line-width: 1; }'}
+        });
+    });
+
+    it('raises an error for any invalid part of a tile style', function() {
+        _.each([
+            'red',
+            {variables: {tree_fill_color: 'red; marker-file: url(x)'}},
+            {marker_widths: {'15': 100}},
+            {cartocss: {roads: '#roads { line-width: 1; }'}},
+            {cartocss: {boundary: '#treemap_boundary { polygon-pattern-file: "x.png"; }'}}
+        ], function(tileStyle) {
+            assert.throws(function() {
+                instanceStyles.validateTileStyle(styleNames, tileStyle);
+            }, Error);
+        });
+    });
+});
@@ -29,7 +29,11 @@ describe('makeSql', function() {
                 options.instanceId,
                 zoom,
                 options.isUtfGridRequest,
-                options.isPolygonRequest);
+                options.isPolygonRequest,
+                options.instanceConfig,
+                options.isVectorTileRequest,
+                options.colorBy,
+                options.colorByCategories);
         return sql;
     }
 
@@ -55,6 +59,65 @@ describe('makeSql', function() {
         });
     });
 
+    it('has feature attributes for vector tile request', function() {
+        assertSqlContains({
+            isVectorTileRequest: true,
+            expected: config.sqlForMapFeatures.fields.vectorTile
+        });
+    });
+
+    it('has polygon feature attributes for polygon vector tile request', function() {
+        assertSqlContains({
+            isVectorTileRequest: true,
+            isPolygonRequest: true,
+            expected: config.sqlForMapFeatures.fields.polygonVectorTile
+        });
+    });
+
+    it('joins tree table for vector tile request', function() {
+        assertSqlContains({
+            isVectorTileRequest: true,
+            expected: config.sqlForMapFeatures.tables.tree.sql
+        });
+    });
+
+    it('has color index for color by request', function() {
+        assertSqlContains({
+            colorBy: 'diameter',
+            expected: ', width_bucket(("treemap_tree"."diameter")::float, ARRAY[6, 12, 18, 24, 36]::float[]) ' +
+                'AS color_index FROM '
+        });
+    });
+
+    it('has color index of categories for color by category request', function() {
+        assertSqlContains({
+            colorBy: 'species',
+            colorByCategories: ['12', '7'],
+            expected: 'array_position(ARRAY[\'12\', \'7\']::text[], ("treemap_species"."id")::text)'
+        });
+    });
+
+    it('joins the model of the color by field', function() {
+        assertSqlContains({
+            colorBy: 'species',
+            expected: config.sqlForMapFeatures.tables.species.sql
+        });
+    });
+
+    it('omits color index for UTF grid request', function() {
+        assertSqlLacks({
+            colorBy: 'species',
+            isUtfGridRequest: true,
+            expected: 'color_index'
+        });
+    });
+
+    it('raises an error for an unknown color by option', function() {
+        assert.throws(function() {
+            testSql({colorBy: 'favorite'});
+        }, Error);
+    });
+
     // Tables
 
     it('has base tables for plain request', function() {
@@ -112,11 +175,26 @@ describe('makeSql', function() {
         });
     });
 
-    it('adds DISTINCT when filter string passed', function () {
+    it('adds DISTINCT when the filter joins photos', function () {
         assertSqlContains({
+            filter: '{"mapFeaturePhoto.id":{"ISNULL":false}}',
+            expected: 'DISTINCT'
+        });
+    });
+
+    it('omits DISTINCT when the filter joins one row per map feature', function () {
+        assertSqlLacks({
             filter: filterString,
             expected: 'DISTINCT'
         });
+        assertSqlLacks({
+            filter: '{"udf:tree:18":{"COUNT":{"MIN":3}}}',
+            expected: 'DISTINCT'
+        });
+        assertSqlLacks({
+            filter: '{"udf:tree:18.Action":"Watered"}',
+            expected: 'DISTINCT'
+        });
     });
 
     it('omits DISTINCT when no filter string passed', function () {
@@ -174,7 +252,7 @@ describe('makeSql', function() {
             displayFilter: '["Tree", "FireHydrant"]',
             restrictFeatureFilter: undefined,
             filter: '{"tree.diameter":{"MIN":1,"MAX":100}}',
-            expected: 'SELECT DISTINCT(stormwater_polygonalmapfeature.polygon) AS the_geom_webmercator, ' +
+            expected: 'SELECT stormwater_polygonalmapfeature.polygon AS the_geom_webmercator, ' +
                 'feature_type FROM treemap_mapfeature LEFT OUTER JOIN treemap_tree ON ' +
                 'treemap_mapfeature.id = treemap_tree.plot_id ' +
                 'LEFT OUTER JOIN stormwater_polygonalmapfeature ' +
@@ -190,17 +268,18 @@ describe('makeSql', function() {
             isPolygonRequest: true,
             displayFilter: '["Tree", "FireHydrant"]',
             filter: '["AND",{"tree.diameter":{"MIN":1,"MAX":100}},["OR",{"udf:tree:198.Status":{"IS":"Unresolved"}}]]',
-            expected: 'SELECT DISTINCT(stormwater_polygonalmapfeature.polygon) AS the_geom_webmercator, ' +
+            expected: 'SELECT stormwater_polygonalmapfeature.polygon AS the_geom_webmercator, ' +
                 'feature_type FROM treemap_mapfeature LEFT OUTER JOIN treemap_tree ON ' +
-                'treemap_mapfeature.id = treemap_tree.plot_id CROSS JOIN treemap_userdefinedcollectionvalue ' +
+                'treemap_mapfeature.id = treemap_tree.plot_id ' +
                 'LEFT OUTER JOIN stormwater_polygonalmapfeature ' +
                 'ON stormwater_polygonalmapfeature.mapfeature_ptr_id = treemap_mapfeature.id ' +
                 'WHERE ( (("treemap_tree"."id" IS NOT NULL) AND ("treemap_mapfeature"."feature_type" = \'Plot\')) ) ' +
                 'AND (("treemap_tree"."diameter" >= 1 ' +
                 'AND "treemap_tree"."diameter" <= 100) ' +
-                'AND ((("treemap_userdefinedcollectionvalue"."data"::hstore->\'Status\') = \'Unresolved\' ' +
-                'AND treemap_userdefinedcollectionvalue.field_definition_id=198 ' +
-                'AND treemap_userdefinedcollectionvalue.model_id=treemap_tree.id)))'
+                'AND ((EXISTS (SELECT 1 FROM treemap_userdefinedcollectionvalue AS collection_value ' +
+                'WHERE collection_value.field_definition_id=198 ' +
+                'AND collection_value.model_id=treemap_tree.id ' +
+                'AND (("collection_value"."data"::hstore->\'Status\') = \'Unresolved\')))))'
         });
     });
 
@@ -210,7 +289,7 @@ describe('makeSql', function() {
             isPolygonRequest: false,
             displayFilter: '["Tree"]',
             filter: '["AND",{"tree.diameter":{"MIN":1,"MAX":100}}]',
-            expected: 'SELECT DISTINCT(the_geom_webmercator) AS the_geom_webmercator, ' +
+            expected: 'SELECT the_geom_webmercator AS the_geom_webmercator, ' +
                 'feature_type, treemap_tree.id AS tree_id ' +
                 'FROM treemap_mapfeature LEFT OUTER JOIN ' +
                 'stormwater_polygonalmapfeature ON ' +
@@ -224,3 +303,215 @@ describe('makeSql', function() {
         });
     });
 });
+
+describe('makeSqlForColorByCategories', function() {
+    it('ranks the values of the field in the instance by count, then by value', function() {
+        assert.equal(makeSql.makeSqlForColorByCategories(1, 'tree.udf:Condition'),
+                     'SELECT ("treemap_tree"."udfs"::hstore->\'Condition\')::text AS value ' +
+                     'FROM treemap_mapfeature LEFT OUTER JOIN treemap_tree ON treemap_mapfeature.id = treemap_tree.plot_id ' +
+                     'WHERE ( ( treemap_mapfeature.instance_id = 1 ) ' +
+                     'AND "treemap_mapfeature"."feature_type" IN ( \'Plot\' ) ) ' +
+                     'AND ("treemap_tree"."udfs"::hstore->\'Condition\') IS NOT NULL ' +
+                     'GROUP BY 1 ORDER BY COUNT(DISTINCT treemap_mapfeature.id) DESC, 1 LIMIT 9');
+    });
+
+    it('raises an error for invalid instance ids and options', function() {
+        assert.throws(function() {
+            makeSql.makeSqlForColorByCategories('1; DROP TABLE treemap_tree', 'species');
+        }, Error);
+        assert.throws(function() {
+            makeSql.makeSqlForColorByCategories(1, 'favorite');
+        }, Error);
+    });
+});
+
+describe('makeSqlForMapFeatureExport', function() {
+
+    var bbox = [-75.2, 39.9, -75.1, 40];
+
+    function testSql(options) {
+        return makeSql.makeSqlForMapFeatureExport(
+            options.filter,
+            options.displayFilter,
+            options.restrictFeatureFilter,
+            options.instanceId || 1,
+            options.bbox || bbox,
+            options.isPolygonRequest);
+    }
+
+    it('returns geometries as GeoJSON with feature attributes', function() {
+        assert.equal(testSql({}),
+                     'SELECT DISTINCT ST_AsGeoJSON(ST_Transform(the_geom_webmercator, 4326)) AS geojson, ' +
+                     'feature_type, treemap_tree.id AS tree_id, treemap_mapfeature.id AS id ' +
+                     'FROM treemap_mapfeature LEFT OUTER JOIN treemap_tree ON treemap_mapfeature.id = treemap_tree.plot_id ' +
+                     'WHERE ( the_geom_webmercator && ' +
+                     'ST_Transform(ST_MakeEnvelope(-75.2, 39.9, -75.1, 40, 4326), 3857) ) ' +
+                     'AND ( treemap_mapfeature.instance_id = 1 ) ' +
+                     'AND "treemap_mapfeature"."feature_type" IN ( \'Plot\' )');
+    });
+
+    it('uses the polygon column for polygon requests', function() {
+        var sql = testSql({isPolygonRequest: true});
+        assert.ok(sql.indexOf('ST_AsGeoJSON(ST_Transform(stormwater_polygonalmapfeature.polygon, 4326))') > -1);
+        assert.ok(sql.indexOf('stormwater_polygonalmapfeature.polygon && ') > -1);
+        assert.ok(sql.indexOf('treemap_tree') === -1);
+    });
+
+    it('applies the same filters as a tile request', function() {
+        var filter = '{"tree.diameter":{"MIN":1,"MAX":100}}',
+            displayFilter = '["Tree"]',
+            sql = testSql({filter: filter, displayFilter: displayFilter}),
+            tileSql = makeSql.makeSqlForMapFeatures(filter, displayFilter, undefined, 1, 11);
+        assert.ok(sql.indexOf(tileSql.substring(tileSql.indexOf(' WHERE ') + 7)) > -1);
+    });
+
+    it('does not hide features at low zoom', function() {
+        assert.ok(testSql({}).indexOf('hide_at_zoom') === -1);
+    });
+});
+
+describe('makeSqlForMapFeatureStats', function() {
+
+    function testSql(options) {
+        return makeSql.makeSqlForMapFeatureStats(
+            options.filter,
+            options.displayFilter,
+            options.restrictFeatureFilter,
+            options.instanceId || 1,
+            options.field);
+    }
+
+    it('counts distinct features grouped by feature type', function() {
+        var sql = testSql({});
+        assert.ok(sql.indexOf('SELECT feature_type, COUNT(*) AS count, COUNT(tree_id) AS tree_count') === 0);
+        assert.ok(sql.indexOf('SELECT DISTINCT ' + config.sqlForMapFeatures.fields.stats + ', ( NULL )::float AS value') > -1);
+        assert.ok(sql.indexOf(' GROUP BY feature_type') > -1);
+    });
+
+    it('applies the same filters as a tile request', function() {
+        var filter = '{"tree.diameter":{"MIN":1,"MAX":100}}',
+            displayFilter = '["Tree"]',
+            sql = testSql({filter: filter, displayFilter: displayFilter}),
+            tileSql = makeSql.makeSqlForMapFeatures(filter, displayFilter, undefined, 1, 11);
+        assert.ok(sql.indexOf(tileSql.substring(tileSql.indexOf(' WHERE ') + 7)) > -1);
+    });
+
+    it('aggregates the requested field', function() {
+        assert.ok(testSql({field: 'tree.diameter'}).indexOf('( "treemap_tree"."diameter" )::float AS value') > -1);
+    });
+
+    it('joins the model of the requested field', function() {
+        assert.ok(testSql({field: 'species.height'}).indexOf(config.sqlForMapFeatures.tables.species.sql) > -1);
+    });
+
+    it('aggregates scalar udf fields', function() {
+        assert.ok(testSql({field: 'plot.udf:Width'})
+                  .indexOf('( "treemap_mapfeature"."udfs"::hstore->\'Width\' )::float AS value') > -1);
+    });
+
+    it('aggregates derived fields', function() {
+        var sql = testSql({field: 'mapFeature.days_since_update'});
+        assert.ok(sql.indexOf('( (CURRENT_DATE - CAST("treemap_mapfeature"."updated_at" AS DATE)) )::float AS value') > -1);
+    });
+
+    it('raises an error for fields of inner joined models', function() {
+        assert.throws(function() {
+            testSql({field: 'plot.width'});
+        }, Error);
+    });
+
+    it('raises an error for collection udf fields', function() {
+        assert.throws(function() {
+            testSql({field: 'udf:tree:18.Action'});
+        }, Error);
+    });
+});
+
+describe('makeSqlForMapFeatureClusters', function() {
+
+    function testSql(options) {
+        return makeSql.makeSqlForMapFeatureClusters(
+            options.filter,
+            options.displayFilter,
+            options.restrictFeatureFilter,
+            options.instanceId || 1,
+            options.zoom === undefined ? 10 : options.zoom);
+    }
+
+    it('returns a point and count for each grid cell', function() {
+        var sql = testSql({});
+        assert.ok(sql.indexOf('SELECT ST_Centroid(ST_Collect(the_geom_webmercator)) AS the_geom_webmercator, ' +
+                              'COUNT(*) AS count') === 0);
+        assert.ok(sql.indexOf(' GROUP BY ST_SnapToGrid(the_geom_webmercator,') > -1);
+    });
+
+    it('aligns grid cells with tile edges', function() {
+        // 64 pixel cells at zoom 0 are a quarter of the world wide
+        assert.ok(testSql({zoom: 0}).indexOf('ST_SnapToGrid(the_geom_webmercator, ' +
+                                             '-15028131.257091932, -15028131.257091932, ' +
+                                             '10018754.171394622, 10018754.171394622)') > -1);
+    });
+
+    it('limits the features to those near the tile', function() {
+        assert.ok(testSql({zoom: 0}).indexOf('treemap_mapfeature.the_geom_webmercator && ST_Expand(!bbox!, 10018754.171394622)') > -1);
+    });
+
+    it('counts each feature once', function() {
+        assert.ok(testSql({}).indexOf('SELECT DISTINCT ' + config.sqlForMapFeatures.fields.aggregate) > -1);
+    });
+
+    it('applies the same filters as a tile request', function() {
+        var filter = '{"tree.diameter":{"MIN":1,"MAX":100}}',
+            displayFilter = '["Tree"]',
+            sql = testSql({filter: filter, displayFilter: displayFilter}),
+            tileSql = makeSql.makeSqlForMapFeatures(filter, displayFilter, undefined, 1, 10);
+        assert.ok(sql.indexOf(tileSql.substring(tileSql.indexOf(' WHERE ') + 7)) > -1);
+    });
+
+    it('does not join the tree table unless filtering on it', function() {
+        assert.ok(testSql({}).indexOf('treemap_tree') === -1);
+    });
+});
+
+describe('makeSqlForMapFeatureDensity', function() {
+
+    function testSql(options) {
+        return makeSql.makeSqlForMapFeatureDensity(
+            options.filter,
+            options.displayFilter,
+            options.restrictFeatureFilter,
+            options.instanceId || 1,
+            options.zoom === undefined ? 10 : options.zoom);
+    }
+
+    it('returns a count and density for each hexagon', function() {
+        var sql = testSql({});
+        assert.ok(sql.indexOf('SELECT hex.geom AS the_geom_webmercator, COUNT(*) AS count, ') === 0);
+        assert.ok(sql.indexOf(' AS density') > -1);
+        assert.ok(sql.indexOf(' GROUP BY hex.geom') > -1);
+    });
+
+    it('covers the tile with hexagons sized for the zoom level', function() {
+        // 12 pixels at zoom 0
+        assert.ok(testSql({zoom: 0}).indexOf(
+            'ST_HexagonGrid(1878516.4071364915, ST_Expand(!bbox!, 3757032.814272983))') > -1);
+    });
+
+    it('counts each feature in one hexagon', function() {
+        var sql = testSql({});
+        assert.ok(sql.indexOf('SELECT DISTINCT ON (features.id) hex.geom') > -1);
+        assert.ok(sql.indexOf(' ORDER BY features.id, hex.i, hex.j) AS hex GROUP BY hex.geom') > -1);
+    });
+
+    it('limits the features to those within a hexagon of the tile', function() {
+        assert.ok(testSql({zoom: 0}).indexOf('treemap_mapfeature.the_geom_webmercator && ST_Expand(!bbox!, 3757032.814272983)') > -1);
+    });
+
+    it('applies the same filters as a tile request', function() {
+        var filter = '{"tree.diameter":{"MIN":1,"MAX":100}}',
+            displayFilter = '["Tree"]',
+            sql = testSql({filter: filter, displayFilter: displayFilter}),
+            tileSql = makeSql.makeSqlForMapFeatures(filter, displayFilter, undefined, 1, 10);
+        assert.ok(sql.indexOf(tileSql.substring(tileSql.indexOf(' WHERE ') + 7)) > -1);
+    });
+});
@@ -0,0 +1,117 @@
+"use strict";
+
+var assert = require("assert");
+var _ = require("underscore");
+var middleware = require("../http/middleware");
+var InstanceConfigCache = require("../http/instanceConfigCache");
+
+describe('savedFilter middleware', function() {
+    var filterId = '0123456789abcdef0123',
+        savedFilter = {q: '{"tree.diameter":{"MIN":10}}'};
+
+    // `run` passes a request with `query` through the middleware, with a
+    // store holding `savedFilter` for instance 1, and returns what happened.
+    function run(query) {
+        var result = {sent: [], nextCalls: []},
+            app = {
+                doCORS: function() {},
+                sendError: function(res, body, status) { result.sent.push({body: body, status: status}); }
+            },
+            store = {
+                load: function(instanceId, id, callback) {
+                    callback(null, instanceId === 1 && id === filterId ? savedFilter : null);
+                }
+            };
+        result.req = {query: query};
+        middleware.savedFilter({app: app, store: store})(result.req, {}, function(err) {
+            result.nextCalls.push(err);
+        });
+        return result;
+    }
+
+    it('skips requests without a filter_id', function() {
+        var result = run({instance_id: '1'});
+        assert.deepEqual(result.nextCalls, [undefined]);
+        assert.equal(result.req.savedFilter, undefined);
+    });
+
+    it('loads the saved filter', function() {
+        var result = run({instance_id: '1', filter_id: filterId});
+        assert.deepEqual(result.nextCalls, [undefined]);
+        assert.deepEqual(result.req.savedFilter, savedFilter);
+    });
+
+    it('responds with a 404 for a missing or expired filter', function() {
+        var result = run({instance_id: '2', filter_id: filterId});
+        assert.deepEqual(result.nextCalls, []);
+        assert.deepEqual(result.sent, [{
+            body: {errors: ['Saved filter ' + filterId + ' does not exist']},
+            status: 404
+        }]);
+    });
+
+    it('responds with a 400 for a malformed filter_id or instance_id', function() {
+        _.each([{instance_id: '1', filter_id: 'not-an-id'}, {filter_id: filterId}], function(query) {
+            var result = run(query);
+            assert.deepEqual(result.nextCalls, []);
+            assert.equal(result.sent.length, 1);
+            assert.equal(result.sent[0].status, 400);
+        });
+    });
+});
+
+describe('instanceConfig middleware', function() {
+    function run(instanceConfig) {
+        var req = {query: {instance_id: '1'}},
+            errors = [],
+            consoleError = console.error,
+            dbPool = {
+                connect: function(callback) {
+                    callback(null, {
+                        query: function(sql, values, callback) {
+                            callback(null, {rows: [{config: JSON.stringify(instanceConfig)}]});
+                        }
+                    }, function() {});
+                }
+            };
+        console.error = function(message) { errors.push(message); };
+        try {
+            middleware.instanceConfig({dbPool: dbPool, styleNames: ['mapFeature']})(req, {}, function() {});
+        } finally {
+            console.error = consoleError;
+        }
+        return {instanceConfig: req.instanceConfig, errors: errors};
+    }
+
+    it('loads the instance config', function() {
+        var tileStyle = {variables: {tree_fill_color: '#123456'}};
+        assert.deepEqual(run({tile_style: tileStyle, units: {}}),
+                         {instanceConfig: {tile_style: tileStyle, units: {}}, errors: []});
+    });
+
+    it('does not cache a config that changed while it was loaded', function() {
+        var cache = new InstanceConfigCache({maxSize: 10, ttl: 1000}),
+            req = {query: {instance_id: '1'}},
+            dbPool = {
+                connect: function(callback) {
+                    callback(null, {
+                        query: function(sql, values, callback) {
+                            cache.invalidate(1);
+                            callback(null, {rows: [{config: '{"units": {}}'}]});
+                        }
+                    }, function() {});
+                }
+            };
+        middleware.instanceConfig({dbPool: dbPool, cache: cache, styleNames: []})(req, {}, function() {});
+
+        assert.deepEqual(req.instanceConfig, {units: {}});
+        assert.equal(cache.get(1), undefined);
+    });
+
+    it('drops an invalid tile_style so that the default styles are used', function() {
+        var result = run({tile_style: {cartocss: {mapFeature: '#treemap_mapfeature { marker-file: "x"; }'}},
+                          units: {}});
+        assert.deepEqual(result.instanceConfig, {units: {}});
+        assert.equal(result.errors.length, 1);
+    });
+});
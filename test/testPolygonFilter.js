@@ -0,0 +1,104 @@
+"use strict";
+
+var assert = require("assert");
+var _ = require("underscore");
+var polygonFilter = require("../polygonFilter");
+
+var square = [[-75.2, 39.9], [-75.1, 39.9], [-75.1, 40], [-75.2, 40], [-75.2, 39.9]];
+var squareSql = "ST_Transform(ST_MakeValid(ST_GeomFromText('MULTIPOLYGON(((-75.2 39.9, -75.1 39.9, " +
+    "-75.1 40, -75.2 40, -75.2 39.9)))', 4326)), 3857)";
+
+function assertInvalid(value) {
+    assert.throws(function() {
+        polygonFilter.makeGeometrySql(value);
+    }, Error);
+}
+
+describe('polygonFilter.makeGeometrySql', function() {
+    it('converts a GeoJSON Polygon', function() {
+        assert.equal(polygonFilter.makeGeometrySql({type: 'Polygon', coordinates: [square]}), squareSql);
+    });
+
+    it('converts a GeoJSON Feature', function() {
+        assert.equal(polygonFilter.makeGeometrySql({
+            type: 'Feature',
+            properties: {},
+            geometry: {type: 'Polygon', coordinates: [square]}
+        }), squareSql);
+    });
+
+    it('converts a GeoJSON MultiPolygon with holes', function() {
+        var hole = [[-75.18, 39.92], [-75.12, 39.92], [-75.12, 39.98], [-75.18, 39.92]];
+        assert.equal(polygonFilter.makeGeometrySql({type: 'MultiPolygon', coordinates: [[square, hole], [square]]}),
+                     "ST_Transform(ST_MakeValid(ST_GeomFromText('MULTIPOLYGON(" +
+                     "((-75.2 39.9, -75.1 39.9, -75.1 40, -75.2 40, -75.2 39.9), " +
+                     "(-75.18 39.92, -75.12 39.92, -75.12 39.98, -75.18 39.92)), " +
+                     "((-75.2 39.9, -75.1 39.9, -75.1 40, -75.2 40, -75.2 39.9)))', 4326)), 3857)");
+    });
+
+    it('ignores altitudes in GeoJSON positions', function() {
+        var ring = _.map(square, function(point) { return point.concat([12.5]); });
+        assert.equal(polygonFilter.makeGeometrySql({type: 'Polygon', coordinates: [ring]}), squareSql);
+    });
+
+    it('converts a WKT POLYGON', function() {
+        assert.equal(polygonFilter.makeGeometrySql(
+            'POLYGON ((-75.2 39.9, -75.1 39.9, -75.1 40, -75.2 40, -75.2 39.9))'), squareSql);
+        assert.equal(polygonFilter.makeGeometrySql(
+            'polygon((-75.2 39.9,-75.1 39.9,-75.1 40.0,-75.2 40,-75.2 39.9))'), squareSql);
+    });
+
+    it('converts a WKT MULTIPOLYGON', function() {
+        assert.equal(polygonFilter.makeGeometrySql(
+            'MULTIPOLYGON (((-75.2 39.9, -75.1 39.9, -75.1 40, -75.2 40, -75.2 39.9)))'), squareSql);
+    });
+
+    it('repairs self-intersecting rings in SQL', function() {
+        var bowtie = [[-75.2, 39.9], [-75.1, 40], [-75.1, 39.9], [-75.2, 40], [-75.2, 39.9]];
+        assert.equal(polygonFilter.makeGeometrySql({type: 'Polygon', coordinates: [bowtie]}),
+                     "ST_Transform(ST_MakeValid(ST_GeomFromText('MULTIPOLYGON(((-75.2 39.9, -75.1 40, " +
+                     "-75.1 39.9, -75.2 40, -75.2 39.9)))', 4326)), 3857)");
+    });
+
+    it('raises an error for malformed WKT', function() {
+        assertInvalid('POINT (-75.2 39.9)');
+        assertInvalid('POLYGON ((-75.2 39.9, -75.1 39.9, -75.1 40, -75.2 40, -75.2 39.9)');
+        assertInvalid('POLYGON ((-75.2 39.9, -75.1 39.9, -75.1 40, -75.2 40, -75.2 39.9)) extra');
+        assertInvalid("POLYGON ((-75.2 39.9, -75.1 39.9, -75.1 40, -75.2 40, -75.2 39.9'))");
+        assertInvalid('POLYGON ((-75.2.1 39.9, -75.1 39.9, -75.1 40, -75.2 40, -75.2 39.9))');
+    });
+
+    it('raises an error for malformed GeoJSON', function() {
+        assertInvalid({type: 'Point', coordinates: [-75.2, 39.9]});
+        assertInvalid({type: 'Polygon', coordinates: []});
+        assertInvalid({type: 'Polygon', coordinates: [["-75.2 39.9"]]});
+        assertInvalid({type: 'Polygon', coordinates: [[[-75.2], [-75.1], [-75.1], [-75.2]]]});
+        assertInvalid({type: 'Polygon', coordinates: [_.map(square, function(point) { return point.concat(['high']); })]});
+        assertInvalid({type: 'Polygon', coordinates: [[[-75.2, 39.9], [-75.1, 39.9], [-75.2, 39.9]]]});
+        assertInvalid({type: 'Polygon', coordinates: [[[-75.2, 39.9], [-75.1, 39.9], [-75.1, 40], ["1); DROP TABLE treemap_tree", 40], [-75.2, 39.9]]]});
+        assertInvalid([square]);
+        assertInvalid(42);
+    });
+
+    it('raises an error for rings that are not closed', function() {
+        assertInvalid({type: 'Polygon', coordinates: [_.initial(square).concat([[-75.3, 39.9]])]});
+    });
+
+    it('raises an error for positions out of range', function() {
+        assertInvalid({type: 'Polygon', coordinates: [[[-75.2, 39.9], [-75.1, 39.9], [-75.1, 91], [-75.2, 39.9]]]});
+    });
+
+    it('raises an error for polygons with too many vertices', function() {
+        var ring = [];
+        for (var i = 0; i <= 1000; i++) {
+            var angle = 2 * Math.PI * i / 1001;
+            ring.push([-75.15 + 0.01 * Math.cos(angle), 39.95 + 0.01 * Math.sin(angle)]);
+        }
+        ring.push(ring[0]);
+        assertInvalid({type: 'Polygon', coordinates: [ring]});
+    });
+
+    it('raises an error for polygons that cover too much area', function() {
+        assertInvalid({type: 'Polygon', coordinates: [[[-80, 35], [-70, 35], [-70, 45], [-80, 45], [-80, 35]]]});
+    });
+});
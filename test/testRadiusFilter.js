@@ -0,0 +1,66 @@
+"use strict";
+
+var assert = require("assert");
+var radiusFilter = require("../radiusFilter");
+
+function assertTemplate(value, point, expandBy, meters) {
+    assert.equal(radiusFilter.makeWithinRadiusTemplate(value),
+                 "(<%= column %> && ST_Expand(ST_Transform(" + point + ", 3857), " + expandBy + ") AND " +
+                 "ST_DWithin(ST_Transform(<%= column %>, 4326)::geography, " + point + "::geography, " +
+                 meters + "))");
+}
+
+function assertInvalid(value) {
+    assert.throws(function() {
+        radiusFilter.makeWithinRadiusTemplate(value);
+    }, Error);
+}
+
+describe('radiusFilter.makeWithinRadiusTemplate', function() {
+    it('accepts latitude and longitude', function() {
+        assertTemplate({POINT: {lat: 0, lng: 10}, RADIUS: 100},
+                       'ST_SetSRID(ST_MakePoint(10, 0), 4326)', 102, 100);
+    });
+
+    it('accepts web mercator coordinates', function() {
+        var sql = radiusFilter.makeWithinRadiusTemplate({POINT: {x: -8367385, y: 4859440}, RADIUS: 100});
+        var match = /ST_MakePoint\(([-0-9.]+), ([-0-9.]+)\)/.exec(sql);
+        assert.equal(parseFloat(match[1]).toFixed(4), '-75.1655');
+        assert.equal(parseFloat(match[2]).toFixed(4), '39.9552');
+    });
+
+    it('accepts x and y with SRID 4326', function() {
+        assertTemplate({POINT: {x: 10, y: 0, SRID: 4326}, RADIUS: 100},
+                       'ST_SetSRID(ST_MakePoint(10, 0), 4326)', 102, 100);
+    });
+
+    it('converts the radius to meters', function() {
+        assertTemplate({POINT: {lat: 0, lng: 0}, RADIUS: 500, UNITS: 'ft'},
+                       'ST_SetSRID(ST_MakePoint(0, 0), 4326)', 154, 152.4);
+        assertTemplate({POINT: {lat: 0, lng: 0}, RADIUS: 2, UNITS: 'mi'},
+                       'ST_SetSRID(ST_MakePoint(0, 0), 4326)', 3251, 3218.688);
+    });
+
+    it('expands the bounding box with the latitude', function() {
+        assertTemplate({POINT: {lat: 60, lng: 0}, RADIUS: 1000},
+                       'ST_SetSRID(ST_MakePoint(0, 60), 4326)', 2021, 1000);
+    });
+
+    it('raises an error for invalid points', function() {
+        assertInvalid({RADIUS: 10});
+        assertInvalid({POINT: {x: "0); DROP TABLE treemap_tree; --", y: 0}, RADIUS: 10});
+        assertInvalid({POINT: {lat: 91, lng: 0}, RADIUS: 10});
+        assertInvalid({POINT: {lat: 0, lng: 181}, RADIUS: 10});
+        assertInvalid({POINT: {x: 0, y: 30000000}, RADIUS: 10});
+        assertInvalid({POINT: {x: 0, y: 0, SRID: 3587}, RADIUS: 10});
+    });
+
+    it('raises an error for invalid radii', function() {
+        assertInvalid({POINT: {lat: 0, lng: 0}});
+        assertInvalid({POINT: {lat: 0, lng: 0}, RADIUS: "10"});
+        assertInvalid({POINT: {lat: 0, lng: 0}, RADIUS: 0});
+        assertInvalid({POINT: {lat: 0, lng: 0}, RADIUS: -5});
+        assertInvalid({POINT: {lat: 0, lng: 0}, RADIUS: 10, UNITS: 'furlongs'});
+        assertInvalid({POINT: {lat: 0, lng: 0}, RADIUS: 1000, UNITS: 'mi'});
+    });
+});
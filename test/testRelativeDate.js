@@ -0,0 +1,53 @@
+"use strict";
+
+var assert = require("assert");
+var relativeDate = require("../relativeDate");
+
+function sqlFor(expression) {
+    return relativeDate.relativeDateToSql({"RELATIVE": expression});
+}
+
+describe('relativeDate', function() {
+    it('recognizes relative date objects', function() {
+        assert.ok(relativeDate.isRelativeDate({"RELATIVE": "today"}));
+        assert.ok(!relativeDate.isRelativeDate({"value": "today"}));
+        assert.ok(!relativeDate.isRelativeDate("today"));
+        assert.ok(!relativeDate.isRelativeDate(null));
+    });
+
+    it('resolves anchors', function() {
+        assert.equal(sqlFor('today'), "(CURRENT_DATE)");
+        assert.equal(sqlFor('start_of_week'), "(CAST(date_trunc('week', CURRENT_DATE) AS DATE))");
+        assert.equal(sqlFor('start_of_month'), "(CAST(date_trunc('month', CURRENT_DATE) AS DATE))");
+        assert.equal(sqlFor('start_of_year'), "(CAST(date_trunc('year', CURRENT_DATE) AS DATE))");
+    });
+
+    it('resolves offsets from today', function() {
+        assert.equal(sqlFor('-90d'), "(CAST(CURRENT_DATE + CAST('-90 days' AS INTERVAL) AS DATE))");
+        assert.equal(sqlFor('+2w'), "(CAST(CURRENT_DATE + CAST('2 weeks' AS INTERVAL) AS DATE))");
+        assert.equal(sqlFor('-1m+1d'),
+                     "(CAST(CURRENT_DATE + CAST('-1 months' AS INTERVAL) + CAST('1 days' AS INTERVAL) AS DATE))");
+    });
+
+    it('resolves offsets from anchors', function() {
+        assert.equal(sqlFor('start_of_year-1y'),
+                     "(CAST(date_trunc('year', CURRENT_DATE) + CAST('-1 years' AS INTERVAL) AS DATE))");
+        assert.equal(sqlFor('today-1d'), "(CAST(CURRENT_DATE + CAST('-1 days' AS INTERVAL) AS DATE))");
+    });
+
+    it('rejects invalid expressions', function() {
+        var invalid = ['', 'yesterday', '90d', '-90', '-90 days', '-1h', 'today -1d', '-123456d',
+                       "today'; DROP TABLE treemap_tree; --", 90, null, ['today']];
+        invalid.forEach(function(expression) {
+            assert.throws(function() {
+                sqlFor(expression);
+            }, Error, JSON.stringify(expression));
+        });
+    });
+
+    it('rejects relative dates with other keys', function() {
+        assert.throws(function() {
+            relativeDate.relativeDateToSql({"RELATIVE": "today", "EXCLUSIVE": true});
+        }, /only have a RELATIVE key/);
+    });
+});
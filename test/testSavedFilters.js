@@ -0,0 +1,132 @@
+"use strict";
+
+var assert = require("assert");
+var savedFilters = require("../savedFilters");
+
+describe('makeSavedFilter', function() {
+    it('saves the filter, display and restrict arguments as JSON strings', function() {
+        assert.deepEqual(savedFilters.makeSavedFilter({q: '{"tree.diameter": {"MIN": 10}}', show: '["Tree"]',
+                                                       instance_id: '1'}),
+                         {q: '{"tree.diameter":{"MIN":10}}', show: '["Tree"]'});
+    });
+
+    it('accepts arguments sent as objects in a JSON body', function() {
+        assert.deepEqual(savedFilters.makeSavedFilter({q: {"species.name": {"SEARCH": "maple"}},
+                                                       restrict: ["RainBarrel"]}),
+                         {q: '{"species.name":{"SEARCH":"maple"}}', restrict: '["RainBarrel"]'});
+    });
+
+    it('raises an error listing the problems with an invalid filter', function() {
+        assert.throws(function() {
+            savedFilters.makeSavedFilter({q: '{"tree.diameter": {"MIN": [1]}}'});
+        }, function(err) {
+            return err.http_status === 400 && err.errors.length === 1;
+        });
+        assert.throws(function() {
+            savedFilters.makeSavedFilter({q: '{"tree.diameter":'});
+        }, function(err) {
+            return err.http_status === 400 && err.errors[0].code === 'INVALID_JSON';
+        });
+    });
+
+    it('raises an error for invalid display and restrict arguments', function() {
+        assert.throws(function() {
+            savedFilters.makeSavedFilter({show: '"Tree"'});
+        }, /show must be a list/);
+        assert.throws(function() {
+            savedFilters.makeSavedFilter({restrict: '[Tree'});
+        }, /restrict is not valid JSON/);
+    });
+
+    it('raises an error for an empty filter', function() {
+        assert.throws(function() {
+            savedFilters.makeSavedFilter({q: '', instance_id: '1'});
+        }, /at least one of/);
+    });
+});
+
+describe('savedFilterId', function() {
+    var savedFilter = {q: '{"tree.diameter":{"MIN":10}}', show: '["Tree"]'};
+
+    it('is a short hash of the instance and the filter', function() {
+        var filterId = savedFilters.savedFilterId(1, savedFilter);
+        assert.ok(savedFilters.isSavedFilterId(filterId));
+        assert.equal(savedFilters.savedFilterId(1, {show: '["Tree"]', q: '{"tree.diameter":{"MIN":10}}'}),
+                     filterId);
+        assert.notEqual(savedFilters.savedFilterId(2, savedFilter), filterId);
+        assert.notEqual(savedFilters.savedFilterId(1, {q: savedFilter.q}), filterId);
+    });
+
+    it('rejects malformed ids', function() {
+        assert.ok(!savedFilters.isSavedFilterId('nope'));
+        assert.ok(!savedFilters.isSavedFilterId(['0123456789abcdef0123']));
+        assert.ok(!savedFilters.isSavedFilterId('0123456789abcdef0123:1'));
+    });
+});
+
+describe('makeSavedLayer', function() {
+    it('saves the filter, color by and cluster arguments of a tile request', function() {
+        assert.deepEqual(savedFilters.makeSavedLayer({q: {"tree.id": {"IN": [1, 2, 3]}}, color_by: 'diameter',
+                                                      cluster: true, format: 'png'}),
+                         {q: '{"tree.id":{"IN":[1,2,3]}}', color_by: 'diameter', cluster: 'true'});
+        assert.deepEqual(savedFilters.makeSavedLayer({cluster: 'false'}), {});
+    });
+
+    it('raises an error for invalid arguments', function() {
+        assert.throws(function() {
+            savedFilters.makeSavedLayer({color_by: 'nope'});
+        }, /color_by must be one of/);
+        assert.throws(function() {
+            savedFilters.makeSavedLayer({q: '{"tree.diameter": {"MIN": [1]}}'});
+        }, function(err) {
+            return err.http_status === 400 && err.errors.length === 1;
+        });
+    });
+});
+
+describe('savedLayerId', function() {
+    it('is a short hash of the instance, table and layer', function() {
+        var savedLayer = {q: '{}', color_by: 'diameter'},
+            layerId = savedFilters.savedLayerId(1, 'treemap_mapfeature', savedLayer);
+        assert.ok(savedFilters.isSavedFilterId(layerId));
+        assert.notEqual(savedFilters.savedLayerId(1, 'stormwater_polygonalmapfeature', savedLayer), layerId);
+        assert.notEqual(savedFilters.savedLayerId(1, 'treemap_mapfeature', {q: '{}'}), layerId);
+    });
+});
+
+describe('savedLayerQuery', function() {
+    it('replaces the filter arguments of a request with those of the layer', function() {
+        assert.deepEqual(savedFilters.savedLayerQuery({instance_id: '1', q: '{}', filter_id: 'x', cluster: 'true'},
+                                                      {show: '["Tree"]'}),
+                         {instance_id: '1', show: '["Tree"]'});
+    });
+});
+
+describe('requestFilterStrings', function() {
+    it('returns the filter arguments of a request', function() {
+        assert.deepEqual(savedFilters.requestFilterStrings({q: '{}', show: '["Tree"]', instance_id: '1'}),
+                         {filter: '{}', display: '["Tree"]', restrict: undefined});
+    });
+
+    it('returns the arguments of a saved filter', function() {
+        assert.deepEqual(savedFilters.requestFilterStrings({filter_id: '0123456789abcdef0123', instance_id: '1'},
+                                                           {q: '{}', restrict: '["Bioswale"]'}),
+                         {filter: '{}', display: undefined, restrict: '["Bioswale"]'});
+    });
+
+    it('raises an error if the saved filter does not exist', function() {
+        assert.throws(function() {
+            savedFilters.requestFilterStrings({filter_id: 'nope'}, null);
+        }, function(err) {
+            return err.http_status === 404;
+        });
+    });
+
+    it('raises an error if a saved filter is combined with filter arguments', function() {
+        assert.throws(function() {
+            savedFilters.requestFilterStrings({filter_id: '0123456789abcdef0123', show: '["Tree"]'}, {q: '{}'});
+        }, function(err) {
+            return err.http_status === 400;
+        });
+    });
+});
@@ -0,0 +1,160 @@
+"use strict";
+
+var assert = require("assert");
+var _ = require("underscore");
+var schema = require("../schema");
+var validateFilter = require("../validateFilter");
+
+var columnRows = [
+    {table_name: 'treemap_mapfeature', column_name: 'id', data_type: 'integer', udt_name: 'int4'},
+    {table_name: 'treemap_mapfeature', column_name: 'the_geom_webmercator',
+     data_type: 'USER-DEFINED', udt_name: 'geometry'},
+    {table_name: 'treemap_mapfeature', column_name: 'address_street',
+     data_type: 'character varying', udt_name: 'varchar'},
+    {table_name: 'treemap_mapfeature', column_name: 'updated_at',
+     data_type: 'timestamp with time zone', udt_name: 'timestamptz'},
+    {table_name: 'treemap_mapfeature', column_name: 'udfs', data_type: 'USER-DEFINED', udt_name: 'hstore'},
+    {table_name: 'treemap_tree', column_name: 'diameter', data_type: 'double precision', udt_name: 'float8'},
+    {table_name: 'treemap_tree', column_name: 'readonly', data_type: 'boolean', udt_name: 'bool'},
+    {table_name: 'treemap_species', column_name: 'common_name', data_type: 'character varying', udt_name: 'varchar'},
+    {table_name: 'treemap_userdefinedcollectionvalue', column_name: 'data', data_type: 'USER-DEFINED',
+     udt_name: 'hstore'}
+];
+
+var udfRows = [
+    {id: 3, model_type: 'Tree', name: 'Condition', iscollection: false,
+     datatype: '{"type": "choice", "choices": ["Good", "Fair", "Poor"]}'},
+    {id: 4, model_type: 'Tree', name: 'Tags', iscollection: false,
+     datatype: '{"type": "multichoice", "choices": ["Heritage", "Memorial"]}'},
+    {id: 5, model_type: 'RainBarrel', name: 'Installed', iscollection: false, datatype: '{"type": "date"}'},
+    {id: 18, model_type: 'Plot', name: 'Stewardship', iscollection: true,
+     datatype: '[{"type": "choice", "name": "Action", "choices": ["Watered", "Pruned"]}, ' +
+               '{"type": "date", "name": "Date"}]'}
+];
+
+describe('buildSchema', function() {
+    var fields = schema.buildSchema(columnRows, udfRows, {value_display: {tree: {diameter: {units: 'cm'}}}}).fields;
+
+    it('lists the columns of mapped tables by model', function() {
+        assert.deepEqual(fields['tree.diameter'], {
+            model: 'tree',
+            sqlType: 'double precision',
+            type: 'number',
+            operators: schema.OPERATORS_BY_TYPE.number,
+            units: {stored: 'in', display: 'cm'}
+        });
+        assert.equal(fields['mapFeature.address_street'].type, 'string');
+        assert.equal(fields['mapFeature.updated_at'].type, 'date');
+        assert.equal(fields['tree.readonly'].type, 'boolean');
+        assert.equal(fields['species.common_name'].model, 'species');
+    });
+
+    it('lists derived fields', function() {
+        assert.equal(fields['species.name'].type, 'string');
+        assert.ok(_.contains(fields['species.name'].operators, 'SEARCH'));
+        assert.deepEqual(fields['tree.age'], {
+            model: 'tree',
+            sqlType: 'double precision',
+            type: 'number',
+            operators: schema.OPERATORS_BY_TYPE.number,
+            units: {stored: 'years', display: 'years'}
+        });
+        assert.equal(fields['mapFeature.days_since_update'].type, 'number');
+    });
+
+    it('lists geometry columns by their filter field names', function() {
+        assert.ok(!_.has(fields, 'mapFeature.the_geom_webmercator'));
+        assert.equal(fields['mapFeature.geom'].type, 'geometry');
+        assert.ok(_.contains(fields['mapFeature.geom'].operators, 'WITHIN_RADIUS'));
+    });
+
+    it('omits the UDF columns', function() {
+        assert.ok(!_.has(fields, 'mapFeature.udfs'));
+        assert.ok(!_.any(_.keys(fields), function(name) { return name.indexOf('.data') !== -1; }));
+    });
+
+    it('lists scalar UDFs', function() {
+        assert.deepEqual(fields['tree.udf:Condition'], {
+            model: 'tree',
+            sqlType: 'text',
+            type: 'string',
+            operators: schema.OPERATORS_BY_TYPE.string,
+            choices: ['Good', 'Fair', 'Poor']
+        });
+        assert.equal(fields['rainBarrel.udf:Installed'].type, 'date');
+    });
+
+    it('lists the contains operators for multichoice UDFs', function() {
+        assert.equal(fields['tree.udf:Tags'].type, 'multichoice');
+        assert.deepEqual(fields['tree.udf:Tags'].operators, ['CONTAINS_ANY', 'CONTAINS_ALL', 'ISNULL']);
+    });
+
+    it('lists the fields of collection UDFs', function() {
+        assert.equal(fields['udf:plot:18.Action'].type, 'string');
+        assert.deepEqual(fields['udf:plot:18.Action'].choices, ['Watered', 'Pruned']);
+        assert.equal(fields['udf:plot:18.Date'].type, 'date');
+    });
+
+    it('does not list negated operators for the fields of collection UDFs', function() {
+        assert.deepEqual(fields['udf:plot:18.Action'].operators, ['IS', 'IN', 'LIKE', 'SEARCH', 'ISNULL']);
+        assert.deepEqual(fields['udf:plot:18.Date'].operators, ['IS', 'MIN', 'MAX', 'ISNULL']);
+    });
+
+    it('types unknown columns as other', function() {
+        var other = schema.buildSchema([{table_name: 'treemap_tree', column_name: 'tags',
+                                         data_type: 'ARRAY', udt_name: '_text'}], [], {}).fields;
+        assert.deepEqual(other['tree.tags'].operators, ['ISNULL']);
+    });
+});
+
+describe('validateFilter with a schema', function() {
+    var instanceSchema = schema.buildSchema(columnRows, udfRows, {});
+
+    function codesFor(filter) {
+        return _.map(validateFilter.validateFilter(filter, instanceSchema), function(error) {
+            return [error.path, error.code];
+        });
+    }
+
+    it('accepts known fields with supported operators', function() {
+        assert.deepEqual(codesFor({"tree.diameter": {"MIN": 1},
+                                   "tree.udf:Condition": "Good",
+                                   "udf:plot:18.Action": {"IN": ["Watered"]},
+                                   "mapFeature.geom": {"IN_BOUNDARY": 1}}), []);
+    });
+
+    it('reports unknown fields', function() {
+        assert.deepEqual(codesFor(["AND", {"tree.height": 1}, {"tree.udf:Missing": "x"}]),
+                         [[[1, "tree.height"], "UNKNOWN_FIELD"],
+                          [[2, "tree.udf:Missing"], "UNKNOWN_FIELD"]]);
+    });
+
+    it('reports operators a field does not support', function() {
+        assert.deepEqual(codesFor({"tree.readonly": {"MIN": 1}, "mapFeature.geom": 4}),
+                         [[["tree.readonly", "MIN"], "UNSUPPORTED_OPERATOR"],
+                          [["mapFeature.geom", "IS"], "UNSUPPORTED_OPERATOR"]]);
+    });
+
+    it('checks fields compared with other fields', function() {
+        assert.deepEqual(codesFor({"tree.diameter": {"MAX": {"FIELD": "tree.height"}}}),
+                         [[["tree.diameter"], "UNKNOWN_FIELD"]]);
+        assert.deepEqual(codesFor({"mapFeature.updated_at": {"MIN": {"FIELD": "mapFeature.updated_at"}}}), []);
+    });
+
+    it('checks the fields of aggregate predicates', function() {
+        assert.deepEqual(codesFor({"udf:plot:18": {"WHERE": {"Action": "Watered"}, "COUNT": 1}}), []);
+        assert.deepEqual(codesFor({"udf:plot:19": {"EXISTS": true},
+                                   "udf:plot:18": {"LATEST": {"Day": {"MIN": "2020-01-01"}}}}),
+                         [[["udf:plot:19"], "UNKNOWN_FIELD"],
+                          [["udf:plot:18", "LATEST", "Day"], "UNKNOWN_FIELD"]]);
+    });
+
+    it('reports negated operators on the fields of collection UDFs once', function() {
+        assert.deepEqual(codesFor({"udf:plot:18.Action": {"NOT_IN": ["Watered"]}}),
+                         [[["udf:plot:18.Action", "NOT_IN"], "UNSUPPORTED_OPERATOR"]]);
+    });
+
+    it('does not check malformed field names against the schema', function() {
+        assert.deepEqual(codesFor({"nope.diameter": 1}), [[["nope.diameter"], "UNKNOWN_MODEL"]]);
+    });
+});
@@ -0,0 +1,62 @@
+"use strict";
+
+var assert = require("assert");
+var detectSearchIndex = require("../http/searchIndex");
+var config = require("../config");
+
+// A database returning `row` for the query checking its search support
+function makeDbPool(row) {
+    return {
+        connect: function(callback) {
+            callback(null, {
+                query: function(sql, callback) {
+                    callback(null, {rows: [row]});
+                }
+            }, function() {});
+        }
+    };
+}
+
+describe('detectSearchIndex', function() {
+    function detect(row) {
+        var indexed;
+        detectSearchIndex(makeDbPool(row), function(err, result) {
+            assert.ifError(err);
+            indexed = result;
+        });
+        assert.equal(config.search.indexed, indexed);
+        config.search.indexed = false;
+        return indexed;
+    }
+
+    it('uses indexes if the database has the unaccent wrapper and a low enough threshold', function() {
+        assert.equal(detect({has_unaccent_wrapper: true, threshold: '0.5'}), true);
+        assert.equal(detect({has_unaccent_wrapper: true, threshold: '0.3'}), true);
+    });
+
+    it('does not use indexes without the unaccent wrapper', function() {
+        assert.equal(detect({has_unaccent_wrapper: false, threshold: '0.5'}), false);
+    });
+
+    it('does not use indexes that would miss matches', function() {
+        assert.equal(detect({has_unaccent_wrapper: true, threshold: '0.7'}), false);
+        // pg_trgm's default threshold of 0.6 applies if none is set
+        assert.equal(detect({has_unaccent_wrapper: true, threshold: null}), false);
+    });
+
+    it('passes on query errors without using indexes', function() {
+        var dbPool = {
+            connect: function(callback) {
+                callback(null, {
+                    query: function(sql, callback) {
+                        callback(new Error('permission denied'));
+                    }
+                }, function() {});
+            }
+        };
+        detectSearchIndex(dbPool, function(err) {
+            assert.equal(err.message, 'permission denied');
+        });
+        assert.equal(config.search.indexed, false);
+    });
+});
@@ -0,0 +1,191 @@
+"use strict";
+
+// Sends a corpus of SQL injection payloads through every request value that
+// reaches the generated SQL. Each request must either be rejected with an
+// error or produce SQL in which the payload is confined to quoted literals
+// and identifiers.
+
+var assert = require("assert");
+var _ = require("underscore");
+var makeSql = require("../makeSql");
+
+var payloads = [
+    "'; DROP TABLE treemap_tree; --",
+    "\\'; DROP TABLE treemap_tree; --",
+    "E'\\x27; DROP TABLE treemap_tree; --",
+    "1) OR (1=1",
+    "1 OR 1=1",
+    "1 OR 1=1 --",
+    "\" OR 1=1 --",
+    "\\\" OR 1=1 --",
+    "%' OR '1'='1",
+    "x' UNION SELECT password FROM auth_user --",
+    "'||pg_sleep(10)||'",
+    "$$; DROP TABLE treemap_tree; $$",
+    "*/ DROP TABLE treemap_tree /*",
+    "1; DROP TABLE treemap_tree",
+    "’; DROP TABLE treemap_tree; --",
+    "<%= process.exit() %>"
+];
+
+// Tokens that don't appear in any generated SQL outside of quotes
+var FORBIDDEN = /;|--|\/\*|\*\/|\$|<%|DROP|UNION|pg_sleep|1=1/i;
+
+// `skipQuoted` returns the index just past the quoted text starting at
+// `start` (the index after the opening quote), treating doubled quotes and,
+// if `backslashEscapes` is true, backslashes as escapes, the way Postgres
+// does with standard_conforming_strings on.
+function skipQuoted(sql, start, quote, backslashEscapes) {
+    var i = start;
+    while (i < sql.length) {
+        if (backslashEscapes && sql.charAt(i) === '\\') {
+            i += 2;
+        } else if (sql.charAt(i) === quote) {
+            if (sql.charAt(i + 1) !== quote) {
+                return i + 1;
+            }
+            i += 2;
+        } else {
+            i++;
+        }
+    }
+    throw new Error('Unterminated quoted text in ' + sql);
+}
+
+// `stripQuoted` returns `sql` with the contents of its literals and quoted
+// identifiers removed.
+function stripQuoted(sql) {
+    var stripped = '', i = 0, c;
+    while (i < sql.length) {
+        c = sql.charAt(i);
+        if ((c === 'E' || c === 'e') && sql.charAt(i + 1) === "'" && !/\w/.test(sql.charAt(i - 1))) {
+            i = skipQuoted(sql, i + 2, "'", true);
+            stripped += "''";
+        } else if (c === "'" || c === '"') {
+            i = skipQuoted(sql, i + 1, c, false);
+            stripped += c + c;
+        } else {
+            stripped += c;
+            i++;
+        }
+    }
+    return stripped;
+}
+
+function assertSafe(description, makeQuery) {
+    var sql;
+    try {
+        sql = makeQuery();
+    } catch (err) {
+        assert.ok(!(err instanceof TypeError), description + ' raised ' + err);
+        return;
+    }
+    var unquoted = stripQuoted(sql);
+    assert.ok(!FORBIDDEN.test(unquoted), description + ' produced unsafe SQL: ' + sql);
+}
+
+function mapFeatureSql(filter, options) {
+    options = options || {};
+    return makeSql.makeSqlForMapFeatures(
+        JSON.stringify(filter),
+        options.displayFilters ? JSON.stringify(options.displayFilters) : undefined,
+        options.restrictFeatureFilters ? JSON.stringify(options.restrictFeatureFilters) : undefined,
+        _.has(options, 'instanceId') ? options.instanceId : 1,
+        _.has(options, 'zoom') ? options.zoom : 15,
+        false, false, undefined, false, options.colorBy, options.colorByCategories);
+}
+
+// Each position is a function making a query with a payload
+var positions = {
+    'IS value': function(p) { return mapFeatureSql({"tree.species": {"IS": p}}); },
+    'IS shorthand value': function(p) { return mapFeatureSql({"mapFeature.address_street": p}); },
+    'IS_NOT value': function(p) { return mapFeatureSql({"tree.species": {"IS_NOT": p}}); },
+    'IN value': function(p) { return mapFeatureSql({"mapFeature.feature_type": {"IN": ["Plot", p]}}); },
+    'NOT_IN value': function(p) { return mapFeatureSql({"mapFeature.feature_type": {"NOT_IN": [p]}}); },
+    'LIKE value': function(p) { return mapFeatureSql({"mapFeature.address_street": {"LIKE": p}}); },
+    'MIN value': function(p) { return mapFeatureSql({"tree.diameter": {"MIN": p}}); },
+    'MAX value': function(p) { return mapFeatureSql({"tree.diameter": {"MAX": {"value": p, "EXCLUSIVE": true}}}); },
+    'column name': function(p) { return mapFeatureSql(_.object([["tree." + p, 1]])); },
+    'model name': function(p) { return mapFeatureSql(_.object([[p + ".diameter", 1]])); },
+    'scalar udf name': function(p) { return mapFeatureSql(_.object([["tree.udf:" + p, 1]])); },
+    'collection udf member': function(p) { return mapFeatureSql(_.object([["udf:tree:18." + p, "x"]])); },
+    'collection udf field definition': function(p) { return mapFeatureSql(_.object([["udf:tree:" + p + ".Action", "x"]])); },
+    'collection udf model': function(p) { return mapFeatureSql(_.object([["udf:" + p + ":18.Action", "x"]])); },
+    'IN_BOUNDARY value': function(p) { return mapFeatureSql({"mapFeature.geom": {"IN_BOUNDARY": p}}); },
+    'WITHIN_RADIUS point': function(p) {
+        return mapFeatureSql({"mapFeature.geom": {"WITHIN_RADIUS": {"POINT": {"x": p, "y": 0}, "RADIUS": 10}}});
+    },
+    'WITHIN_RADIUS radius': function(p) {
+        return mapFeatureSql({"mapFeature.geom": {"WITHIN_RADIUS": {"POINT": {"x": 0, "y": 0}, "RADIUS": p}}});
+    },
+    'INSIDE_GEOMETRY WKT': function(p) {
+        return mapFeatureSql({"mapFeature.geom": {"INSIDE_GEOMETRY": "POLYGON((0 0, 1 0, 1 1, 0 0" + p + "))"}});
+    },
+    'CONTAINS_ANY value': function(p) { return mapFeatureSql({"tree.udf:Tags": {"CONTAINS_ANY": ["x", p]}}); },
+    'CONTAINS_ALL value': function(p) { return mapFeatureSql({"udf:plot:17.Tags": {"CONTAINS_ALL": [p]}}); },
+    'aggregate WHERE field': function(p) {
+        return mapFeatureSql(_.object([["udf:plot:18", {"WHERE": _.object([[p, "x"]]), "EXISTS": true}]]));
+    },
+    'aggregate WHERE value': function(p) {
+        return mapFeatureSql({"udf:plot:18": {"WHERE": {"Action": p}, "COUNT": {"MIN": 1}}});
+    },
+    'aggregate COUNT': function(p) { return mapFeatureSql({"udf:plot:18": {"COUNT": {"MAX": p}}}); },
+    'aggregate LATEST field': function(p) {
+        return mapFeatureSql({"udf:tree:18": {"LATEST": _.object([[p, {"MIN": "2020-01-01"}]])}});
+    },
+    'aggregate LATEST value': function(p) { return mapFeatureSql({"udf:tree:18": {"LATEST": {"Date": p}}}); },
+    'aggregate field definition': function(p) { return mapFeatureSql(_.object([["udf:tree:" + p, {"EXISTS": true}]])); },
+    'SEARCH value': function(p) { return mapFeatureSql({"species.name": {"SEARCH": p}}); },
+    'field reference': function(p) { return mapFeatureSql({"tree.height": {"MAX": {"FIELD": "tree." + p}}}); },
+    'field reference model': function(p) { return mapFeatureSql({"tree.height": {"MAX": {"FIELD": p + ".height"}}}); },
+    'relative date': function(p) { return mapFeatureSql({"tree.created": {"MIN": {"RELATIVE": p}}}); },
+    'combinator': function(p) { return mapFeatureSql([p, {"tree.diameter": 1}]); },
+    'display filter': function(p) { return mapFeatureSql({}, {displayFilters: ["Plot", p]}); },
+    'restrict feature filter': function(p) { return mapFeatureSql({}, {restrictFeatureFilters: [p]}); },
+    'instance id': function(p) { return mapFeatureSql({}, {instanceId: p}); },
+    'zoom': function(p) { return mapFeatureSql({}, {zoom: p}); },
+    'color by': function(p) { return mapFeatureSql({}, {colorBy: "tree.udf:" + p}); },
+    'color by category': function(p) { return mapFeatureSql({}, {colorBy: "species", colorByCategories: [p]}); },
+    'color by categories field': function(p) { return makeSql.makeSqlForColorByCategories(1, "tree.udf:" + p); },
+    'stats field': function(p) {
+        return makeSql.makeSqlForMapFeatureStats('{}', undefined, undefined, 1, "tree.udf:" + p);
+    },
+    'export bbox': function(p) {
+        return makeSql.makeSqlForMapFeatureExport('{}', undefined, undefined, 1, [p, 0, 1, 1]);
+    },
+    'cluster zoom': function(p) {
+        return makeSql.makeSqlForMapFeatureClusters('{}', undefined, undefined, 1, p);
+    },
+    'boundary instance id': function(p) { return makeSql.makeSqlForBoundaries(p); },
+    'canopy category': function(p) { return makeSql.makeSqlForCanopyBoundaries(1, 0, 100, p); },
+    'canopy minimum': function(p) { return makeSql.makeSqlForCanopyBoundaries(1, p, 100, 'Park'); }
+};
+
+describe('SQL injection', function() {
+    it('finds no forbidden tokens in SQL for benign requests', function() {
+        assert.ok(!FORBIDDEN.test(stripQuoted(mapFeatureSql(
+            ["AND", {"tree.diameter": {"MIN": 1}, "tree.udf:Condition": {"IN": ["Good", "Fair"]}},
+             ["NOT", {"mapFeature.address_street": {"LIKE": "Market"}}]],
+            {colorBy: 'diameter'}))));
+    });
+
+    it('detects payloads outside of quotes', function() {
+        assert.ok(FORBIDDEN.test(stripQuoted("SELECT 1 WHERE x = 'a'; DROP TABLE treemap_tree; --")));
+        // Backslashes only escape quotes in E'' strings
+        assert.ok(FORBIDDEN.test(stripQuoted("SELECT 1 WHERE x = '\\' OR 1=1")));
+        assert.ok(!FORBIDDEN.test(stripQuoted("SELECT 1 WHERE x = E'\\' OR 1=1'")));
+        assert.throws(function() {
+            stripQuoted("SELECT 1 WHERE x = 'a'' OR 1=1");
+        }, Error);
+    });
+
+    _.each(positions, function(makeQuery, position) {
+        it('confines payloads in the ' + position, function() {
+            _.each(payloads, function(payload) {
+                assertSafe(position + ' ' + JSON.stringify(payload), function() {
+                    return makeQuery(payload);
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,77 @@
+"use strict";
+
+var assert = require("assert");
+var sql = require("../sqlLiterals");
+
+describe('sqlLiterals', function() {
+    it('quotes strings, doubling quotes', function() {
+        assert.equal(sql.literal("Market St"), "'Market St'");
+        assert.equal(sql.literal("O'Brien"), "'O''Brien'");
+        assert.equal(sql.literal("'); DROP TABLE treemap_tree; --"), "'''); DROP TABLE treemap_tree; --'");
+    });
+
+    it('writes strings with backslashes as E strings', function() {
+        assert.equal(sql.literal("\\'; DROP TABLE treemap_tree; --"), "E'\\\\''; DROP TABLE treemap_tree; --'");
+    });
+
+    it('converts numbers, booleans and null', function() {
+        assert.equal(sql.literal(4), 4);
+        assert.equal(sql.literal(-1.5), -1.5);
+        assert.equal(sql.literal(true), 'TRUE');
+        assert.equal(sql.literal(false), 'FALSE');
+        assert.equal(sql.literal(null), 'NULL');
+    });
+
+    it('raises an error for other values', function() {
+        assert.throws(function() { sql.literal(undefined); }, Error);
+        assert.throws(function() { sql.literal({toString: function() { return "1 OR 1=1"; }}); }, Error);
+        assert.throws(function() { sql.literal(["1"]); }, Error);
+        assert.throws(function() { sql.literal(NaN); }, Error);
+        assert.throws(function() { sql.literal(Infinity); }, Error);
+        assert.throws(function() { sql.literal("a\u0000b"); }, Error);
+    });
+
+    it('accepts only integers as integers', function() {
+        assert.equal(sql.integer(12), 12);
+        assert.equal(sql.integer("12"), 12);
+        assert.equal(sql.integer("-3"), -3);
+        assert.throws(function() { sql.integer("12 OR 1=1"); }, Error);
+        assert.throws(function() { sql.integer("1.5"); }, Error);
+        assert.throws(function() { sql.integer(1.5); }, Error);
+        assert.throws(function() { sql.integer(""); }, Error);
+        assert.throws(function() { sql.integer(null); }, Error);
+    });
+
+    it('accepts only finite numbers as numbers', function() {
+        assert.equal(sql.number(-75.2), -75.2);
+        assert.throws(function() { sql.number("1"); }, Error);
+        assert.throws(function() { sql.number(NaN); }, Error);
+    });
+
+    it('quotes identifiers, doubling double quotes', function() {
+        assert.equal(sql.identifier('treemap_tree'), '"treemap_tree"');
+        assert.equal(sql.identifier('a"b'), '"a""b"');
+        assert.throws(function() { sql.identifier(''); }, Error);
+        assert.throws(function() { sql.identifier(1); }, Error);
+    });
+
+    it('writes strings as parameters while building a parameterized query', function() {
+        var query = sql.parameterized(function() {
+            return 'SELECT ' + [sql.literal("O'Brien"), sql.literal(4), sql.literal(null),
+                                sql.literal("\\'; DROP TABLE treemap_tree; --")].join(', ');
+        });
+
+        assert.deepEqual(query, {
+            text: 'SELECT $1, 4, NULL, $2',
+            values: ["O'Brien", "\\'; DROP TABLE treemap_tree; --"]
+        });
+        assert.equal(sql.literal("O'Brien"), "'O''Brien'");
+    });
+
+    it('stops writing parameters when building a parameterized query fails', function() {
+        assert.throws(function() {
+            sql.parameterized(function() { throw new Error('invalid'); });
+        }, /invalid/);
+        assert.equal(sql.literal('a'), "'a'");
+    });
+});
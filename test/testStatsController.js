@@ -0,0 +1,100 @@
+"use strict";
+
+var assert = require("assert");
+var StatsController = require("../http/statsController");
+
+// A stand-in for the express app, recording the responses sent
+function makeApp() {
+    return {
+        doCORS: function() {},
+        findStatusCode: function(err) { return err.http_status || 400; },
+        sendError: function(res, body, status) { res.send(body, status); }
+    };
+}
+
+function makeResponse() {
+    return {
+        sent: [],
+        send: function(body, status) { this.sent.push({body: body, status: status}); }
+    };
+}
+
+function makeDbPool(rows) {
+    return {
+        queries: [],
+        connect: function(callback) {
+            var pool = this;
+            callback(null, {
+                query: function(text, values, callback) {
+                    pool.queries.push({text: text, values: values});
+                    callback(null, {rows: rows});
+                }
+            }, function() {});
+        }
+    };
+}
+
+function makeRequest(query) {
+    return {query: query, params: {table: 'treemap_mapfeature'}, instanceConfig: {}};
+}
+
+describe('StatsController', function() {
+    it('responds with the statistics of the filtered map features', function() {
+        var dbPool = makeDbPool([{feature_type: 'Plot', count: '3', tree_count: '2', value_count: '0'}]),
+            controller = new StatsController(makeApp(), dbPool),
+            res = makeResponse();
+
+        controller.stats(makeRequest({instance_id: '1'}), res);
+
+        assert.equal(dbPool.queries.length, 1);
+        assert.deepEqual(res.sent, [{
+            body: {count: 3, featureTypes: {Plot: 3}, trees: 2, emptyPlots: 1},
+            status: 200
+        }]);
+    });
+
+    it('responds with an error if the field is displayed in units it cannot be converted to', function() {
+        var dbPool = makeDbPool([{feature_type: 'Plot', count: '3', tree_count: '2', value_count: '2',
+                                  min: 1, max: 3, sum: 4}]),
+            controller = new StatsController(makeApp(), dbPool),
+            req = makeRequest({instance_id: '1', field: 'tree.diameter'}),
+            res = makeResponse();
+        req.instanceConfig = {value_display: {tree: {diameter: {units: 'furlongs'}}}};
+
+        controller.stats(req, res);
+
+        assert.equal(res.sent.length, 1);
+        assert.equal(res.sent[0].status, 400);
+        assert.deepEqual(res.sent[0].body, {errors: ['Error: Cannot convert tree.diameter from in to furlongs']});
+    });
+
+    it('sends filter values as query parameters', function() {
+        var dbPool = makeDbPool([]),
+            controller = new StatsController(makeApp(), dbPool),
+            value = "Acer; DROP TABLE treemap_tree; --";
+
+        controller.stats(makeRequest({instance_id: '1', q: JSON.stringify({'species.genus': {'IS': value}})}),
+                         makeResponse());
+
+        assert.deepEqual(dbPool.queries[0].values, ['Plot', value]);
+        assert.ok(dbPool.queries[0].text.indexOf('"treemap_species"."genus" = $2') !== -1);
+        assert.equal(dbPool.queries[0].text.indexOf('DROP'), -1);
+    });
+
+    it('responds with a 400 listing the problems of an invalid filter', function() {
+        var dbPool = makeDbPool([]),
+            controller = new StatsController(makeApp(), dbPool),
+            res = makeResponse();
+
+        controller.stats(makeRequest({instance_id: '1', q: '{"tree.diameter": {"MIN": [1]}}'}), res);
+
+        assert.equal(dbPool.queries.length, 0);
+        assert.equal(res.sent.length, 1);
+        assert.equal(res.sent[0].status, 400);
+        assert.deepEqual(res.sent[0].body.filter_errors, [{
+            path: ['tree.diameter', 'MIN'],
+            code: 'INVALID_VALUE',
+            message: 'MIN must be a number, a date or {"value": ..., "EXCLUSIVE": ...}'
+        }]);
+    });
+});
@@ -0,0 +1,167 @@
+"use strict";
+
+var assert = require("assert");
+var _ = require("underscore");
+var TileCacheStore = require("../http/tileCacheStore");
+
+// An in-memory stand-in for the few Redis commands TileCacheStore uses,
+// counting the queries made
+function makeRedisPool() {
+    var data = {},
+        client = {queries: 0};
+
+    function list(key) {
+        data[key] = data[key] || [];
+        return data[key];
+    }
+    function sortedSet(key) {
+        data[key] = data[key] || {};
+        return data[key];
+    }
+    var commands = {
+        mget: function() {
+            return _.map(arguments, function(key) { return data[key] || null; });
+        },
+        lrange: function(key) { return list(key).slice(); },
+        lpush: function(key, value) { list(key).unshift(value); },
+        ltrim: function(key, start, stop) { data[key] = list(key).slice(start, stop + 1); },
+        incr: function(key) {
+            data[key] = (data[key] || 0) + 1;
+            return data[key];
+        },
+        zadd: function(key, score, member) { sortedSet(key)[member] = score; },
+        zremrangebyscore: function(key, min, max) {
+            _.each(sortedSet(key), function(score, member) {
+                if (score <= max) {
+                    delete data[key][member];
+                }
+            });
+        },
+        zrange: function(key) { return _.keys(sortedSet(key)); },
+        zrem: function(key, members) {
+            _.each(members, function(member) { delete sortedSet(key)[member]; });
+        },
+        expire: function() {},
+        get: function(key) { return data[key] || null; },
+        setex: function(key, ttl, value) { data[key] = value; }
+    };
+    _.each(commands, function(command, name) {
+        client[name] = function() {
+            var args = _.initial(arguments), callback = _.last(arguments);
+            client.queries++;
+            callback(null, command.apply(null, args));
+        };
+    });
+    client.multi = function() {
+        var queued = [], multi = {};
+        _.each(commands, function(command, name) {
+            multi[name] = function() {
+                queued.push(command.apply.bind(command, null, arguments));
+                return multi;
+            };
+        });
+        multi.exec = function(callback) {
+            client.queries++;
+            callback(null, _.map(queued, function(fn) { return fn(); }));
+        };
+        return multi;
+    };
+
+    return {
+        data: data,
+        client: client,
+        acquire: function(db, callback) { callback(null, client); },
+        release: function() {}
+    };
+}
+
+describe('TileCacheStore', function() {
+    var time;
+
+    function makeStore(redisPool, deleted) {
+        time = 0;
+        return new TileCacheStore(redisPool, {
+            del: function(layergroupId, callback) {
+                deleted.push(layergroupId);
+                callback(null);
+            }
+        }, {versionTtl: 1000, maxVersions: 10, layergroupTtl: 60, renderedTileTtl: 600,
+            now: function() { return time; }});
+    }
+
+    function getVersion(store, z, x, y) {
+        var version;
+        store.getVersion(1, 'treemap_mapfeature', z, x, y, function(err, v) {
+            assert.ifError(err);
+            version = v;
+        });
+        return version;
+    }
+
+    it('caches versions in process until they expire', function() {
+        var redisPool = makeRedisPool(),
+            store = makeStore(redisPool, []);
+
+        assert.equal(getVersion(store, 0, 0, 0), '0.0.0');
+        assert.equal(getVersion(store, 1, 0, 0), '0.0.0');
+        assert.equal(redisPool.client.queries, 1);
+
+        redisPool.data['otm:tiles:1:version'] = 3;
+        time = 999;
+        assert.equal(getVersion(store, 0, 0, 0), '0.0.0');
+        time = 1000;
+        assert.equal(getVersion(store, 0, 0, 0), '3.0.0');
+        assert.equal(redisPool.client.queries, 2);
+    });
+
+    it('changes the versions of purged tiles at once', function() {
+        var store = makeStore(makeRedisPool(), []);
+
+        assert.equal(getVersion(store, 10, 0, 0), '0.0.0');
+        store.purge(1, 'treemap_mapfeature', [-180, 80, -170, 85.05], assert.ifError);
+        assert.equal(getVersion(store, 10, 0, 0), '0.0.1');
+        assert.equal(getVersion(store, 10, 1023, 1023), '0.0.0');
+        store.purge(1, null, null, assert.ifError);
+        assert.equal(getVersion(store, 10, 1023, 1023), '1.0.0');
+    });
+
+    it('forgets layergroups older than layergroupTtl', function() {
+        var deleted = [],
+            store = makeStore(makeRedisPool(), deleted);
+
+        store.addLayergroup(1, 'treemap_mapfeature', 'old', assert.ifError);
+        time = 60001;
+        store.addLayergroup(1, 'treemap_mapfeature', 'new', assert.ifError);
+        store.addLayergroup(1, 'treemap_boundary', 'boundary', assert.ifError);
+
+        store.purge(1, 'treemap_mapfeature', null, function(err, count) {
+            assert.ifError(err);
+            assert.equal(count, 1);
+        });
+        assert.deepEqual(deleted, ['new']);
+    });
+
+    it('caches rendered images and UTF grids', function() {
+        var store = makeStore(makeRedisPool(), []),
+            png = Buffer.from([137, 80, 78, 71]),
+            grid = {grid: [' !'], keys: ['', '1'], data: {1: {count: 3}}},
+            headers = {'Content-Type': 'image/png'};
+
+        function getRenderedTile(tileKey) {
+            var result;
+            store.getRenderedTile(1, tileKey, function(err, rendered) {
+                assert.ifError(err);
+                result = rendered;
+            });
+            return result;
+        }
+
+        assert.equal(getRenderedTile('layergroup:0:0:0:png:0.0.0'), null);
+        store.setRenderedTile(1, 'layergroup:0:0:0:png:0.0.0', png, headers, assert.ifError);
+        store.setRenderedTile(1, 'layergroup:0:0:0:grid.json:0.0.0', grid, {}, assert.ifError);
+
+        assert.deepEqual(getRenderedTile('layergroup:0:0:0:png:0.0.0'), {tile: png, headers: headers});
+        assert.ok(Buffer.isBuffer(getRenderedTile('layergroup:0:0:0:png:0.0.0').tile));
+        assert.deepEqual(getRenderedTile('layergroup:0:0:0:grid.json:0.0.0'), {tile: grid, headers: {}});
+    });
+});
@@ -0,0 +1,98 @@
+"use strict";
+
+var assert = require("assert");
+var tileParams = require("../tileParams");
+var errorBody = require("../http/errorBody");
+
+describe('makeReq2params', function() {
+    var styles = {mapFeature: '#treemap_mapfeature { marker-width: 5; }', clusterMapFeature: ''};
+
+    function makeRequest(query) {
+        return {
+            query: query,
+            params: {table: 'treemap_mapfeature', z: '14', format: 'png'},
+            instanceConfig: {}
+        };
+    }
+
+    function callReq2params(req, onError) {
+        var calls = [];
+        tileParams.makeReq2params({styles: styles, dbname: 'otm', onError: onError})(req, function(err, result) {
+            calls.push({err: err, req: result});
+        });
+        return calls;
+    }
+
+    it('sets the SQL, style and database of a tile request', function() {
+        var req = makeRequest({instance_id: '1'}),
+            calls = callReq2params(req);
+
+        assert.equal(calls.length, 1);
+        assert.equal(calls[0].err, null);
+        assert.equal(calls[0].req, req);
+        assert.ok(/treemap_mapfeature/.test(req.params.sql));
+        assert.equal(req.params.style, styles.mapFeature);
+        assert.equal(req.params.dbname, 'otm');
+        assert.equal(req.params.interactivity, null);
+    });
+
+    it('asks for cluster tiles to be cached', function() {
+        var req = makeRequest({instance_id: '1', cluster: 'true'}),
+            uncached = makeRequest({instance_id: '1'});
+        req.params.z = '10';
+        callReq2params(req);
+        callReq2params(uncached);
+
+        assert.ok(/ST_SnapToGrid/.test(req.params.sql));
+        assert.equal(req.cacheRenderedTile, true);
+        assert.equal(uncached.cacheRenderedTile, undefined);
+    });
+
+    it('calls back once with the error of an invalid filter', function() {
+        var reported = [],
+            req = makeRequest({instance_id: '1', q: '{"tree.diameter": {"MIN": [1]}}'}),
+            calls = callReq2params(req, function(err) { reported.push(err); });
+
+        assert.equal(calls.length, 1);
+        assert.equal(calls[0].err.http_status, 400);
+        assert.equal(calls[0].req, undefined);
+        assert.deepEqual(reported, [calls[0].err]);
+        assert.equal(req.params.dbname, undefined);
+    });
+
+    it('calls back once with a 404 error for a missing saved filter', function() {
+        var req = makeRequest({instance_id: '1', filter_id: '0123456789abcdef0123'}),
+            calls;
+        req.savedFilter = null;
+        calls = callReq2params(req);
+
+        assert.equal(calls.length, 1);
+        assert.equal(calls[0].err.http_status, 404);
+    });
+});
+
+describe('errorBody', function() {
+    it('lists the problems of an invalid filter', function() {
+        var req = {
+                query: {instance_id: '1', q: '{"tree.diameter": {"MIN": [1]}}'},
+                params: {table: 'treemap_mapfeature', z: '14', format: 'png'},
+                instanceConfig: {}
+            },
+            body;
+        tileParams.makeReq2params({styles: {}, dbname: 'otm'})(req, function(err) {
+            body = errorBody(err);
+        });
+
+        assert.equal(body.errors.length, 1);
+        assert.deepEqual(body.filter_errors, [{
+            path: ['tree.diameter', 'MIN'],
+            code: 'INVALID_VALUE',
+            message: 'MIN must be a number, a date or {"value": ..., "EXCLUSIVE": ...}'
+        }]);
+    });
+
+    it('rewrites mapnik style errors to start with the layer number', function() {
+        assert.deepEqual(errorBody(new Error("Unknown property in style 'layer0'")),
+                         {errors: ['style0: Unknown property']});
+    });
+});
@@ -67,4 +67,78 @@ describe('convertFilterUnits', function() {
         assert.deepEqual(filter, expectedFilter, 'Filter should show sq_ft->sq_m conversion');
     });
 
+    it('does not convert fields compared with other fields', function() {
+        var filter = {'tree.diameter': {'MAX': {'FIELD': 'plot.width'}}};
+        var config = {value_display: {tree: {diameter: {'units': 'cm'}}}};
+        units.convertFilterUnits(filter, config);
+        assert.deepEqual(filter, {'tree.diameter': {'MAX': {'FIELD': 'plot.width'}}});
+    });
+
+    it('converts derived fields with convertible units', function() {
+        var filter = {'tree.crown_depth': {'MIN': 1}};
+        var instanceConfig = {value_display: {tree: {crown_depth: {'units': 'm'}}}};
+        config.derivedFields['tree.crown_depth'] = {
+            models: ['tree'],
+            sql: '"treemap_tree"."height" - "treemap_tree"."canopy_height"',
+            sqlType: 'double precision',
+            units: 'ft'
+        };
+        try {
+            units.convertFilterUnits(filter, instanceConfig);
+        } finally {
+            delete config.derivedFields['tree.crown_depth'];
+        }
+        assert.equal(round(filter['tree.crown_depth'].MIN, 4), 3.2808);
+    });
+
+    it('does not convert derived fields in units without conversions', function() {
+        var filter = {'tree.age': {'MIN': 10}};
+        units.convertFilterUnits(filter, {value_display: {tree: {age: {'units': 'months'}}}});
+        assert.deepEqual(filter, {'tree.age': {'MIN': 10}});
+    });
+
+    it('raises an error for other fields displayed in units without conversions', function() {
+        assert.throws(function() {
+            units.convertFilterUnits({'tree.diameter': {'MIN': 10}},
+                                     {value_display: {tree: {diameter: {'units': 'furlongs'}}}});
+        }, /Cannot convert tree.diameter from in to furlongs/);
+    });
+
+});
+
+describe('convertValueToDisplayUnits', function() {
+    it('converts a stored diameter to the displayed unit', function() {
+        var config = {value_display: {tree: {diameter: {'units': 'cm'}}}};
+        assert.equal(units.convertValueToDisplayUnits('tree.diameter', 2, config), 5.08);
+    });
+
+    it('does not change a value with default unit', function() {
+        var config = {value_display: {tree: {diameter: {'units': 'in'}}}};
+        assert.equal(units.convertValueToDisplayUnits('tree.diameter', 2, config), 2);
+    });
+
+    it('ignores non-convertible fields and missing values', function() {
+        var config = {value_display: {tree: {diameter: {'units': 'cm'}}}};
+        assert.equal(units.convertValueToDisplayUnits('tree.something', 2, config), 2);
+        assert.equal(units.convertValueToDisplayUnits('tree.diameter', null, config), null);
+        assert.equal(units.convertValueToDisplayUnits('tree.diameter', 2, undefined), 2);
+    });
+});
+
+describe('getFieldUnits', function() {
+    it('returns the stored and displayed units of a field', function() {
+        var config = {value_display: {tree: {diameter: {'units': 'cm'}}}};
+        assert.deepEqual(units.getFieldUnits('tree.diameter', config), {stored: 'in', display: 'cm'});
+        assert.deepEqual(units.getFieldUnits('tree.height', config), {stored: 'ft', display: 'ft'});
+        assert.deepEqual(units.getFieldUnits('tree.height', undefined), {stored: 'ft', display: 'ft'});
+    });
+
+    it('returns the units of derived fields', function() {
+        assert.deepEqual(units.getFieldUnits('tree.age', {}), {stored: 'years', display: 'years'});
+    });
+
+    it('returns null for fields without units', function() {
+        assert.equal(units.getFieldUnits('tree.something', {}), null);
+        assert.equal(units.getFieldUnits('tree.diameter_to_height', {}), null);
+    });
 });
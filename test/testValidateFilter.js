@@ -0,0 +1,162 @@
+"use strict";
+
+var assert = require("assert");
+var _ = require("underscore");
+var validateFilter = require("../validateFilter");
+var makeSql = require("../makeSql");
+
+function errorsFor(filter) {
+    return _.map(validateFilter.validateFilter(filter), function(error) {
+        return {path: error.path, code: error.code};
+    });
+}
+
+function assertErrors(filter, expected) {
+    assert.deepEqual(errorsFor(filter), expected);
+}
+
+describe('validateFilter', function() {
+    it('accepts valid filters', function() {
+        assertErrors({}, []);
+        assertErrors({"tree.diameter": {"MIN": 1, "MAX": {"value": 10, "EXCLUSIVE": true}},
+                      "species.common_name": {"LIKE": "oak"},
+                      "mapFeature.updated_at": {"MIN": "2014-03-02 00:00:00"},
+                      "tree.udf:Condition": {"IN": ["Good", "Fair"]},
+                      "udf:tree:18.Action": "Watered",
+                      "mapFeature.geom": {"IN_BOUNDARY": 6}}, []);
+        assertErrors(["OR", {"tree.id": {"ISNULL": true}}, ["NOT", {"species.id": 4}]], []);
+    });
+
+    it('reports unknown models and malformed field names', function() {
+        assertErrors({"fountain.material": "Marble"},
+                     [{path: ["fountain.material"], code: 'UNKNOWN_MODEL'}]);
+        assertErrors({"tree": 1, "tree.height; DROP TABLE treemap_tree": 1, "udf:tree:x.Action": 1},
+                     [{path: ["tree"], code: 'INVALID_FIELD_NAME'},
+                      {path: ["tree.height; DROP TABLE treemap_tree"], code: 'INVALID_FIELD_NAME'},
+                      {path: ["udf:tree:x.Action"], code: 'INVALID_FIELD_NAME'}]);
+    });
+
+    it('reports unknown operators and invalid combinations', function() {
+        assertErrors({"tree.height": {"ABOUT": 1}},
+                     [{path: ["tree.height", "ABOUT"], code: 'UNKNOWN_OPERATOR'}]);
+        assertErrors({"tree.height": {"MIN": 1, "IN": [1]}},
+                     [{path: ["tree.height", "MIN"], code: 'INVALID_OPERATOR_COMBINATION'},
+                      {path: ["tree.height", "IN"], code: 'INVALID_OPERATOR_COMBINATION'}]);
+        assertErrors({"tree.height": {}},
+                     [{path: ["tree.height"], code: 'INVALID_PREDICATE'}]);
+    });
+
+    it('reports values of the wrong type', function() {
+        assertErrors({"tree.height": {"MIN": [1]},
+                      "mapFeature.feature_type": {"IN": ["Plot", {"a": 1}]},
+                      "mapFeature.address_street": {"LIKE": 4},
+                      "tree.id": {"ISNULL": "yes"},
+                      "mapFeature.geom": {"IN_BOUNDARY": "6 OR 1=1"}},
+                     [{path: ["tree.height", "MIN"], code: 'INVALID_VALUE'},
+                      {path: ["mapFeature.feature_type", "IN", 1], code: 'INVALID_VALUE'},
+                      {path: ["mapFeature.address_street", "LIKE"], code: 'INVALID_VALUE'},
+                      {path: ["tree.id", "ISNULL"], code: 'INVALID_VALUE'},
+                      {path: ["mapFeature.geom", "IN_BOUNDARY"], code: 'INVALID_VALUE'}]);
+        assertErrors({"mapFeature.geom": {"WITHIN_RADIUS": {"POINT": {"x": 0, "y": 0}}}},
+                     [{path: ["mapFeature.geom", "WITHIN_RADIUS"], code: 'INVALID_VALUE'}]);
+    });
+
+    it('reports invalid dates', function() {
+        assertErrors({"tree.created": {"MIN": "2013-02-30 00:00:00"},
+                      "tree.updated": {"MAX": "2013-07-15 2:12 PM"},
+                      "tree.planted": "2013-07-15"},
+                     [{path: ["tree.created", "MIN"], code: 'INVALID_DATE'},
+                      {path: ["tree.updated", "MAX"], code: 'INVALID_DATE'}]);
+    });
+
+    it('checks aggregate predicates on collection udfs', function() {
+        assertErrors({"udf:plot:18": {"WHERE": {"Action": "Watered"}, "COUNT": {"MIN": 3}},
+                      "udf:tree:20": {"LATEST": {"Date": {"MAX": {"RELATIVE": "-1y"}}}}}, []);
+        assertErrors(["NOT", {"udf:plot:18": {"EXISTS": true}}], []);
+        assertErrors({"udf:plot:18": {"WHERE": {"Action": []}, "COUNT": {"LIKE": "3"}, "EXISTS": 1}},
+                     [{path: ["udf:plot:18", "WHERE", "Action"], code: 'INVALID_PREDICATE'},
+                      {path: ["udf:plot:18", "COUNT", "LIKE"], code: 'UNSUPPORTED_OPERATOR'},
+                      {path: ["udf:plot:18", "EXISTS"], code: 'INVALID_VALUE'}]);
+        assertErrors({"udf:plot:18": {"WHERE": {"Action": "Watered"}},
+                      "udf:tree:20": {"EARLIEST": {"Date": {"MIN": "2020-02-30"}}, "SUM": 1}},
+                     [{path: ["udf:plot:18"], code: 'INVALID_PREDICATE'},
+                      {path: ["udf:tree:20", "EARLIEST", "Date", "MIN"], code: 'INVALID_DATE'},
+                      {path: ["udf:tree:20", "SUM"], code: 'UNKNOWN_OPERATOR'}]);
+    });
+
+    it('allows collection udf fields to be negated with NOT', function() {
+        assertErrors(["NOT", {"udf:tree:18.Action": "Watered"}], []);
+    });
+
+    it('reports negated operators on collection udf fields', function() {
+        assertErrors({"udf:plot:18.Action": {"IS_NOT": "Watered"},
+                      "udf:plot:18": {"WHERE": {"Action": {"NOT_LIKE": "Water"}}, "EXISTS": false}},
+                     [{path: ["udf:plot:18.Action", "IS_NOT"], code: 'UNSUPPORTED_OPERATOR'}]);
+    });
+
+    it('checks field references', function() {
+        assertErrors({"tree.height": {"MAX": {"FIELD": "tree.canopy_height"}},
+                      "plot.width": {"MIN": {"value": {"FIELD": "tree.diameter"}, "EXCLUSIVE": true}},
+                      "tree.diameter": {"FIELD": "plot.length"}}, []);
+        assertErrors({"tree.height": {"MAX": {"FIELD": "nope.height"}},
+                      "tree.diameter": {"IS": {"FIELD": "tree.udf:Diameter"}},
+                      "plot.width": {"MIN": {"FIELD": "tree.diameter", "EXCLUSIVE": true}},
+                      "plot.length": {"IN": [{"FIELD": "plot.width"}]}},
+                     [{path: ["tree.height", "MAX", "FIELD"], code: 'UNKNOWN_MODEL'},
+                      {path: ["tree.diameter", "IS", "FIELD"], code: 'INVALID_VALUE'},
+                      {path: ["plot.width", "MIN"], code: 'INVALID_VALUE'},
+                      {path: ["plot.length", "IN", 0], code: 'INVALID_VALUE'}]);
+    });
+
+    it('checks SEARCH values', function() {
+        assertErrors({"species.name": {"SEARCH": "red maple"}}, []);
+        assertErrors({"species.name": {"SEARCH": " "}, "tree.udf:Notes": {"SEARCH": ["dead"]}},
+                     [{path: ["species.name", "SEARCH"], code: 'INVALID_VALUE'},
+                      {path: ["tree.udf:Notes", "SEARCH"], code: 'INVALID_VALUE'}]);
+    });
+
+    it('checks CONTAINS_ANY and CONTAINS_ALL values', function() {
+        assertErrors({"tree.udf:Tags": {"CONTAINS_ANY": ["Heritage"]},
+                      "udf:plot:17.Programs": {"CONTAINS_ALL": ["Adopt-a-tree", "Memorial"]}}, []);
+        assertErrors({"tree.udf:Tags": {"CONTAINS_ANY": []},
+                      "tree.udf:Programs": {"CONTAINS_ALL": ["Memorial", 3]}},
+                     [{path: ["tree.udf:Tags", "CONTAINS_ANY"], code: 'INVALID_VALUE'},
+                      {path: ["tree.udf:Programs", "CONTAINS_ALL", 1], code: 'INVALID_VALUE'}]);
+    });
+
+    it('accepts relative dates and reports invalid ones', function() {
+        assertErrors({"tree.created": {"MIN": {"RELATIVE": "-90d"}, "MAX": {"RELATIVE": "today"}},
+                      "tree.planted": {"RELATIVE": "start_of_year"},
+                      "tree.udf:Date": {"IN": [{"RELATIVE": "today"}]}}, []);
+        assertErrors({"tree.created": {"MIN": {"RELATIVE": "90 days ago"}},
+                      "tree.updated": {"IS": {"RELATIVE": "-1d", "EXCLUSIVE": true}},
+                      "tree.planted": {"RELATIVE": 90}},
+                     [{path: ["tree.created", "MIN"], code: 'INVALID_DATE'},
+                      {path: ["tree.updated", "IS"], code: 'INVALID_DATE'},
+                      {path: ["tree.planted"], code: 'INVALID_DATE'}]);
+    });
+
+    it('reports errors with their path in nested combinators', function() {
+        assertErrors(["AND", {"tree.height": {"MIN": 1}}, ["OR", {"tree.height": {"MAX": "tall"}}, {"tree.nope": []}]],
+                     [{path: [2, 2, "tree.nope"], code: 'INVALID_PREDICATE'}]);
+        assertErrors(["XOR", {}], [{path: [0], code: 'INVALID_COMBINATOR'}]);
+        assertErrors(["AND", []], [{path: [1], code: 'INVALID_COMBINATOR'}]);
+        assertErrors(["NOT", {"tree.id": 1}, {"tree.id": 2}], [{path: [], code: 'INVALID_COMBINATOR'}]);
+        assertErrors("tree.id = 1", [{path: [], code: 'INVALID_FILTER'}]);
+    });
+
+    it('reports invalid JSON', function() {
+        assert.deepEqual(_.pluck(validateFilter.validateFilterString('{"tree.id": '), 'code'), ['INVALID_JSON']);
+        assert.deepEqual(validateFilter.validateFilterString(undefined), []);
+    });
+
+    it('rejects invalid filters before generating SQL', function() {
+        assert.throws(function() {
+            makeSql.makeSqlForMapFeatures('{"tree.height": {"MIN": [1]}}', undefined, undefined, 1, 15);
+        }, function(err) {
+            return err.http_status === 400 &&
+                _.isEqual(err.errors[0].path, ["tree.height", "MIN"]) &&
+                err.errors[0].code === 'INVALID_VALUE';
+        });
+    });
+});
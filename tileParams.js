@@ -0,0 +1,160 @@
+"use strict";
+
+// Windshaft asks the `req2params` function of its config to translate each
+// tile request into the SQL and CartoCSS of the layer to render, by setting
+// `req.params.sql`, `req.params.style` and `req.params.interactivity`.
+// Cluster and density tiles, which aggregate many features, also set
+// `req.cacheRenderedTile`, so that the rendered tiles are cached.
+
+var makeSql = require('./makeSql');
+var colorBy = require('./colorBy');
+var instanceStyles = require('./instanceStyles');
+var savedFilters = require('./savedFilters');
+var config = require('./config');
+
+// Clustering is opt-in, and only applies to point features at low zoom levels
+function shouldRenderClusters(req, zoom, isPolygonRequest) {
+    return req.query[config.clusterQueryArgumentName] === 'true' &&
+        !isPolygonRequest && zoom <= config.clusterMaxZoom;
+}
+
+function parseBoundaryCategory(category) {
+    if (/^[A-Za-z0-9 ]+$/.test(category)) {
+        return category;
+    }
+    return undefined;
+}
+
+// `makeReq2params` returns a `req2params` function for Windshaft, which
+// calls back exactly once, with either an error or the request. `opts` has
+//
+// * `styles`: the stylesheets, keyed by style name
+// * `dbname`: the database to render the tiles from
+// * `onError`: an optional function called with each error and request,
+//   e.g. to report it
+function makeReq2params(opts) {
+
+    // Instances can override parts of the stylesheets in their instance config
+    function getStyle(styleName, req) {
+        return instanceStyles.applyInstanceStyle(opts.styles, styleName, req.instanceConfig);
+    }
+
+    return function(req, callback) {
+        var instanceid, isUtfGridRequest, isVectorTileRequest, isPolygonRequest, isClusterRequest,
+            isDensityRequest, table, zoom, filterStrings, colorByName;
+
+        // Specify SQL subquery to extract desired features from desired DB layer.
+        // (This will be wrapped in an outer query, in many cases extracting geometry
+        // using the magic column name "the_geom_webmercator".)
+        try {
+            instanceid = parseInt(req.query.instance_id, 10);
+            table = req.params.table;
+            zoom = req.params.z;
+            isPolygonRequest = (table === 'stormwater_polygonalmapfeature');
+            isClusterRequest = shouldRenderClusters(req, parseInt(zoom, 10), isPolygonRequest);
+            isDensityRequest = (table === 'treemap_mapfeature_density');
+            // A saved filter (see savedFilters.js) replaces the filter,
+            // display and restrict arguments
+            filterStrings = savedFilters.requestFilterStrings(req.query, req.savedFilter);
+            if (isDensityRequest) {
+                isUtfGridRequest = (req.params.format === 'grid.json');
+                req.params.sql = makeSql.makeSqlForMapFeatureDensity(
+                    filterStrings.filter,
+                    filterStrings.display,
+                    filterStrings.restrict,
+                    instanceid,
+                    parseInt(zoom, 10),
+                    req.instanceConfig);
+                req.params.style = getStyle('density', req);
+                req.cacheRenderedTile = true;
+            } else if (table === 'treemap_mapfeature' && isClusterRequest) {
+                isUtfGridRequest = (req.params.format === 'grid.json');
+                req.params.sql = makeSql.makeSqlForMapFeatureClusters(
+                    filterStrings.filter,
+                    filterStrings.display,
+                    filterStrings.restrict,
+                    instanceid,
+                    parseInt(zoom, 10),
+                    req.instanceConfig);
+                req.params.style = getStyle('clusterMapFeature', req);
+                req.cacheRenderedTile = true;
+            } else if (table === 'treemap_mapfeature' || isPolygonRequest) {
+                isUtfGridRequest = (req.params.format === 'grid.json');
+                isVectorTileRequest = (req.params.format === 'mvt');
+                colorByName = req.query[config.colorByQueryArgumentName];
+                req.params.sql = makeSql.makeSqlForMapFeatures(filterStrings.filter,
+                                                               filterStrings.display,
+                                                               filterStrings.restrict,
+                                                               instanceid,
+                                                               zoom,
+                                                               isUtfGridRequest,
+                                                               isPolygonRequest,
+                                                               req.instanceConfig,
+                                                               isVectorTileRequest,
+                                                               colorByName,
+                                                               req.colorByCategories);
+                if (isPolygonRequest) {
+                    req.params.style = getStyle('polygonalMapFeature', req);
+                } else if (isUtfGridRequest || isVectorTileRequest) {
+                    // Vector tiles are styled on the client, so there is no
+                    // reason to have Windshaft add the colored style attributes
+                    // to the query
+                    req.params.style = getStyle('uncoloredMapFeature', req);
+                } else if (colorByName) {
+                    req.params.style = getStyle('mapFeature', req) + colorBy.makeStyle(colorByName);
+                } else {
+                    req.params.style = getStyle('mapFeature', req);
+                }
+            } else if (table === 'treemap_boundary' && instanceid) {
+                req.params.sql = makeSql.makeSqlForBoundaries(instanceid);
+                req.params.style = getStyle('boundary', req);
+            } else if (table === 'treemap_canopy_boundary' && instanceid) {
+                var canopyMin = parseFloat(req.query.canopyMin),
+                    canopyMax = parseFloat(req.query.canopyMax),
+                    category = parseBoundaryCategory(req.query.category);
+
+                if (!category) {
+                    throw new Error('Invalid argument: category');
+                }
+                if (isNaN(canopyMin) || !isFinite(canopyMin)) {
+                    throw new Error('Invalid argument: canopyMin');
+                }
+                if (isNaN(canopyMax) || !isFinite(canopyMax)) {
+                    throw new Error('Invalid argument: canopyMax');
+                }
+
+                req.params.sql = makeSql.makeSqlForCanopyBoundaries(instanceid,
+                        canopyMin, canopyMax, category);
+                req.params.style = getStyle('canopy', req);
+            }
+        } catch (err) {
+            if (opts.onError) {
+                opts.onError(err, req);
+            }
+            return callback(err);
+        }
+
+        // A UTF grid request returns map feature data for each pixel in a tile,
+        // streamlining client actions like clicking on or hovering over a feature.
+        // "interactivity" specifies which fields from our SQL query should be returned for each feature.
+        // Clusters and density cells have no single feature id, so their grids
+        // return the number of features instead.
+        if (isUtfGridRequest && isDensityRequest) {
+            req.params.interactivity = config.interactivityForDensityUtfGridRequests;
+        } else if (isUtfGridRequest && isClusterRequest) {
+            req.params.interactivity = config.interactivityForClusterUtfGridRequests;
+        } else if (isUtfGridRequest) {
+            req.params.interactivity = config.interactivityForUtfGridRequests;
+        } else {
+            req.params.interactivity = null;
+        }
+        req.params.dbname = opts.dbname;
+
+        // Send the finished req object on
+        callback(null, req);
+    };
+}
+
+exports = module.exports = {
+    makeReq2params: makeReq2params
+};
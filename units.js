@@ -1,6 +1,7 @@
 "use strict";
 
 var _ = require("underscore");
+var derivedFields = require("./derivedFields");
 
 var convertableFields = ['tree.diameter', 'tree.height', 'tree.canopy_height',
                          'plot.width', 'plot.length', 'bioswale.drainage_area',
@@ -39,24 +40,57 @@ var unitConversions = {
     'sq_ft': {'sq_m': 0.0929, 'sq_ft': 1}
 };
 
-function getFilterFactor(instanceConfig, model, field) {
-    var unit, defaultUnit,
-        factor = 1;
-    if (instanceConfig.value_display[model]) {
-        if (instanceConfig.value_display[model][field]) {
-            unit = instanceConfig.value_display[model][field].units;
-            defaultUnit = unitDefaults[model][field];
-            factor = 1 / unitConversions[defaultUnit][unit];
-        }
+// `getStoredUnits` returns the units the values of a field are stored in,
+// or undefined if the field has no units. Derived fields declare their
+// units in `config.derivedFields`.
+function getStoredUnits(fieldName) {
+    var model = fieldName.split('.')[0],
+        field = fieldName.substring(fieldName.indexOf('.') + 1);
+    if (derivedFields.isDerivedField(fieldName)) {
+        return derivedFields.getDerivedField(fieldName).units;
     }
-    return factor;
+    if (_.contains(convertableFields, fieldName)) {
+        return unitDefaults[model][field];
+    }
+}
+
+// `getDisplayUnits` returns the units the instance displays a field in, or
+// undefined if the instance does not configure them.
+function getDisplayUnits(fieldName, instanceConfig) {
+    var model = fieldName.split('.')[0],
+        field = fieldName.substring(fieldName.indexOf('.') + 1),
+        display = instanceConfig && instanceConfig.value_display &&
+            instanceConfig.value_display[model] && instanceConfig.value_display[model][field];
+    return display && display.units;
+}
+
+// `getFilterFactor` returns the factor converting a value of a field in the
+// units the instance displays it in to the units it is stored in. The units
+// of derived fields without a conversion, like the years of a tree's age,
+// are not converted. Raises an error if the instance displays any other
+// field in units it can't be converted to.
+function getFilterFactor(instanceConfig, fieldName) {
+    var unit = getDisplayUnits(fieldName, instanceConfig),
+        defaultUnit = getStoredUnits(fieldName);
+    if (!unit) {
+        return 1;
+    }
+    if (unitConversions[defaultUnit] && unitConversions[defaultUnit][unit]) {
+        return 1 / unitConversions[defaultUnit][unit];
+    }
+    if (derivedFields.isDerivedField(fieldName)) {
+        return 1;
+    }
+    throw new Error('Cannot convert ' + fieldName + ' from ' + defaultUnit + ' to ' + unit);
 }
 
 function convertFilterValue(value, factor) {
     if (_.isObject(value)) {
         _.each(['MIN', 'MAX', 'IS'], function(k) {
             var floatValue;
-            if (value[k]) {
+            // Fields compared with other fields are compared in the units
+            // they are stored in
+            if (value[k] && !_.has(value[k], 'FIELD')) {
                 if (_.isObject(value[k])) {
                     floatValue = parseFloat(value[k].VALUE);
                     if (_.isNumber(floatValue)) {
@@ -79,17 +113,39 @@ function convertFilterUnits(filterObject, instanceConfig) {
     if (instanceConfig && instanceConfig.value_display) {
         _.each(_.keys(filterObject), function(fieldName) {
             var value = filterObject[fieldName];
-            if (_.contains(convertableFields, fieldName)) {
-                var model = fieldName.split('.')[0],
-                    field = fieldName.substring(fieldName.indexOf('.') + 1),
-                    factor = getFilterFactor(instanceConfig, model, field);
-                convertFilterValue(value, factor);
+            if (getStoredUnits(fieldName)) {
+                convertFilterValue(value, getFilterFactor(instanceConfig, fieldName));
             }
         });
     }
     return filterObject;
 }
 
+// `convertValueToDisplayUnits` converts a value of the field `fieldName`, as
+// stored in the database, to the units the instance displays that field in.
+function convertValueToDisplayUnits(fieldName, value, instanceConfig) {
+    if (_.isNumber(value) && instanceConfig && instanceConfig.value_display &&
+            getStoredUnits(fieldName)) {
+        return value / getFilterFactor(instanceConfig, fieldName);
+    }
+    return value;
+}
+
+// `getFieldUnits` returns the units a field is stored in and the units the
+// instance displays it in, or null if the field has no units.
+function getFieldUnits(fieldName, instanceConfig) {
+    var storedUnits = getStoredUnits(fieldName);
+    if (!storedUnits) {
+        return null;
+    }
+    return {
+        stored: storedUnits,
+        display: getDisplayUnits(fieldName, instanceConfig) || storedUnits
+    };
+}
+
 exports = module.exports = {
-    convertFilterUnits: convertFilterUnits
+    convertFilterUnits: convertFilterUnits,
+    convertValueToDisplayUnits: convertValueToDisplayUnits,
+    getFieldUnits: getFieldUnits
 };
@@ -0,0 +1,516 @@
+"use strict";
+
+// Validate a filter object (see the grammar in filterObjectToWhere.js)
+// before it is converted to SQL, reporting every problem found rather than
+// only the first. Each error is an object like
+//
+//     {
+//         "path": [1, "tree.diameter", "MIN"],
+//         "code": "INVALID_VALUE",
+//         "message": "MIN must be a number, a date or {\"value\": ..., \"EXCLUSIVE\": ...}"
+//     }
+//
+// where `path` is the list of array indexes and object keys leading from the
+// root of the filter to the problem.
+
+var _ = require('underscore');
+var moment = require('moment');
+var config = require('./config');
+var utils = require('./filterObjectUtils');
+var filterObjectToWhere = require('./filterObjectToWhere');
+var polygonFilter = require('./polygonFilter');
+var radiusFilter = require('./radiusFilter');
+var relativeDate = require('./relativeDate');
+
+var CODES = {
+    INVALID_JSON: 'INVALID_JSON',
+    INVALID_FILTER: 'INVALID_FILTER',
+    INVALID_COMBINATOR: 'INVALID_COMBINATOR',
+    INVALID_FIELD_NAME: 'INVALID_FIELD_NAME',
+    UNKNOWN_MODEL: 'UNKNOWN_MODEL',
+    INVALID_PREDICATE: 'INVALID_PREDICATE',
+    UNKNOWN_OPERATOR: 'UNKNOWN_OPERATOR',
+    INVALID_OPERATOR_COMBINATION: 'INVALID_OPERATOR_COMBINATION',
+    INVALID_VALUE: 'INVALID_VALUE',
+    INVALID_DATE: 'INVALID_DATE',
+    UNKNOWN_FIELD: 'UNKNOWN_FIELD',
+    UNSUPPORTED_OPERATOR: 'UNSUPPORTED_OPERATOR'
+};
+
+// Strings starting with a date are compared as dates, so they must be valid
+var DATE_PREFIX_PATTERN = /^[0-9]{4}-[0-9]{2}-[0-9]{2}/;
+
+function isScalar(value) {
+    return _.isString(value) || _.isBoolean(value) || value === null ||
+        (_.isNumber(value) && isFinite(value));
+}
+
+function isPlainObject(value) {
+    return _.isObject(value) && !_.isArray(value) && !_.isFunction(value);
+}
+
+// Relative dates and field references are objects, but are values rather
+// than predicates
+function isPredicateObject(value) {
+    return isPlainObject(value) && !relativeDate.isRelativeDate(value) && !utils.isFieldReference(value);
+}
+
+// `dateError` returns an error message for a string that starts like a
+// date but is not a valid date or datetime, and null for any other value.
+function dateError(value) {
+    var formats = utils.DATETIME_FORMATS;
+    if (_.isString(value) && DATE_PREFIX_PATTERN.test(value) &&
+        !moment(value, formats.full, true).isValid() &&
+        !moment(value, formats.fullWithT, true).isValid() &&
+        !moment(value, formats.date, true).isValid()) {
+        return 'Dates must be in "' + formats.full + '" or "' + formats.date +
+            '" format, not ' + JSON.stringify(value);
+    }
+    return null;
+}
+
+// `valueCheckers` has a function per operator that calls `report` with an
+// error code and message for each problem with the operator's value.
+var valueCheckers = {
+    IS: checkComparable,
+    IS_NOT: checkComparable,
+    IN: checkList,
+    NOT_IN: checkList,
+    LIKE: checkString,
+    NOT_LIKE: checkString,
+    MIN: checkBound,
+    MAX: checkBound,
+    ISNULL: function(value, operator, report) {
+        if (!_.isBoolean(value)) {
+            report(CODES.INVALID_VALUE, 'ISNULL must be true or false');
+        }
+    },
+    IN_BOUNDARY: function(value, operator, report) {
+        if (!(_.isNumber(value) && Math.floor(value) === value) &&
+            !(_.isString(value) && /^[0-9]+$/.test(value))) {
+            report(CODES.INVALID_VALUE, 'IN_BOUNDARY must be the id of a boundary');
+        }
+    },
+    WITHIN_RADIUS: function(value, operator, report) {
+        checkWithMaker(radiusFilter.makeWithinRadiusTemplate, value, report);
+    },
+    INSIDE_GEOMETRY: function(value, operator, report) {
+        checkWithMaker(polygonFilter.makeGeometrySql, value, report);
+    },
+    SEARCH: function(value, operator, report) {
+        if (!_.isString(value) || value.trim() === '') {
+            report(CODES.INVALID_VALUE, 'SEARCH must be a non-empty string');
+        }
+    },
+    CONTAINS_ANY: checkStringList,
+    CONTAINS_ALL: checkStringList
+};
+
+function checkWithMaker(maker, value, report) {
+    try {
+        maker(value);
+    } catch (err) {
+        report(CODES.INVALID_VALUE, err.message);
+    }
+}
+
+// `checkDate` reports invalid date strings and relative dates
+function checkDate(value, report) {
+    var message = dateError(value);
+    if (relativeDate.isRelativeDate(value)) {
+        try {
+            relativeDate.relativeDateToSql(value);
+        } catch (err) {
+            message = err.message;
+        }
+    }
+    if (message) {
+        report(CODES.INVALID_DATE, message);
+    }
+}
+
+// `checkFieldReference` checks a {"FIELD": "model.field"} value
+function checkFieldReference(reference, report) {
+    var reportField = function(code, message) {
+        report(code, message, ['FIELD']);
+    };
+    if (_.keys(reference).length !== 1 || !_.isString(reference.FIELD)) {
+        report(CODES.INVALID_VALUE, 'A field reference must be an object with a single FIELD name');
+    } else if (reference.FIELD.indexOf('udf:') !== -1) {
+        reportField(CODES.INVALID_VALUE, 'Fields can only be compared with model columns, not ' +
+                    reference.FIELD);
+    } else {
+        validateFieldName(reference.FIELD, reportField);
+    }
+}
+
+function checkComparable(value, operator, report) {
+    if (isPredicateObject(value) && _.has(value, 'value')) {
+        value = value.value;
+    }
+    if (utils.isFieldReference(value)) {
+        checkFieldReference(value, report);
+    } else if (relativeDate.isRelativeDate(value)) {
+        checkDate(value, report);
+    } else if (!isScalar(value)) {
+        report(CODES.INVALID_VALUE, operator + ' must be a string, number, boolean or null');
+    } else {
+        checkDate(value, report);
+    }
+}
+
+function checkList(value, operator, report) {
+    if (!_.isArray(value) || value.length === 0) {
+        report(CODES.INVALID_VALUE, operator + ' must be a non-empty list');
+        return;
+    }
+    _.each(value, function(item, index) {
+        var reportItem = function(code, message) {
+            report(code, message, [index]);
+        };
+        if (!isScalar(item) && !relativeDate.isRelativeDate(item)) {
+            reportItem(CODES.INVALID_VALUE, operator + ' values must be strings, numbers, booleans or null');
+        } else {
+            checkDate(item, reportItem);
+        }
+    });
+}
+
+function checkStringList(value, operator, report) {
+    if (!_.isArray(value) || value.length === 0) {
+        report(CODES.INVALID_VALUE, operator + ' must be a non-empty list');
+        return;
+    }
+    _.each(value, function(item, index) {
+        if (!_.isString(item)) {
+            report(CODES.INVALID_VALUE, operator + ' values must be strings', [index]);
+        }
+    });
+}
+
+function checkString(value, operator, report) {
+    if (!_.isString(value)) {
+        report(CODES.INVALID_VALUE, operator + ' must be a string');
+    }
+}
+
+function checkBound(value, operator, report) {
+    if (isPredicateObject(value)) {
+        if (_.has(value, 'EXCLUSIVE') && !_.isBoolean(value.EXCLUSIVE)) {
+            report(CODES.INVALID_VALUE, 'EXCLUSIVE must be true or false');
+        }
+        value = value.value;
+    }
+    // An empty bound is ignored
+    if (_.contains([undefined, null, ''], value)) {
+        return;
+    }
+    if (utils.isFieldReference(value)) {
+        checkFieldReference(value, report);
+        return;
+    }
+    if (!(_.isNumber(value) && isFinite(value)) && !_.isString(value) &&
+        !relativeDate.isRelativeDate(value)) {
+        report(CODES.INVALID_VALUE, operator + ' must be a number, a date or ' +
+               '{"value": ..., "EXCLUSIVE": ...}');
+    } else {
+        checkDate(value, report);
+    }
+}
+
+// `validateFieldName` checks that a "model.field" or collection UDF field
+// name refers to a known model and a well-formed column name.
+function validateFieldName(fieldName, report) {
+    var udfCollectionData, modelAndColumn, column;
+
+    if (fieldName.indexOf('udf:') === 0) {
+        udfCollectionData = utils.parseUdfCollectionFieldName(fieldName);
+        if (!udfCollectionData) {
+            report(CODES.INVALID_FIELD_NAME, 'Collection UDF field names must be of the form ' +
+                   '"udf:model:fieldDefinitionId.field" or "udf:model:fieldDefinitionId", not ' +
+                   JSON.stringify(fieldName));
+        } else if (!config.modelMapping[udfCollectionData.modelName]) {
+            report(CODES.UNKNOWN_MODEL, 'The model name must be one of ' +
+                   _.keys(config.modelMapping).join(', ') + ', not ' + udfCollectionData.modelName);
+        }
+        return;
+    }
+
+    modelAndColumn = fieldName.split('.');
+    if (modelAndColumn.length !== 2) {
+        report(CODES.INVALID_FIELD_NAME, 'Field names must be of the form "model.field", not ' +
+               JSON.stringify(fieldName));
+        return;
+    }
+    if (!config.modelMapping[modelAndColumn[0]]) {
+        report(CODES.UNKNOWN_MODEL, 'The model name must be one of ' +
+               _.keys(config.modelMapping).join(', ') + ', not ' + modelAndColumn[0]);
+    }
+    column = modelAndColumn[1];
+    if (column.indexOf('udf:') === 0 ? column.length === 4 : !filterObjectToWhere.COLUMN_NAME_PATTERN.test(column)) {
+        report(CODES.INVALID_FIELD_NAME, 'Invalid field name ' + JSON.stringify(column));
+    }
+}
+
+// `validateSchemaAggregate` checks that a collection UDF and the fields used
+// in an aggregate predicate on it are in the schema.
+function validateSchemaAggregate(fieldName, predicate, schema, report) {
+    var prefix = fieldName + '.';
+    if (!_.any(_.keys(schema.fields), function(name) { return name.indexOf(prefix) === 0; })) {
+        report(CODES.UNKNOWN_FIELD, 'Unknown collection UDF ' + JSON.stringify(fieldName));
+        return;
+    }
+    _.each(['WHERE', 'LATEST', 'EARLIEST'], function(key) {
+        _.each(isPlainObject(predicate[key]) ? _.keys(predicate[key]) : [], function(field) {
+            if (!schema.fields[prefix + field]) {
+                report(CODES.UNKNOWN_FIELD, 'Unknown field ' + JSON.stringify(prefix + field), [key, field]);
+            }
+        });
+    });
+}
+
+// `validateSchemaField` checks that a field is in the schema (see schema.js)
+// and supports the operators used with it.
+function validateSchemaField(fieldName, operators, schema, report) {
+    var field = schema.fields[fieldName];
+    if (!field) {
+        report(CODES.UNKNOWN_FIELD, 'Unknown field ' + JSON.stringify(fieldName));
+        return;
+    }
+    _.each(operators, function(operator) {
+        if (_.has(valueCheckers, operator) && !_.contains(field.operators, operator)) {
+            report(CODES.UNSUPPORTED_OPERATOR, operator + ' cannot be used with ' + field.type +
+                   ' field ' + fieldName, [operator]);
+        }
+    });
+}
+
+// `validatePredicate` checks the operators of a predicate, the way they are
+// combined and their values.
+function validatePredicate(predicate, report) {
+    var combinations = filterObjectToWhere.predicateCombinations,
+        operators = _.keys(predicate);
+
+    if (operators.length === 0) {
+        report(CODES.INVALID_PREDICATE, 'Predicates must have at least one operator');
+    }
+    _.each(operators, function(operator) {
+        var reportOperator = function(code, message, path) {
+            report(code, message, [operator].concat(path || []));
+        };
+        if (!_.has(combinations, operator)) {
+            reportOperator(CODES.UNKNOWN_OPERATOR, 'Operators must be one of ' +
+                           _.keys(combinations).join(', ') + ', not ' + operator);
+            return;
+        }
+        _.each(operators, function(otherOperator) {
+            if (otherOperator !== operator && _.has(combinations, otherOperator) &&
+                !_.contains(combinations[operator], otherOperator)) {
+                reportOperator(CODES.INVALID_OPERATOR_COMBINATION,
+                               operator + ' cannot be combined with ' + otherOperator);
+            }
+        });
+        valueCheckers[operator](predicate[operator], operator, reportOperator);
+    });
+}
+
+// `validateValueOrPredicate` checks a literal value or a predicate object.
+function validateValueOrPredicate(valueOrPredicate, report) {
+    if (utils.isFieldReference(valueOrPredicate)) {
+        checkFieldReference(valueOrPredicate, report);
+    } else if (relativeDate.isRelativeDate(valueOrPredicate)) {
+        checkDate(valueOrPredicate, report);
+    } else if (isPlainObject(valueOrPredicate)) {
+        validatePredicate(valueOrPredicate, report);
+    } else if (isScalar(valueOrPredicate)) {
+        checkDate(valueOrPredicate, report);
+    } else {
+        report(CODES.INVALID_PREDICATE,
+               'Predicates must be objects or a string, number, boolean or null');
+    }
+}
+
+// `validateAggregateComparison` checks the predicate comparing the value of
+// an aggregate, e.g. {"MIN": 3} for COUNT.
+function validateAggregateComparison(aggregate, valueOrPredicate, report) {
+    var operators = filterObjectToWhere.AGGREGATE_OPERATORS[aggregate];
+    if (isPredicateObject(valueOrPredicate)) {
+        _.each(_.difference(_.keys(valueOrPredicate), operators), function(operator) {
+            report(CODES.UNSUPPORTED_OPERATOR, aggregate + ' can only be compared with ' +
+                   operators.join(', ') + ', not ' + operator, [operator]);
+        });
+    }
+    validateValueOrPredicate(valueOrPredicate, report);
+}
+
+// `validateAggregatePredicate` checks an aggregate predicate on a collection
+// UDF (see filterObjectToWhere.js).
+function validateAggregatePredicate(predicate, report) {
+    var aggregates = _.keys(filterObjectToWhere.AGGREGATE_OPERATORS).concat(['EXISTS']);
+
+    function reportAt(key) {
+        return function(code, message, path) {
+            report(code, message, [key].concat(path || []));
+        };
+    }
+
+    if (!isPlainObject(predicate)) {
+        report(CODES.INVALID_PREDICATE, 'Aggregate predicates must be objects');
+        return;
+    }
+    if (_.isEmpty(_.intersection(_.keys(predicate), aggregates))) {
+        report(CODES.INVALID_PREDICATE, 'Aggregate predicates must have one of ' + aggregates.join(', '));
+    }
+    _.each(predicate, function(value, key) {
+        var reportKey = reportAt(key);
+        if (key === 'WHERE') {
+            if (!isPlainObject(value) || _.isEmpty(value)) {
+                reportKey(CODES.INVALID_PREDICATE, 'WHERE must be a non-empty object');
+                return;
+            }
+            _.each(value, function(valueOrPredicate, field) {
+                validateValueOrPredicate(valueOrPredicate, function(code, message, path) {
+                    reportKey(code, message, [field].concat(path || []));
+                });
+            });
+        } else if (key === 'EXISTS') {
+            if (!_.isBoolean(value)) {
+                reportKey(CODES.INVALID_VALUE, 'EXISTS must be true or false');
+            }
+        } else if (key === 'COUNT') {
+            validateAggregateComparison(key, value, reportKey);
+        } else if (key === 'LATEST' || key === 'EARLIEST') {
+            if (!isPlainObject(value) || _.keys(value).length !== 1) {
+                reportKey(CODES.INVALID_VALUE, key + ' must be an object with a single date field');
+                return;
+            }
+            validateAggregateComparison(key, _.values(value)[0], function(code, message, path) {
+                reportKey(code, message, _.keys(value).concat(path || []));
+            });
+        } else {
+            reportKey(CODES.UNKNOWN_OPERATOR, 'Aggregate predicates support WHERE, ' +
+                      aggregates.join(', ') + ', not ' + key);
+        }
+    });
+}
+
+function validateFilterNode(filter, path, errors, schema) {
+    function report(code, message, subPath) {
+        errors.push({path: path.concat(subPath || []), code: code, message: message});
+    }
+
+    if (_.isArray(filter)) {
+        validateCombinator(filter, path, errors, report, schema);
+    } else if (isPlainObject(filter)) {
+        _.each(filter, function(valueOrPredicate, fieldName) {
+            var errorCount = errors.length,
+                isAggregate = utils.isUdfCollectionAggregateFieldName(fieldName),
+                operators = isPredicateObject(valueOrPredicate) ? _.keys(valueOrPredicate) : ['IS'],
+                reportField = function(code, message, subPath) {
+                    report(code, message, [fieldName].concat(subPath || []));
+                };
+            validateFieldName(fieldName, reportField);
+            if (!isAggregate && fieldName.indexOf('udf:') === 0) {
+                _.each(_.intersection(operators, filterObjectToWhere.NEGATED_OPERATORS), function(operator) {
+                    reportField(CODES.UNSUPPORTED_OPERATOR, 'Collection UDF fields cannot be compared with ' +
+                                operator + '; use an aggregate predicate with "EXISTS": false instead',
+                                [operator]);
+                });
+                operators = _.difference(operators, filterObjectToWhere.NEGATED_OPERATORS);
+            }
+            if (schema && errors.length === errorCount) {
+                if (isAggregate) {
+                    validateSchemaAggregate(fieldName, valueOrPredicate, schema, reportField);
+                } else {
+                    validateSchemaField(fieldName, operators, schema, reportField);
+                }
+                _.each(utils.filterObjectReferencedFields(_.object([[fieldName, valueOrPredicate]])),
+                       function(referencedFieldName) {
+                           if (!schema.fields[referencedFieldName]) {
+                               reportField(CODES.UNKNOWN_FIELD, 'Unknown field ' +
+                                           JSON.stringify(referencedFieldName));
+                           }
+                       });
+            }
+            if (isAggregate) {
+                validateAggregatePredicate(valueOrPredicate, reportField);
+            } else {
+                validateValueOrPredicate(valueOrPredicate, reportField);
+            }
+        });
+    } else {
+        report(CODES.INVALID_FILTER, 'A filter must be an object or an array');
+    }
+}
+
+function validateCombinator(filter, path, errors, report, schema) {
+    var combinator = filter[0];
+
+    if (filter.length === 0) {
+        report(CODES.INVALID_COMBINATOR, 'An empty array is not a valid combinator');
+        return;
+    }
+    if (!_.contains(utils.COMBINATORS, combinator)) {
+        report(CODES.INVALID_COMBINATOR, 'The first element of a combinator array must be ' +
+               'one of ' + utils.COMBINATORS.join(', ') + ', not ' + JSON.stringify(combinator), [0]);
+        return;
+    }
+    if (combinator === 'NOT') {
+        if (filter.length !== 2) {
+            report(CODES.INVALID_COMBINATOR, 'A "NOT" combinator must be followed by exactly one filter');
+            return;
+        }
+        if (isPlainObject(filter[1]) && _.isEmpty(filter[1])) {
+            report(CODES.INVALID_COMBINATOR, 'A "NOT" combinator cannot negate an empty filter', [1]);
+        }
+    }
+    _.each(_.rest(filter), function(nestedFilter, index) {
+        validateFilterNode(nestedFilter, path.concat([index + 1]), errors, schema);
+    });
+}
+
+// `validateFilter` returns the list of errors in a parsed filter object,
+// which is empty if the filter is valid. If a `schema` (see schema.js) is
+// given, the fields and the operators used with them are checked against it.
+function validateFilter(filterObject, schema) {
+    var errors = [];
+    validateFilterNode(filterObject, [], errors, schema);
+    return errors;
+}
+
+// `validateFilterString` returns the list of errors in a JSON filter string.
+// An empty or missing string is a valid filter that matches everything.
+function validateFilterString(filterString, schema) {
+    var filterObject;
+    if (!filterString) {
+        return [];
+    }
+    try {
+        filterObject = JSON.parse(filterString);
+    } catch (err) {
+        return [{path: [], code: CODES.INVALID_JSON, message: 'The filter is not valid JSON: ' + err.message}];
+    }
+    return validateFilter(filterObject, schema);
+}
+
+// `assertValidFilter` raises an error if a parsed filter object is not
+// valid. The error has the list of `errors` and an `http_status` of 400.
+function assertValidFilter(filterObject) {
+    var errors = validateFilter(filterObject),
+        err;
+    if (errors.length > 0) {
+        err = new Error('Invalid filter: ' + _.map(errors, function(error) {
+            return JSON.stringify(error.path) + ' ' + error.message;
+        }).join('; '));
+        err.errors = errors;
+        err.http_status = 400;
+        throw err;
+    }
+}
+
+exports = module.exports = {
+    CODES: CODES,
+    validateFilter: validateFilter,
+    validateFilterString: validateFilterString,
+    assertValidFilter: assertValidFilter
+};